@@ -0,0 +1,84 @@
+// Reference server for YouTube P2P Chat
+// Runs a PeerJS signaling server and the Socket.IO relay on one port, so the
+// extension can be used and tested without any outside services:
+//
+//   PeerJS host: localhost, port: 9000, path: /peerjs, TLS off
+//   Relay URL:   http://localhost:9000
+//
+// Settings: PORT (default 9000, 0 picks a free port), HOST (default 0.0.0.0) and PEER_PATH
+// (default /peerjs).
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { ExpressPeerServer } from 'peer';
+import { Server } from 'socket.io';
+import { WebSocketServer } from 'ws';
+import { attachRelay } from './relay.js';
+
+// WebSocket server for PeerJS that only takes upgrades on its own path
+// By default it aborts every other upgrade, including Socket.IO's on the same HTTP server
+function createPeerSocketServer(httpServer, path) {
+  const socketServer = new WebSocketServer({ noServer: true, path });
+  
+  httpServer.on('upgrade', (req, socket, head) => {
+    if (socketServer.shouldHandle(req)) {
+      socketServer.handleUpgrade(req, socket, head, (ws) => socketServer.emit('connection', ws, req));
+    }
+  });
+  
+  return socketServer;
+}
+
+// Create the server without listening, tests can pick their own port
+export function createChatServer({ peerPath = '/peerjs' } = {}) {
+  const app = express();
+  const httpServer = http.createServer(app);
+  
+  // Extension pages connect from chrome-extension:// origins
+  const io = new Server(httpServer, { cors: { origin: true } });
+  const relay = attachRelay(io);
+  
+  const peerServer = ExpressPeerServer(httpServer, {
+    path: '/',
+    allow_discovery: false,
+    createWebSocketServer: ({ path }) => createPeerSocketServer(httpServer, path)
+  });
+  app.use(peerPath, peerServer);
+  
+  // Member listing for monitoring and tests
+  app.get('/rooms/:roomId/members', (req, res) => {
+    res.json({ roomId: req.params.roomId, members: relay.getRoomMembers(req.params.roomId) });
+  });
+  
+  app.get('/health', (req, res) => {
+    res.json({ ok: true });
+  });
+  
+  // Listen, resolves the port actually used
+  const listen = (port, host) => new Promise((resolve) => {
+    httpServer.listen(port, host, () => resolve(httpServer.address().port));
+  });
+  
+  // Stop accepting connections and close the open ones, Socket.IO also closes the HTTP server
+  // PeerJS keeps its cleanup timers running, so test processes have to exit explicitly
+  const close = () => new Promise((resolve) => {
+    io.close(() => resolve());
+    httpServer.closeAllConnections();
+  });
+  
+  return { app, httpServer, io, listen, close };
+}
+
+// Start the server when run directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.PORT !== undefined ? Number(process.env.PORT) : 9000;
+  const host = process.env.HOST || '0.0.0.0';
+  const peerPath = process.env.PEER_PATH || '/peerjs';
+  
+  const server = createChatServer({ peerPath });
+  server.listen(port, host).then((actualPort) => {
+    console.log(`YouTube P2P Chat server listening on ${host}:${actualPort}`);
+    console.log(`PeerJS path: ${peerPath}, relay URL: http://localhost:${actualPort}`);
+  });
+}
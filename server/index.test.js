@@ -0,0 +1,200 @@
+import { jest } from '@jest/globals';
+import { io as connect } from 'socket.io-client';
+import WebSocket from 'ws';
+import { createChatServer } from './index.js';
+
+const ROOM_ID = 'yt-dQw4w9WgXcQ';
+const OTHER_ROOM_ID = 'yt-dQw4w9WgXcQ#music';
+
+describe('chat server', () => {
+  let server;
+  let baseUrl;
+  let clients;
+  
+  // Connect a relay client
+  function connectClient() {
+    const socket = connect(baseUrl, { transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(socket);
+    return new Promise((resolve, reject) => {
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', reject);
+    });
+  }
+  
+  // Resolve the arguments of the next event of a type
+  function nextEvent(socket, event) {
+    return new Promise(resolve => socket.once(event, (...args) => resolve(args)));
+  }
+  
+  // Connect a client and join a room, resolves once the relay listed the members
+  async function joinRoom(peerId, roomId = ROOM_ID) {
+    const socket = await connectClient();
+    const members = nextEvent(socket, 'room-members');
+    socket.emit('join-room', roomId, peerId);
+    return { socket, members: (await members)[1] };
+  }
+  
+  // Fetch the members of a room over HTTP
+  async function fetchMembers(roomId) {
+    const response = await fetch(`${baseUrl}/rooms/${encodeURIComponent(roomId)}/members`);
+    return response.json();
+  }
+  
+  beforeAll(async () => {
+    // PeerJS starts cleanup timers it never stops, fake them so none outlive the tests
+    jest.useFakeTimers();
+    server = createChatServer();
+    jest.useRealTimers();
+    
+    const port = await server.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+  
+  beforeEach(() => {
+    clients = [];
+  });
+  
+  afterEach(() => {
+    clients.forEach(socket => socket.disconnect());
+  });
+  
+  afterAll(() => server.close());
+  
+  test('reports its health', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ ok: true });
+  });
+  
+  test('serves PeerJS signaling and the relay on the same port', async () => {
+    const peerSocket = new WebSocket(`${baseUrl.replace('http', 'ws')}/peerjs/peerjs?key=peerjs&id=peer-a&token=test`);
+    const [data] = await new Promise((resolve, reject) => {
+      peerSocket.once('message', (...args) => resolve(args));
+      peerSocket.once('error', reject);
+    });
+    peerSocket.close();
+    
+    expect(JSON.parse(data.toString())).toEqual({ type: 'OPEN' });
+    
+    const relay = await connectClient();
+    expect(relay.io.engine.transport.name).toBe('websocket');
+  });
+  
+  test('lists the other members to a joining client and announces it to them', async () => {
+    const first = await joinRoom('peer-a');
+    expect(first.members).toEqual([]);
+    
+    const connected = nextEvent(first.socket, 'user-connected');
+    const second = await joinRoom('peer-b');
+    
+    expect(second.members).toEqual(['peer-a']);
+    expect(await connected).toEqual(['peer-b']);
+    expect(await fetchMembers(ROOM_ID)).toEqual({ roomId: ROOM_ID, members: ['peer-a', 'peer-b'] });
+  });
+  
+  test('keeps rooms apart', async () => {
+    await joinRoom('peer-a');
+    const other = await joinRoom('peer-b', OTHER_ROOM_ID);
+    
+    expect(other.members).toEqual([]);
+    expect(await fetchMembers(OTHER_ROOM_ID)).toEqual({ roomId: OTHER_ROOM_ID, members: ['peer-b'] });
+  });
+  
+  test('relays messages to the rest of the room in the sender\'s name', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    const third = await joinRoom('peer-c');
+    const outsider = await joinRoom('peer-d', OTHER_ROOM_ID);
+    
+    const received = [nextEvent(second.socket, 'chat-message'), nextEvent(third.socket, 'chat-message')];
+    const echoed = jest.fn();
+    const leaked = jest.fn();
+    first.socket.on('chat-message', echoed);
+    outsider.socket.on('chat-message', leaked);
+    
+    first.socket.emit('chat-message', { roomId: ROOM_ID, from: 'peer-c', type: 'message', text: 'hi' });
+    
+    const [[toSecond], [toThird]] = await Promise.all(received);
+    expect(toSecond).toEqual({ roomId: ROOM_ID, from: 'peer-a', type: 'message', text: 'hi' });
+    expect(toThird).toEqual(toSecond);
+    
+    // A round trip to the server makes sure nothing else is on its way
+    await first.socket.emitWithAck('get-room-members', ROOM_ID);
+    expect(echoed).not.toHaveBeenCalled();
+    expect(leaked).not.toHaveBeenCalled();
+  });
+  
+  test('delivers addressed messages only to their recipient', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    const third = await joinRoom('peer-c');
+    
+    const toSecond = nextEvent(second.socket, 'chat-message');
+    const toThird = nextEvent(third.socket, 'chat-message');
+    
+    first.socket.emit('chat-message', { roomId: ROOM_ID, to: 'peer-b', type: 'key-update' });
+    first.socket.emit('chat-message', { roomId: ROOM_ID, type: 'message' });
+    
+    expect((await toSecond)[0]).toEqual({ roomId: ROOM_ID, from: 'peer-a', to: 'peer-b', type: 'key-update' });
+    
+    // The relay keeps the order, so the third member's first message is the broadcast
+    expect((await toThird)[0]).toEqual({ roomId: ROOM_ID, from: 'peer-a', type: 'message' });
+  });
+  
+  test('refuses a peer ID that another connected member holds', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    const impostor = await connectClient();
+    const leaked = jest.fn();
+    impostor.on('chat-message', leaked);
+    impostor.on('room-members', leaked);
+    
+    impostor.emit('join-room', ROOM_ID, 'peer-a');
+    expect(await impostor.emitWithAck('get-room-members', ROOM_ID)).toEqual(['peer-a', 'peer-b']);
+    
+    const toFirst = nextEvent(first.socket, 'chat-message');
+    second.socket.emit('chat-message', { roomId: ROOM_ID, to: 'peer-a', type: 'key-update' });
+    expect((await toFirst)[0]).toEqual({ roomId: ROOM_ID, from: 'peer-b', to: 'peer-a', type: 'key-update' });
+    expect(leaked).not.toHaveBeenCalled();
+    
+    // Once its holder is gone the peer ID is free again
+    const disconnected = nextEvent(second.socket, 'user-disconnected');
+    first.socket.disconnect();
+    await disconnected;
+    const members = nextEvent(impostor, 'room-members');
+    impostor.emit('join-room', ROOM_ID, 'peer-a');
+    expect(await members).toEqual([ROOM_ID, ['peer-b']]);
+    console.warn.mockRestore();
+  });
+  
+  test('drops messages for rooms the sender is not in', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    const outsider = await joinRoom('peer-c', OTHER_ROOM_ID);
+    
+    const toSecond = nextEvent(second.socket, 'chat-message');
+    
+    outsider.socket.emit('chat-message', { roomId: ROOM_ID, type: 'spoofed' });
+    first.socket.emit('chat-message', { roomId: ROOM_ID, type: 'message' });
+    
+    expect((await toSecond)[0]).toEqual({ roomId: ROOM_ID, from: 'peer-a', type: 'message' });
+  });
+  
+  test('announces members that disconnect and forgets them', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    
+    const disconnected = nextEvent(first.socket, 'user-disconnected');
+    second.socket.disconnect();
+    
+    expect(await disconnected).toEqual(['peer-b']);
+    expect(await fetchMembers(ROOM_ID)).toEqual({ roomId: ROOM_ID, members: ['peer-a'] });
+    expect(await first.socket.emitWithAck('get-room-members', ROOM_ID)).toEqual(['peer-a']);
+    
+    first.socket.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await fetchMembers(ROOM_ID)).toEqual({ roomId: ROOM_ID, members: [] });
+  });
+});
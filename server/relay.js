@@ -0,0 +1,113 @@
+// Socket.IO relay for YouTube P2P Chat
+// Relays room traffic for clients that can't use WebRTC, speaking the
+// protocol of P2PService.setupSocketEventListeners:
+//
+//   client -> server  'join-room' (roomId, peerId)
+//   server -> room    'user-connected' (peerId)
+//   server -> client  'room-members' (roomId, [peerId])
+//   client -> server  'chat-message' { roomId, from, to?, ...data }
+//   server -> room    'chat-message' { roomId, from, to?, ...data }
+//   server -> room    'user-disconnected' (peerId)
+//
+// Messages with a 'to' field only go to that member. A peer ID belongs to
+// the socket that joined a room with it first, later claims of it are
+// ignored. The relay never looks inside messages, so encrypted rooms stay
+// end-to-end encrypted.
+
+// Room and peer IDs are short strings, anything else is rejected
+const MAX_ID_LENGTH = 128;
+
+// Whether a value is a usable room or peer ID
+function isValidId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+// Track room members and relay messages between them
+export function attachRelay(io) {
+  // roomId -> Map(peerId -> socket)
+  const rooms = new Map();
+  
+  // Current members of a room
+  function getRoomMembers(roomId) {
+    return Array.from((rooms.get(roomId) || new Map()).keys());
+  }
+  
+  // Remove a socket from its room and tell the others
+  function leaveRoom(socket) {
+    const { roomId, peerId } = socket.data;
+    if (!roomId) return;
+    
+    const members = rooms.get(roomId);
+    if (members && members.get(peerId) === socket) {
+      members.delete(peerId);
+      if (members.size === 0) {
+        rooms.delete(roomId);
+      }
+      socket.to(roomId).emit('user-disconnected', peerId);
+    }
+    
+    socket.leave(roomId);
+    socket.data.roomId = null;
+  }
+  
+  io.on('connection', (socket) => {
+    socket.data.roomId = null;
+    socket.data.peerId = null;
+    
+    socket.on('join-room', (roomId, peerId) => {
+      if (!isValidId(roomId) || !isValidId(peerId)) return;
+      
+      // Another connected member already has this peer ID, taking it over would redirect its messages
+      const holder = (rooms.get(roomId) || new Map()).get(peerId);
+      if (holder && holder !== socket && holder.connected) {
+        console.warn('Refusing to join with a peer ID already in use:', peerId);
+        return;
+      }
+      
+      // A socket is in one room at a time, like the P2P service
+      leaveRoom(socket);
+      
+      socket.data.roomId = roomId;
+      socket.data.peerId = peerId;
+      socket.join(roomId);
+      
+      if (!rooms.has(roomId)) {
+        rooms.set(roomId, new Map());
+      }
+      rooms.get(roomId).set(peerId, socket);
+      
+      socket.emit('room-members', roomId, getRoomMembers(roomId).filter(memberId => memberId !== peerId));
+      socket.to(roomId).emit('user-connected', peerId);
+    });
+    
+    socket.on('get-room-members', (roomId, callback) => {
+      if (typeof callback === 'function') {
+        callback(isValidId(roomId) ? getRoomMembers(roomId) : []);
+      }
+    });
+    
+    socket.on('chat-message', (data) => {
+      const { roomId, peerId } = socket.data;
+      if (!data || typeof data !== 'object' || !roomId || data.roomId !== roomId) return;
+      
+      // Members can't send in someone else's name
+      const message = { ...data, from: peerId };
+      
+      if (data.to) {
+        const recipient = (rooms.get(roomId) || new Map()).get(data.to);
+        if (recipient) {
+          recipient.emit('chat-message', message);
+        }
+        return;
+      }
+      
+      socket.to(roomId).emit('chat-message', message);
+    });
+    
+    socket.on('disconnect', () => {
+      leaveRoom(socket);
+    });
+  });
+  
+  return { getRoomMembers };
+}
@@ -1,33 +1,56 @@
 // Background service worker for YouTube P2P Chat Extension
 // Handles P2P connections and message relay
+//
+// The P2P service itself runs in an offscreen document (MV3 service workers
+// can't keep WebRTC connections alive). This worker owns chrome.storage and
+// the tabs: it forwards commands to the offscreen document and relays
+// incoming messages to every YouTube tab in the room. A tab can have several
+// rooms open, every request from a tab names the room it is for.
 
 import { v4 as uuidv4 } from 'uuid';
+import {
+  saveRoom,
+  getMessage,
+  getMessagesForRoom,
+  getMessagesForRange,
+  getReactionsForRoom,
+  getRoomsForVideo,
+  searchMessages,
+  saveInvite
+} from '../services/storage-service';
+import { buildRoomId, parseRoomId, buildInviteUrl, DEFAULT_ROOM_MODE, ROOM_MODES } from '../utils/room-utils';
+import { generateRoomSecret, generateKeyId } from '../services/crypto-service';
+import { buildInviteToken } from '../services/room-invites';
+import { getIdentity } from '../services/identity-service';
+import { getSettings, onSettingsChanged } from '../services/settings-service';
+import { getModeration, onModerationChanged } from '../services/moderation-service';
 
-// Store active connections
-const connections = {};
-let peerId = null;
-let peerServer = null;
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen/index.html';
+let creatingOffscreenDocument = null;
+let tabRoomsUpdate = Promise.resolve();
 
 // Initialize when extension is installed or updated
 chrome.runtime.onInstalled.addListener(async () => {
   console.log('YouTube P2P Chat Extension installed');
   
-  // Generate or retrieve user ID
-  const storedData = await chrome.storage.local.get(['userId']);
-  if (!storedData.userId) {
-    const userId = uuidv4();
-    await chrome.storage.local.set({ userId });
-    console.log('New user ID generated:', userId);
-  }
+  // Generate or retrieve user ID and the signing key pair stored alongside it
+  const { userId } = await getIdentity();
+  console.log('User ID:', userId);
 });
 
-// Listen for messages from content script
+// Listen for messages from content script and offscreen document
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Background received message:', message);
+  // Commands for the offscreen document are not ours to handle
+  if (message.target === 'offscreen') {
+    return false;
+  }
+  
+  // Only the type, messages carry room secrets and invite tokens
+  console.log('Background received message:', message.type);
   
   if (message.type === 'INIT_P2P') {
     // Initialize P2P connection for a specific YouTube video
-    initializeP2P(message.videoId)
+    initializeP2P(message.videoId, message.roomOptions, sender.tab?.id)
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Indicates async response
@@ -35,102 +58,608 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   if (message.type === 'SEND_MESSAGE') {
     // Send message to peers
-    sendMessageToPeers(message.data)
+    sendMessageToPeers(message.data, sender.tab?.id)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'EDIT_MESSAGE' || message.type === 'DELETE_MESSAGE') {
+    // Change one of our own messages, the other tabs of the room see the updated message
+    reviseMessage(message, sender.tab?.id)
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Indicates async response
   }
   
-  if (message.type === 'JOIN_ROOM') {
-    // Join existing chat room
-    joinRoom(message.roomId)
+  if (message.type === 'SEND_REACTION') {
+    // React to a message, or take a reaction back
+    sendReaction(message.data, sender.tab?.id)
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Indicates async response
   }
+  
+  if (message.type === 'CANCEL_MESSAGE') {
+    // Remove a queued message before it's sent, tabs hear about it through its status
+    sendToTabRoom(sender.tab?.id, message.roomId, 'P2P_CANCEL', { messageId: message.messageId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'SEND_TYPING') {
+    // Tell the room we started or stopped typing
+    sendToTabRoom(sender.tab?.id, message.roomId, 'P2P_TYPING', { typing: message.typing, nickname: message.nickname })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'LEAVE_ROOM') {
+    // A tab closed one of its rooms, or all of them when reloaded without a roomId
+    // The P2P service leaves a room once no tab has it open
+    removeTabRoom(sender.tab?.id, message.roomId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'FOCUS_ROOM') {
+    // A tab switched to another of its rooms
+    focusTabRoom(sender.tab?.id, message.roomId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'CREATE_INVITE') {
+    // Invite link to a room of a tab, the popup names the tab, content scripts are one
+    createInvite(message.tabId || sender.tab?.id, message.roomId, message.options)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'GET_MESSAGES') {
+    // Load stored messages for the chat UI
+    getMessagesForRoom(message.roomId, message.limit)
+      .then(messages => sendResponse({ success: true, messages }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'GET_MESSAGE') {
+    // Load a single message, e.g. the original of a reply that isn't loaded in the UI
+    getMessage(message.messageId)
+      .then(storedMessage => sendResponse({ success: true, message: storedMessage || null }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'GET_MESSAGES_RANGE') {
+    // Load messages anchored between two playback positions for replay
+    getMessagesForRange(message.roomId, message.fromSec, message.toSec)
+      .then(messages => sendResponse({ success: true, messages }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'GET_REACTIONS') {
+    // Load the reactions of a room for the chat UI
+    getReactionsForRoom(message.roomId)
+      .then(reactions => sendResponse({ success: true, reactions }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'SEARCH_MESSAGES') {
+    // Search stored messages for the chat UI
+    searchMessages(message.roomId, message.query)
+      .then(messages => sendResponse({ success: true, messages }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_MESSAGE') {
+    // Incoming message from a peer, relayed by the offscreen document
+    broadcastToRoom(message.data.roomId, {
+      type: 'CHAT_MESSAGE',
+      data: message.data
+    });
+    return false;
+  }
+  
+  if (message.type === 'P2P_REACTION') {
+    // A peer reacted to a message or took a reaction back
+    broadcastToRoom(message.data.roomId, {
+      type: 'REACTION',
+      data: message.data
+    });
+    return false;
+  }
+  
+  if (message.type === 'P2P_CONNECTION_STATE') {
+    // The P2P service connected, switched transport or lost its connection
+    broadcastToRoom(message.data.roomId, {
+      type: 'CONNECTION_STATE',
+      data: message.data
+    });
+    return false;
+  }
+  
+  if (message.type === 'P2P_MESSAGE_STATUS') {
+    // A sent message was delivered or failed
+    broadcastToRoom(message.data.roomId, {
+      type: 'MESSAGE_STATUS',
+      data: message.data
+    });
+    return false;
+  }
+  
+  if (message.type === 'P2P_ROOM_SECRET') {
+    // The creator of our invite sent the room secret, or refused the invite
+    handleRoomSecret(message.data)
+      .catch(error => console.error('Failed to store room secret:', error));
+    return false;
+  }
+  
+  if (message.type === 'P2P_PRESENCE') {
+    // Someone joined, left, went idle or is typing
+    broadcastToRoom(message.data.roomId, {
+      type: 'PRESENCE',
+      data: message.data
+    });
+    return false;
+  }
+  
+  return false;
+});
+
+// Reconnect a running P2P service when the server settings change
+onSettingsChanged(async (settings) => {
+  try {
+    if (await hasOffscreenDocument()) {
+      await sendToOffscreen('P2P_UPDATE_SETTINGS', { settings });
+    }
+  } catch (error) {
+    console.error('Failed to apply new settings:', error);
+  }
+});
+
+// Apply mute and block lists and keyword filters to the running P2P service
+onModerationChanged(async (moderation) => {
+  try {
+    if (await hasOffscreenDocument()) {
+      await sendToOffscreen('P2P_UPDATE_MODERATION', { moderation });
+    }
+  } catch (error) {
+    console.error('Failed to apply moderation settings:', error);
+  }
+});
+
+// Leave the rooms of tabs that are closed, and stop the P2P service when no chat is open
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await removeTabRoom(tabId, null);
 });
 
 // Initialize P2P connection
-async function initializeP2P(videoId) {
+// Goes back to the room last used for the video, or uses the room mode chosen in the popup,
+// unless roomOptions override it. Invite links and the popup's room list pass { roomId },
+// invite links with the room key ({ roomSecret }) or an invite token ({ invite })
+async function initializeP2P(videoId, roomOptions, tabId) {
   try {
-    // This would be implemented with actual PeerJS code
-    // For this example, we're showing the structure
-    peerId = uuidv4();
+    const peerId = await getPeerId();
+    const identity = await getIdentity();
+    const settings = await getSettings();
+    const moderation = await getModeration();
+    const { nickname } = await chrome.storage.local.get(['nickname']);
     
-    // In a real implementation, this would initialize PeerJS
-    // const peer = new Peer(peerId, {
-    //   host: 'your-peerserver.com',
-    //   port: 443,
-    //   secure: true
-    // });
+    const { roomId, isNewRoom } = await pickRoom(videoId, roomOptions);
+    if (!parseRoomId(roomId)) {
+      throw new Error(`Invalid room ID: ${roomId}`);
+    }
     
-    // Create a room ID based on the video ID
-    const roomId = `yt-${videoId}-${uuidv4().substring(0, 8)}`;
+    // Also marks the room as the one last used for the video
+    await saveRoom({ id: roomId, videoId });
+    
+    if (roomOptions && roomOptions.roomSecret) {
+      await setRoomSecret(roomId, roomOptions.roomSecret);
+    }
+    
+    // New private rooms are end-to-end encrypted with a fresh secret
+    const invite = roomOptions && roomOptions.invite;
+    const roomSecret = await getRoomSecret(roomId, isNewRoom && parseRoomId(roomId).mode === ROOM_MODES.PRIVATE);
     
     // Store room info
-    await chrome.storage.local.set({ 
+    await chrome.storage.local.set({
       currentRoom: roomId,
       currentVideo: videoId
     });
+    await addTabRoom(tabId, roomId);
     
-    return { 
-      success: true, 
-      peerId, 
-      roomId 
+    // Connect through the P2P service in the offscreen document
+    const result = await sendToOffscreen('P2P_INIT', {
+      peerId,
+      identity,
+      nickname,
+      settings,
+      moderation,
+      videoId,
+      roomId,
+      roomSecret,
+      // The invite only matters while we don't know the room secret
+      invite: roomSecret ? null : invite
+    });
+    if (!result.success) {
+      return result;
+    }
+    
+    return {
+      success: true,
+      peerId: result.peerId,
+      roomId,
+      mode: parseRoomId(roomId).mode,
+      usingFallback: Boolean(result.usingFallback),
+      encrypted: Boolean(result.encrypted),
+      connectionState: result.connectionState,
+      members: result.members || [],
+      roomSecret
     };
   } catch (error) {
     console.error('Failed to initialize P2P:', error);
-    return { 
-      success: false, 
-      error: error.message 
+    return {
+      success: false,
+      error: error.message
     };
   }
 }
 
+// Pick the room a tab joins for a video: { roomId, isNewRoom }
+// Rooms opened by the page and the room last used for the video are reused, otherwise
+// a room ID is built from roomOptions or the room mode chosen in the popup
+async function pickRoom(videoId, roomOptions) {
+  if (roomOptions && roomOptions.roomId) {
+    return { roomId: roomOptions.roomId, isNewRoom: false };
+  }
+  
+  if (!roomOptions) {
+    const [lastRoom] = await getRoomsForVideo(videoId);
+    if (lastRoom) {
+      return { roomId: lastRoom.id, isNewRoom: false };
+    }
+  }
+  
+  // Create a room ID based on the video ID and the chosen room mode
+  const { roomMode, roomChannel } = await chrome.storage.local.get(['roomMode', 'roomChannel']);
+  const roomId = buildRoomId(videoId, roomOptions || {
+    mode: roomMode || DEFAULT_ROOM_MODE,
+    channel: roomChannel
+  });
+  return { roomId, isNewRoom: true };
+}
+
 // Send message to all connected peers
-async function sendMessageToPeers(messageData) {
+async function sendMessageToPeers(messageData, tabId) {
   try {
-    // In a real implementation, this would use PeerJS to send data
-    // Object.values(connections).forEach(conn => {
-    //   conn.send(messageData);
-    // });
+    // Messages always belong to one of the rooms of the tab that sent them
+    const roomId = await getTabRoom(tabId, messageData.roomId);
+    if (!roomId) {
+      throw new Error('Not in this chat room');
+    }
+    
+    const data = { ...messageData, roomId };
     
-    // Store message in local database
-    // This would be handled by a storage service in real implementation
+    // The P2P service persists the message through the storage service
+    const result = await sendToOffscreen('P2P_SEND', { data });
     
-    return { success: true };
+    if (result.success) {
+      // Show the signed message in other tabs of the same room
+      await broadcastToRoom(roomId, { type: 'CHAT_MESSAGE', data: result.message || data }, tabId);
+    }
+    
+    return result;
   } catch (error) {
     console.error('Failed to send message:', error);
-    return { 
-      success: false, 
-      error: error.message 
+    return {
+      success: false,
+      error: error.message
     };
   }
 }
 
-// Join an existing chat room
-async function joinRoom(roomId) {
+// Edit or delete one of our own messages
+async function reviseMessage({ type, roomId, messageId, text }, tabId) {
   try {
-    // In a real implementation, this would connect to peers in the room
+    const result = type === 'EDIT_MESSAGE'
+      ? await sendToTabRoom(tabId, roomId, 'P2P_EDIT', { messageId, text })
+      : await sendToTabRoom(tabId, roomId, 'P2P_DELETE', { messageId });
     
-    // Store current room
-    await chrome.storage.local.set({ currentRoom: roomId });
+    if (result.success && result.message) {
+      await broadcastToRoom(result.message.roomId, { type: 'CHAT_MESSAGE', data: result.message }, tabId);
+    }
     
-    return { 
-      success: true, 
-      roomId 
+    return result;
+  } catch (error) {
+    console.error('Failed to change message:', error);
+    return {
+      success: false,
+      error: error.message
     };
+  }
+}
+
+// React to a message in one of the tab's rooms
+async function sendReaction(reactionData, tabId) {
+  try {
+    const roomId = await getTabRoom(tabId, reactionData.roomId);
+    if (!roomId) {
+      throw new Error('Not in this chat room');
+    }
+    
+    const result = await sendToOffscreen('P2P_REACT', { data: { ...reactionData, roomId } });
+    
+    if (result.success) {
+      // Show the reaction in other tabs of the same room
+      await broadcastToRoom(result.reaction.roomId, { type: 'REACTION', data: result.reaction }, tabId);
+    }
+    
+    return result;
   } catch (error) {
-    console.error('Failed to join room:', error);
-    return { 
-      success: false, 
-      error: error.message 
+    console.error('Failed to send reaction:', error);
+    return {
+      success: false,
+      error: error.message
     };
   }
 }
 
-// Handle extension unload
-self.addEventListener('unload', () => {
-  // Clean up connections
-  // In a real implementation, this would close PeerJS connections
-});
+// Create an invite link to a room of a tab, the room the tab shows if none is named
+// options: { expiresIn (ms, 0 for never), singleUse }, only used for encrypted rooms,
+// whose links otherwise carry the room key itself
+async function createInvite(tabId, requestedRoomId, { expiresIn, singleUse } = {}) {
+  const roomId = await getTabRoom(tabId, requestedRoomId);
+  if (!roomId) {
+    return { success: false, error: 'No chat is open in this tab' };
+  }
+  
+  const roomSecret = await getRoomSecret(roomId, false);
+  if (!roomSecret || (!expiresIn && !singleUse)) {
+    return { success: true, url: buildInviteUrl(roomId, { roomSecret }), expiresAt: null };
+  }
+  
+  const invite = {
+    inviteId: generateKeyId(),
+    inviteKey: generateRoomSecret(),
+    roomId,
+    expiresAt: expiresIn ? Date.now() + expiresIn : null,
+    singleUse: Boolean(singleUse)
+  };
+  const result = await saveInvite(invite);
+  if (!result.success) {
+    return result;
+  }
+  
+  return {
+    success: true,
+    url: buildInviteUrl(roomId, { token: buildInviteToken(invite) }),
+    expiresAt: invite.expiresAt
+  };
+}
+
+// Store the room secret granted for an invite and tell the room's tabs, or tell them why there is none
+async function handleRoomSecret({ roomId, roomSecret, error }) {
+  if (roomSecret) {
+    await setRoomSecret(roomId, roomSecret);
+  }
+  
+  await broadcastToRoom(roomId, {
+    type: 'ROOM_SECRET',
+    data: { roomId, roomSecret: roomSecret || null, error: error || null }
+  });
+}
+
+// Get or create the peer ID of this installation
+async function getPeerId() {
+  const { peerId } = await chrome.storage.local.get(['peerId']);
+  if (peerId) {
+    return peerId;
+  }
+  
+  const newPeerId = uuidv4();
+  await chrome.storage.local.set({ peerId: newPeerId });
+  return newPeerId;
+}
+
+// Get the secret of an encrypted room, optionally creating one
+// Returns null for rooms that are not encrypted
+async function getRoomSecret(roomId, create) {
+  const { roomSecrets = {} } = await chrome.storage.local.get(['roomSecrets']);
+  if (roomSecrets[roomId] || !create) {
+    return roomSecrets[roomId] || null;
+  }
+  
+  return setRoomSecret(roomId, generateRoomSecret());
+}
+
+// Remember the secret of an encrypted room
+async function setRoomSecret(roomId, roomSecret) {
+  const { roomSecrets = {} } = await chrome.storage.local.get(['roomSecrets']);
+  roomSecrets[roomId] = roomSecret;
+  await chrome.storage.local.set({ roomSecrets });
+  return roomSecret;
+}
+
+// Get the rooms each YouTube tab has open: { tabId: [roomId] }, the room the tab shows last
+// Kept in session storage since the worker can be suspended at any time
+async function getTabRooms() {
+  const { tabRooms } = await chrome.storage.session.get(['tabRooms']);
+  return tabRooms || {};
+}
+
+// Change the rooms of the tabs, one change at a time so that concurrent requests
+// don't overwrite each other, and a tab leaving and reopening a room happens in order
+function updateTabRooms(update) {
+  const result = tabRoomsUpdate.then(async () => {
+    const tabRooms = await getTabRooms();
+    const value = await update(tabRooms);
+    await chrome.storage.session.set({ tabRooms });
+    return value;
+  });
+  
+  tabRoomsUpdate = result.catch(() => {});
+  return result;
+}
+
+// The room a request from a tab is for, null if the tab doesn't have it open
+// Without a roomId, the room the tab shows. Requests from outside a tab name their room.
+async function getTabRoom(tabId, roomId) {
+  if (tabId === undefined) {
+    return roomId || null;
+  }
+  
+  const tabRooms = await getTabRooms();
+  const rooms = tabRooms[tabId] || [];
+  
+  if (roomId) {
+    return rooms.includes(roomId) ? roomId : null;
+  }
+  return rooms[rooms.length - 1] || null;
+}
+
+// Add a room to a tab, as the room it shows
+async function addTabRoom(tabId, roomId) {
+  if (tabId === undefined) return;
+  
+  await updateTabRooms((tabRooms) => {
+    const rooms = (tabRooms[tabId] || []).filter(tabRoomId => tabRoomId !== roomId);
+    tabRooms[tabId] = [...rooms, roomId];
+  });
+}
+
+// Mark one of a tab's rooms as the room it shows
+async function focusTabRoom(tabId, roomId) {
+  if (tabId === undefined) return;
+  
+  await updateTabRooms((tabRooms) => {
+    const rooms = tabRooms[tabId] || [];
+    if (rooms.includes(roomId)) {
+      tabRooms[tabId] = [...rooms.filter(tabRoomId => tabRoomId !== roomId), roomId];
+    }
+  });
+}
+
+// Remove a room from a tab, or all of its rooms without a roomId
+// Rooms no tab has open anymore are left, and the P2P service stops when no chat is open
+async function removeTabRoom(tabId, roomId) {
+  if (tabId === undefined) return;
+  
+  await updateTabRooms(async (tabRooms) => {
+    const rooms = tabRooms[tabId] || [];
+    const removedRooms = rooms.filter(tabRoomId => !roomId || tabRoomId === roomId);
+    const remainingRooms = rooms.filter(tabRoomId => !removedRooms.includes(tabRoomId));
+    
+    if (remainingRooms.length > 0) {
+      tabRooms[tabId] = remainingRooms;
+    } else {
+      delete tabRooms[tabId];
+    }
+    
+    const openRooms = Object.values(tabRooms).flat();
+    if (openRooms.length === 0) {
+      await closeOffscreenDocument();
+      return;
+    }
+    
+    if (!(await hasOffscreenDocument())) return;
+    
+    for (const removedRoomId of removedRooms) {
+      if (!openRooms.includes(removedRoomId)) {
+        await sendToOffscreen('P2P_LEAVE_ROOM', { roomId: removedRoomId });
+      }
+    }
+  });
+}
+
+// Send a message to every tab that has a room open, optionally skipping one
+async function broadcastToRoom(roomId, message, exceptTabId) {
+  const tabRooms = await getTabRooms();
+  
+  Object.entries(tabRooms)
+    .filter(([tabId, rooms]) => rooms.includes(roomId) && Number(tabId) !== exceptTabId)
+    .forEach(([tabId]) => {
+      chrome.tabs.sendMessage(Number(tabId), message).catch((error) => {
+        console.error('Failed to relay message to tab:', tabId, error);
+      });
+    });
+}
+
+// Create the offscreen document that hosts the P2P service, if needed
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) {
+    return;
+  }
+  
+  // Several tabs may ask at once, only create the document one time
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: [chrome.offscreen.Reason.WEB_RTC],
+      justification: 'Keep peer-to-peer chat connections alive'
+    });
+  }
+  
+  try {
+    await creatingOffscreenDocument;
+  } finally {
+    creatingOffscreenDocument = null;
+  }
+}
+
+// Whether the offscreen document is running
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  
+  return contexts.length > 0;
+}
+
+// Close the offscreen document, which tears down all P2P connections
+async function closeOffscreenDocument() {
+  try {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT']
+    });
+    
+    if (contexts.length > 0) {
+      await chrome.offscreen.closeDocument();
+    }
+  } catch (error) {
+    console.error('Failed to close offscreen document:', error);
+  }
+}
+
+// Send a command for one of a tab's rooms to the P2P service
+async function sendToTabRoom(tabId, roomId, type, payload = {}) {
+  const tabRoomId = await getTabRoom(tabId, roomId);
+  if (!tabRoomId) {
+    return { success: false, error: 'Not in this chat room' };
+  }
+  
+  return sendToOffscreen(type, { ...payload, roomId: tabRoomId });
+}
+
+// Send a command to the P2P service in the offscreen document
+async function sendToOffscreen(type, payload = {}) {
+  await ensureOffscreenDocument();
+  
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type,
+    ...payload
+  });
+  
+  return response || { success: false, error: 'No response from P2P service' };
+}
@@ -0,0 +1,281 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+import { createChromeMock, sendRuntimeMessage } from '../test-utils/mock-chrome';
+import { parseInviteUrl } from '../utils/room-utils';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const OTHER_VIDEO_ID = 'jNQXAC9IVRw';
+const PUBLIC_ROOM_ID = `yt-${VIDEO_ID}`;
+const CHANNEL_ROOM_ID = `yt-${VIDEO_ID}#music`;
+const TAB_ID = 7;
+const OTHER_TAB_ID = 8;
+const THIRD_TAB_ID = 9;
+
+const chrome = createChromeMock();
+globalThis.chrome = chrome;
+
+await import('./index.js');
+const { db } = await import('../services/storage-service');
+
+// Commands the background sent to the offscreen document
+let offscreenCommands = [];
+
+// Answer commands for the offscreen document like the P2P service would
+chrome.runtime.sendMessage.mockImplementation(async (message) => {
+  if (message.target !== 'offscreen') return undefined;
+  
+  offscreenCommands.push(message);
+  if (message.type === 'P2P_INIT') {
+    return { success: true, peerId: `${message.peerId}-session`, connectionState: 'connected', members: [] };
+  }
+  return { success: true };
+});
+
+// Send a message from a YouTube tab
+function sendFromTab(tabId, message) {
+  return sendRuntimeMessage(chrome, message, { tab: { id: tabId } });
+}
+
+// Open the chat of a video in a tab, like a chat client does
+function initP2P(tabId, videoId, roomOptions) {
+  return sendFromTab(tabId, { type: 'INIT_P2P', videoId, roomOptions });
+}
+
+// The rooms each tab has open
+function getTabRooms() {
+  return chrome.storage.session.data.tabRooms;
+}
+
+// Rooms the P2P service was told to leave
+function getLeftRooms() {
+  return offscreenCommands
+    .filter(command => command.type === 'P2P_LEAVE_ROOM')
+    .map(command => command.roomId);
+}
+
+// Let messages the worker relays without answering reach the tabs
+function flushRelays() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('background worker', () => {
+  let now;
+  
+  beforeEach(async () => {
+    chrome.storage.local.data = {};
+    chrome.storage.session.data = {};
+    chrome.offscreen.isOpen = false;
+    offscreenCommands = [];
+    await db.rooms.clear();
+    
+    // Rooms are ordered by when they were last used, keep every use apart
+    now = Date.parse('2026-01-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => (now += 1000));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    Date.now.mockRestore();
+    console.log.mockRestore();
+    jest.clearAllMocks();
+  });
+  
+  describe('tab rooms', () => {
+    // Open rooms in tabs: { tabId: [roomId] }, in order
+    async function openRooms(rooms) {
+      for (const [tabId, roomIds] of Object.entries(rooms)) {
+        for (const roomId of roomIds) {
+          await initP2P(Number(tabId), VIDEO_ID, { roomId });
+        }
+      }
+    }
+    
+    test('a tab keeps every room it opens and shows the last one', async () => {
+      chrome.storage.local.data.peerId = 'install-a';
+      
+      const result = await initP2P(TAB_ID, VIDEO_ID, { roomId: PUBLIC_ROOM_ID });
+      await initP2P(TAB_ID, VIDEO_ID, { roomId: CHANNEL_ROOM_ID });
+      
+      // Every room gets a session with its own peer ID, derived from the installation's
+      expect(offscreenCommands[0]).toMatchObject({ type: 'P2P_INIT', peerId: 'install-a', roomId: PUBLIC_ROOM_ID });
+      expect(result.peerId).toBe('install-a-session');
+      expect(getTabRooms()).toEqual({ [TAB_ID]: [PUBLIC_ROOM_ID, CHANNEL_ROOM_ID] });
+      
+      // Requests without a room are for the room the tab shows
+      let invite = await sendFromTab(TAB_ID, { type: 'CREATE_INVITE' });
+      expect(parseInviteUrl(invite.url).roomId).toBe(CHANNEL_ROOM_ID);
+      
+      await sendFromTab(TAB_ID, { type: 'FOCUS_ROOM', roomId: PUBLIC_ROOM_ID });
+      invite = await sendFromTab(TAB_ID, { type: 'CREATE_INVITE' });
+      
+      expect(getTabRooms()).toEqual({ [TAB_ID]: [CHANNEL_ROOM_ID, PUBLIC_ROOM_ID] });
+      expect(parseInviteUrl(invite.url).roomId).toBe(PUBLIC_ROOM_ID);
+    });
+    
+    test('leaving one room of a tab keeps the others', async () => {
+      await openRooms({ [TAB_ID]: [PUBLIC_ROOM_ID, CHANNEL_ROOM_ID] });
+      
+      const result = await sendFromTab(TAB_ID, { type: 'LEAVE_ROOM', roomId: CHANNEL_ROOM_ID });
+      
+      expect(result).toEqual({ success: true });
+      expect(getTabRooms()).toEqual({ [TAB_ID]: [PUBLIC_ROOM_ID] });
+      expect(getLeftRooms()).toEqual([CHANNEL_ROOM_ID]);
+      expect(chrome.offscreen.closeDocument).not.toHaveBeenCalled();
+    });
+    
+    test('rooms another tab has open are not left', async () => {
+      await openRooms({ [TAB_ID]: [PUBLIC_ROOM_ID], [OTHER_TAB_ID]: [PUBLIC_ROOM_ID] });
+      
+      await sendFromTab(TAB_ID, { type: 'LEAVE_ROOM', roomId: PUBLIC_ROOM_ID });
+      
+      expect(getTabRooms()).toEqual({ [OTHER_TAB_ID]: [PUBLIC_ROOM_ID] });
+      expect(getLeftRooms()).toEqual([]);
+      expect(chrome.offscreen.isOpen).toBe(true);
+    });
+    
+    test('a reloaded tab leaves all of its rooms', async () => {
+      await openRooms({ [TAB_ID]: [PUBLIC_ROOM_ID, CHANNEL_ROOM_ID], [OTHER_TAB_ID]: [PUBLIC_ROOM_ID] });
+      
+      // The content script of the reloaded page doesn't know which rooms the tab had
+      await sendFromTab(TAB_ID, { type: 'LEAVE_ROOM' });
+      
+      expect(getTabRooms()).toEqual({ [OTHER_TAB_ID]: [PUBLIC_ROOM_ID] });
+      expect(getLeftRooms()).toEqual([CHANNEL_ROOM_ID]);
+    });
+    
+    test('a closed tab leaves all of its rooms', async () => {
+      await openRooms({ [TAB_ID]: [PUBLIC_ROOM_ID, CHANNEL_ROOM_ID], [OTHER_TAB_ID]: [PUBLIC_ROOM_ID] });
+      
+      await chrome.tabs.onRemoved.dispatch(TAB_ID, { isWindowClosing: false });
+      
+      expect(getTabRooms()).toEqual({ [OTHER_TAB_ID]: [PUBLIC_ROOM_ID] });
+      expect(getLeftRooms()).toEqual([CHANNEL_ROOM_ID]);
+    });
+    
+    test('the offscreen document closes with the last room', async () => {
+      await openRooms({ [TAB_ID]: [PUBLIC_ROOM_ID], [OTHER_TAB_ID]: [CHANNEL_ROOM_ID] });
+      expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+      
+      await chrome.tabs.onRemoved.dispatch(OTHER_TAB_ID, { isWindowClosing: false });
+      expect(chrome.offscreen.isOpen).toBe(true);
+      
+      await sendFromTab(TAB_ID, { type: 'LEAVE_ROOM', roomId: PUBLIC_ROOM_ID });
+      
+      // Closing the document ends every session, so the last room isn't left on its own
+      expect(getTabRooms()).toEqual({});
+      expect(chrome.offscreen.closeDocument).toHaveBeenCalledTimes(1);
+      expect(chrome.offscreen.isOpen).toBe(false);
+      expect(getLeftRooms()).toEqual([CHANNEL_ROOM_ID]);
+    });
+    
+    test('leaving rooms doesn\'t start the offscreen document', async () => {
+      await openRooms({ [TAB_ID]: [PUBLIC_ROOM_ID, CHANNEL_ROOM_ID] });
+      chrome.offscreen.isOpen = false;
+      
+      await sendFromTab(TAB_ID, { type: 'LEAVE_ROOM', roomId: CHANNEL_ROOM_ID });
+      
+      expect(getTabRooms()).toEqual({ [TAB_ID]: [PUBLIC_ROOM_ID] });
+      expect(getLeftRooms()).toEqual([]);
+      expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+    });
+    
+    test('messages from a room reach only the tabs that have it open', async () => {
+      await openRooms({
+        [TAB_ID]: [CHANNEL_ROOM_ID, PUBLIC_ROOM_ID],
+        [OTHER_TAB_ID]: [PUBLIC_ROOM_ID],
+        [THIRD_TAB_ID]: [CHANNEL_ROOM_ID]
+      });
+      
+      const data = { roomId: CHANNEL_ROOM_ID, messageId: 'message-1', text: 'hi' };
+      await sendRuntimeMessage(chrome, { type: 'P2P_MESSAGE', data });
+      await flushRelays();
+      
+      // Rooms in background tabs of the chat still hear about their messages
+      expect(chrome.tabs.sendMessage.mock.calls.map(([tabId]) => tabId).sort()).toEqual([TAB_ID, THIRD_TAB_ID]);
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(TAB_ID, { type: 'CHAT_MESSAGE', data });
+    });
+    
+    test('tabs only send to their own rooms, other tabs of the room see the message', async () => {
+      await openRooms({
+        [TAB_ID]: [PUBLIC_ROOM_ID, CHANNEL_ROOM_ID],
+        [OTHER_TAB_ID]: [PUBLIC_ROOM_ID],
+        [THIRD_TAB_ID]: [CHANNEL_ROOM_ID]
+      });
+      
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const refused = await sendFromTab(OTHER_TAB_ID, { type: 'SEND_MESSAGE', data: { roomId: CHANNEL_ROOM_ID, text: 'hi' } });
+      expect(refused).toEqual({ success: false, error: 'Not in this chat room' });
+      console.error.mockRestore();
+      
+      const sent = await sendFromTab(TAB_ID, { type: 'SEND_MESSAGE', data: { roomId: CHANNEL_ROOM_ID, text: 'hi' } });
+      await flushRelays();
+      
+      expect(sent).toEqual({ success: true });
+      expect(offscreenCommands.filter(command => command.type === 'P2P_SEND')).toEqual([
+        { target: 'offscreen', type: 'P2P_SEND', data: { roomId: CHANNEL_ROOM_ID, text: 'hi' } }
+      ]);
+      expect(chrome.tabs.sendMessage.mock.calls).toEqual([
+        [THIRD_TAB_ID, { type: 'CHAT_MESSAGE', data: { roomId: CHANNEL_ROOM_ID, text: 'hi' } }]
+      ]);
+    });
+  });
+  
+  test('room secrets and invite tokens stay out of the console', async () => {
+    await initP2P(TAB_ID, VIDEO_ID, { roomId: PUBLIC_ROOM_ID, roomSecret: 'secret-key', invite: 'invite-token' });
+    await sendRuntimeMessage(chrome, { type: 'P2P_ROOM_SECRET', data: { roomId: PUBLIC_ROOM_ID, roomSecret: 'granted-key' } });
+    
+    const logged = JSON.stringify(console.log.mock.calls);
+    expect(logged).toContain('P2P_ROOM_SECRET');
+    expect(logged).not.toMatch(/secret-key|invite-token|granted-key/);
+  });
+  
+  describe('room picking', () => {
+    test('a new video gets a room of the mode chosen in the popup', async () => {
+      chrome.storage.local.data.roomMode = 'channel';
+      chrome.storage.local.data.roomChannel = 'Music';
+      
+      const result = await initP2P(TAB_ID, VIDEO_ID);
+      
+      expect(result).toMatchObject({ success: true, roomId: CHANNEL_ROOM_ID, mode: 'channel' });
+      expect(offscreenCommands.find(command => command.type === 'P2P_INIT')).toMatchObject({
+        videoId: VIDEO_ID,
+        roomId: CHANNEL_ROOM_ID
+      });
+    });
+    
+    test('a room picked in the popup is reopened for its video after a reload', async () => {
+      // The tab first shows the video's public room
+      expect((await initP2P(TAB_ID, VIDEO_ID)).roomId).toBe(PUBLIC_ROOM_ID);
+      
+      // JOIN_ROOM from the popup's room list makes the chat open the room by ID
+      const joined = await initP2P(TAB_ID, VIDEO_ID, { roomId: CHANNEL_ROOM_ID });
+      expect(joined).toMatchObject({ success: true, roomId: CHANNEL_ROOM_ID });
+      
+      // A reloaded page leaves its rooms, then asks for the video's room without options
+      await sendFromTab(TAB_ID, { type: 'LEAVE_ROOM' });
+      const reopened = await initP2P(TAB_ID, VIDEO_ID);
+      
+      expect(reopened).toMatchObject({ success: true, roomId: CHANNEL_ROOM_ID });
+      expect(offscreenCommands.filter(command => command.type === 'P2P_INIT').pop().roomId).toBe(CHANNEL_ROOM_ID);
+    });
+    
+    test('the last room is remembered per video', async () => {
+      await initP2P(TAB_ID, VIDEO_ID, { roomId: CHANNEL_ROOM_ID });
+      
+      const otherVideo = await initP2P(TAB_ID, OTHER_VIDEO_ID);
+      expect(otherVideo.roomId).toBe(`yt-${OTHER_VIDEO_ID}`);
+      
+      await sendFromTab(TAB_ID, { type: 'LEAVE_ROOM' });
+      expect((await initP2P(TAB_ID, VIDEO_ID)).roomId).toBe(CHANNEL_ROOM_ID);
+    });
+    
+    test('invalid room IDs are refused', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const result = await initP2P(TAB_ID, VIDEO_ID, { roomId: 'not-a-room' });
+      
+      expect(result).toEqual({ success: false, error: 'Invalid room ID: not-a-room' });
+      expect(offscreenCommands).toEqual([]);
+      console.error.mockRestore();
+    });
+  });
+});
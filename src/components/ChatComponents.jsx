@@ -1,61 +1,319 @@
 // React components for YouTube P2P Chat Extension
 // Main UI components for the chat interface
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, useContext, createContext } from 'react';
 import DOMPurify from 'dompurify';
-import p2pService from '../services/p2p-service';
-import { getMessagesForRoom, searchMessages, saveMessage } from '../services/storage-service';
+import { v4 as uuidv4 } from 'uuid';
+import { ChatClient } from '../services/chat-client';
+import { getKeyFingerprint } from '../services/crypto-service';
+import { CONNECTION_STATES } from '../services/connection-supervisor';
+import {
+  DEFAULT_MODERATION,
+  MODERATION_ACTIONS,
+  getModeration,
+  onModerationChanged,
+  getModerationAction,
+  muteUser,
+  blockUser
+} from '../services/moderation-service';
+import { DEFAULT_SETTINGS } from '../services/settings-service';
+import { DOCK_MODES } from '../services/layout-service';
+import { getRoomDisplayName, getRoomTabName, INVITE_EXPIRY_OPTIONS } from '../utils/room-utils';
+import { formatVideoTime, hasVideoTime, parseTimestamps, splitTextByTimestamps } from '../utils/video-timestamps';
+import {
+  MESSAGE_STATUS,
+  REACTION_EMOJIS,
+  mergeMessage,
+  mergeReaction,
+  summarizeReactions,
+  getMessagePreview,
+  buildThreads
+} from '../utils/message-utils';
+
+// Replay reloads instead of appending when playback jumps further than this (seconds)
+const REPLAY_SEEK_THRESHOLD = 5;
+// How far back replay shows messages after enabling it or seeking (seconds)
+const REPLAY_WINDOW = 600;
+// While typing, the room is reminded this often (ms), peers drop the indicator after 5s
+const TYPING_RESEND_INTERVAL = 3000;
+// How long the original of a reply stays highlighted after jumping to it (ms)
+const HIGHLIGHT_DURATION = 2000;
+// Peers with the default limits drop longer messages
+const MAX_TEXT_LENGTH = DEFAULT_SETTINGS.limits.maxTextLength;
+// Unread counts above this show as 99+
+const MAX_UNREAD_BADGE = 99;
+
+// The chat client of the room a component belongs to
+const ChatClientContext = createContext(null);
+
+// Chat Widget Component
+// Rendered by the content script, with a tab per open room. Every room keeps its own
+// ChatContainer mounted, so rooms in the background stay connected and count unread messages.
+// initialRoom is the room the widget opens with and requestedRoom one opened later
+// ({ requestId, videoId, roomId } or { requestId, videoId, invite }), the other props go to every ChatContainer.
+// onPinnedChange tells the page whether to keep the widget and its rooms when moving to another video.
+export const ChatWidget = ({
+  initialRoom,
+  requestedRoom,
+  onPinnedChange,
+  dockMode,
+  onToggleDock,
+  onClose,
+  getVideoElement,
+  onSeekVideo
+}) => {
+  const [rooms, setRooms] = useState(() => [createRoomTab(initialRoom)]);
+  const [activeKey, setActiveKey] = useState(() => rooms[0].key);
+  const [isPinned, setIsPinned] = useState(false);
+  
+  // Switch to a room opened from the popup or by an invite link, adding a tab if it isn't open
+  useEffect(() => {
+    if (!requestedRoom) return;
+    
+    const roomId = requestedRoom.roomId || (requestedRoom.invite && requestedRoom.invite.roomId);
+    const existing = rooms.find(room => room.roomId === roomId);
+    if (existing) {
+      selectRoom(existing.key);
+      return;
+    }
+    
+    const room = createRoomTab(requestedRoom);
+    setRooms(prevRooms => [...prevRooms, room]);
+    setActiveKey(room.key);
+  }, [requestedRoom]);
+  
+  // Show a room and mark its messages as read
+  const selectRoom = (key) => {
+    setActiveKey(key);
+    setRooms(prevRooms => prevRooms.map(room => (room.key === key ? { ...room, unread: 0 } : room)));
+  };
+  
+  // Close a room's tab, closing the last one closes the widget
+  const closeRoom = (key) => {
+    if (rooms.length === 1) {
+      onClose();
+      return;
+    }
+    
+    const index = rooms.findIndex(room => room.key === key);
+    const remainingRooms = rooms.filter(room => room.key !== key);
+    setRooms(remainingRooms);
+    
+    if (key === activeKey) {
+      selectRoom(remainingRooms[Math.min(index, remainingRooms.length - 1)].key);
+    }
+  };
+  
+  // Keep the chat when the page moves to another video, or let it follow the video again
+  const togglePinned = () => {
+    setIsPinned(!isPinned);
+    if (onPinnedChange) {
+      onPinnedChange(!isPinned);
+    }
+  };
+  
+  // Update one room's tab
+  const updateRoom = (key, changes) => {
+    setRooms(prevRooms => prevRooms.map(room => (room.key === key ? { ...room, ...changes(room) } : room)));
+  };
+  
+  return (
+    <div className="yt-p2p-chat-widget">
+      {rooms.length > 1 && (
+        <div className="yt-p2p-room-tabs" role="tablist">
+          {rooms.map(room => (
+            <div
+              key={room.key}
+              role="tab"
+              aria-selected={room.key === activeKey}
+              className={`yt-p2p-room-tab ${room.key === activeKey ? 'yt-p2p-room-tab-active' : ''}`}
+              title={room.roomId ? getRoomDisplayName(room.roomId) : undefined}
+              onClick={() => selectRoom(room.key)}
+            >
+              <span className="yt-p2p-room-tab-name">
+                {room.roomId ? getRoomTabName(room.roomId) : 'Connecting...'}
+              </span>
+              {room.unread > 0 && (
+                <span className="yt-p2p-unread-badge">
+                  {room.unread > MAX_UNREAD_BADGE ? `${MAX_UNREAD_BADGE}+` : room.unread}
+                </span>
+              )}
+              <button
+                className="yt-p2p-room-tab-close"
+                title="Leave this room"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  closeRoom(room.key);
+                }}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {rooms.map(room => (
+        <ChatContainer
+          key={room.key}
+          videoId={room.videoId}
+          roomId={room.requestedRoomId}
+          invite={room.invite}
+          isActive={room.key === activeKey}
+          onRoomJoined={roomId => updateRoom(room.key, () => ({ roomId }))}
+          onUnread={() => updateRoom(room.key, prevRoom => ({ unread: prevRoom.unread + 1 }))}
+          isPinned={isPinned}
+          onTogglePinned={onPinnedChange ? togglePinned : null}
+          dockMode={dockMode}
+          onToggleDock={onToggleDock}
+          onClose={onClose}
+          getVideoElement={getVideoElement}
+          onSeekVideo={onSeekVideo}
+        />
+      ))}
+    </div>
+  );
+};
+
+// Tab of a room of a video opened with { roomId }, { invite } or neither, until it knows its room ID
+const createRoomTab = ({ videoId, roomId = null, invite = null }) => ({
+  key: uuidv4(),
+  videoId,
+  requestedRoomId: roomId,
+  invite,
+  roomId: roomId || (invite && invite.roomId) || null,
+  unread: 0
+});
 
 // Main Chat Container Component
-export const ChatContainer = ({ videoId, roomId }) => {
+// One room of the chat widget; onToggleDock, onClose, getVideoElement and onSeekVideo come from the page,
+// the last two take the video ID and only use the player while it plays the room's video,
+// roomId is a room picked in the popup, invite the room of an invite link the page was opened with:
+// { roomId, roomSecret, token }. Without either, the background picks the room for the video.
+// Only the active room is shown, onUnread is called for each new message while it isn't,
+// onRoomJoined with the room ID once connected.
+export const ChatContainer = ({
+  videoId,
+  roomId,
+  invite,
+  isActive = true,
+  onRoomJoined,
+  onUnread,
+  isPinned,
+  onTogglePinned,
+  dockMode,
+  onToggleDock,
+  onClose,
+  getVideoElement,
+  onSeekVideo
+}) => {
+  const [chatClient] = useState(() => new ChatClient());
   const [messages, setMessages] = useState([]);
   const [isConnected, setIsConnected] = useState(false);
+  const [connectionState, setConnectionState] = useState(chatClient.connectionState);
+  const [presence, setPresence] = useState(chatClient.members);
+  const [isEncrypted, setIsEncrypted] = useState(false);
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
   const [nickname, setNickname] = useState('Anonymous');
+  const [ownUserId, setOwnUserId] = useState(null);
+  const [reactions, setReactions] = useState([]);
+  const [isReplay, setIsReplay] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [moderation, setModeration] = useState(DEFAULT_MODERATION);
+  
+  // The page's player and seeking, for this room's video only
+  const getRoomVideoElement = useCallback(() => getVideoElement(videoId), [getVideoElement, videoId]);
+  const seekRoomVideo = useCallback(seconds => onSeekVideo(seconds, videoId), [onSeekVideo, videoId]);
+  
+  const replayMessages = useReplayMessages(
+    chatClient,
+    roomId || chatClient.roomId,
+    getVideoElement ? getRoomVideoElement : null,
+    isReplay && isConnected
+  );
+  
+  // Read by the message handlers registered once on connect
+  const unreadRef = useRef({ isActive, ownUserId, moderation, knownMessageIds: new Set() });
+  unreadRef.current.isActive = isActive;
+  unreadRef.current.ownUserId = ownUserId;
+  unreadRef.current.moderation = moderation;
   
   useEffect(() => {
     // Initialize chat when component mounts
+    chatClient.onConnectionState(setConnectionState);
+    chatClient.onPresence(setPresence);
+    chatClient.onRoomSecret(handleRoomSecret);
     initializeChat();
     
-    // Load user nickname
-    chrome.storage.local.get(['nickname'], (data) => {
+    // Load user nickname, and our user ID to tell our own reactions apart
+    chrome.storage.local.get(['nickname', 'userId'], (data) => {
       if (data.nickname) {
         setNickname(data.nickname);
       }
+      setOwnUserId(data.userId || null);
     });
     
+    // Hide messages of users muted or blocked, here or in another tab
+    getModeration().then(setModeration);
+    const stopWatchingModeration = onModerationChanged(setModeration);
+    
     // Clean up on unmount
     return () => {
-      p2pService.cleanup();
+      stopWatchingModeration();
+      chatClient.cleanup();
     };
   }, []);
   
+  // Tell the background which room the tab shows, e.g. for invite links from the popup
+  useEffect(() => {
+    if (isActive && isConnected) {
+      chatClient.focus().catch(error => console.error('Failed to focus room:', error));
+    }
+  }, [isActive, isConnected]);
+  
   // Initialize chat connection
   const initializeChat = async () => {
     try {
       let result;
       
       if (roomId) {
-        // Join existing room
-        result = await p2pService.joinRoom(roomId);
+        // Join the room picked in the popup, in its own tab next to the rooms already open
+        result = await chatClient.initialize(videoId, { roomId });
+      } else if (invite) {
+        // Join the room of an invite link, asking its members for the key if the link has a token instead
+        result = await chatClient.initialize(videoId, {
+          roomId: invite.roomId,
+          roomSecret: invite.roomSecret,
+          invite: invite.token
+        });
       } else {
         // Create new room for video
-        result = await p2pService.initialize(videoId);
+        result = await chatClient.initialize(videoId);
       }
       
       if (result.success) {
         setIsConnected(true);
+        setIsEncrypted(chatClient.encrypted);
+        setConnectionState(chatClient.connectionState);
+        
+        if (onRoomJoined) {
+          onRoomJoined(result.roomId);
+        }
         
         // Load previous messages
-        const previousMessages = await getMessagesForRoom(result.roomId);
+        const previousMessages = await chatClient.getMessagesForRoom(result.roomId);
+        previousMessages.forEach(message => unreadRef.current.knownMessageIds.add(message.messageId));
         setMessages(previousMessages);
+        setReactions(await chatClient.getReactionsForRoom(result.roomId));
         
-        // Register message handler
-        p2pService.onMessage((data) => {
-          setMessages(prevMessages => [...prevMessages, data]);
+        // Register message handlers, relayed copies of a message replace each other
+        chatClient.onMessage(handleMessageUpdated);
+        chatClient.onMessageStatus(applyMessageStatus);
+        chatClient.onReaction((reaction) => {
+          setReactions(prevReactions => mergeReaction(prevReactions, reaction));
         });
       } else {
         setError('Failed to connect to chat');
@@ -65,6 +323,89 @@ export const ChatContainer = ({ videoId, roomId }) => {
     }
   };
   
+  // The room key arrived for the invite we joined with, or the invite was refused
+  const handleRoomSecret = ({ roomSecret, error: inviteError }) => {
+    if (roomSecret) {
+      setIsEncrypted(true);
+      setError(null);
+    } else if (inviteError) {
+      setError(inviteError);
+    }
+  };
+  
+  // Apply a delivery state change, a delivered message stays delivered
+  const applyMessageStatus = ({ messageId, status }) => {
+    if (status === MESSAGE_STATUS.CANCELLED) {
+      setMessages(prevMessages => prevMessages.filter(message => message.messageId !== messageId));
+      return;
+    }
+    
+    setMessages(prevMessages => prevMessages.map(message => (
+      message.messageId === messageId && message.status !== MESSAGE_STATUS.DELIVERED
+        ? { ...message, status }
+        : message
+    )));
+  };
+  
+  // Show our own message, first as pending and again once the service signed it
+  const handleMessageSent = (message) => {
+    unreadRef.current.knownMessageIds.add(message.messageId);
+    setMessages(prevMessages => {
+      const existingMessage = prevMessages.find(prevMessage => prevMessage.messageId === message.messageId);
+      const lastMessage = prevMessages[prevMessages.length - 1];
+      
+      return mergeMessage(prevMessages, {
+        ...message,
+        // Until the service assigns it, the clock is the next one after what we have seen
+        clock: message.clock || ((lastMessage && lastMessage.clock) || 0) + 1,
+        status: existingMessage && existingMessage.status === MESSAGE_STATUS.DELIVERED
+          ? MESSAGE_STATUS.DELIVERED
+          : message.status
+      });
+    });
+  };
+  
+  // Show an edited or deleted message in place of the earlier copy
+  const handleMessageUpdated = (message) => {
+    countUnread(message);
+    setMessages(prevMessages => mergeMessage(prevMessages, message));
+    setSearchResults(prevResults => prevResults.map(result => (
+      result.messageId === message.messageId ? message : result
+    )));
+  };
+  
+  // Count new messages from others we would see while the room isn't shown
+  // Edits and deletions of known messages, our own messages and hidden messages don't count
+  const countUnread = (message) => {
+    const { isActive: isShown, ownUserId: userId, moderation: currentModeration, knownMessageIds } = unreadRef.current;
+    if (knownMessageIds.has(message.messageId)) return;
+    
+    knownMessageIds.add(message.messageId);
+    if (isShown || !onUnread || message.deleted || message.userId === userId) return;
+    
+    if (!getModerationAction(message, currentModeration)) {
+      onUnread();
+    }
+  };
+  
+  // Stored messages from before a user was muted or blocked, or a filter was added, are hidden too
+  const isVisible = message => message.userId === ownUserId || !getModerationAction(message, moderation);
+  
+  // Active reactions per message, with the ones that are ours
+  const reactionSummary = useMemo(() => summarizeReactions(reactions, ownUserId), [reactions, ownUserId]);
+  
+  // Add our reaction to a message, or take it back if it's already there
+  const toggleReaction = async (message, emoji) => {
+    const existing = (reactionSummary[message.messageId] || []).find(entry => entry.emoji === emoji);
+    const result = await chatClient.sendReaction(message.messageId, emoji, !(existing && existing.mine));
+    
+    if (result.success) {
+      setReactions(prevReactions => mergeReaction(prevReactions, result.reaction));
+    } else {
+      setError(`Failed to react: ${result.error}`);
+    }
+  };
+  
   // Handle search
   const handleSearch = async () => {
     if (!searchQuery.trim()) {
@@ -74,7 +415,7 @@ export const ChatContainer = ({ videoId, roomId }) => {
     }
     
     setIsSearching(true);
-    const results = await searchMessages(roomId || p2pService.roomId, searchQuery);
+    const results = await chatClient.searchMessages(roomId || chatClient.roomId, searchQuery);
     setSearchResults(results);
   };
   
@@ -85,44 +426,182 @@ export const ChatContainer = ({ videoId, roomId }) => {
     setSearchResults([]);
   };
   
+  // Room members seen so far, with the fingerprint of their signing key
+  const members = Object.values(messages.reduce((result, message) => {
+    if (message.userId && message.fingerprint) {
+      result[message.userId] = {
+        userId: message.userId,
+        nickname: message.nickname || 'Anonymous',
+        fingerprint: message.fingerprint,
+        verified: message.verified !== false
+      };
+    }
+    return result;
+  }, {}));
+  
   return (
-    <div className="yt-p2p-chat-container">
-      <ChatHeader 
-        isConnected={isConnected} 
-        roomId={roomId || p2pService.roomId}
-        nickname={nickname}
-        setNickname={setNickname}
-      />
+    <ChatClientContext.Provider value={chatClient}>
+      <div className={`yt-p2p-chat-container ${isActive ? '' : 'hidden'}`}>
+        <ChatHeader 
+          isConnected={isConnected} 
+          connectionState={connectionState}
+          isEncrypted={isEncrypted}
+          roomSecret={chatClient.roomSecret}
+          roomId={roomId || chatClient.roomId}
+          members={members}
+          presence={presence}
+          nickname={nickname}
+          setNickname={setNickname}
+          isPinned={isPinned}
+          onTogglePinned={onTogglePinned}
+          dockMode={dockMode}
+          onToggleDock={onToggleDock}
+          onClose={onClose}
+        />
+        
+        <SearchBar 
+          searchQuery={searchQuery}
+          setSearchQuery={setSearchQuery}
+          handleSearch={handleSearch}
+          clearSearch={clearSearch}
+        />
+        
+        {error && <ErrorMessage message={error} />}
+        
+        <MessageList 
+          messages={(isSearching ? searchResults : (isReplay ? replayMessages : messages)).filter(isVisible)}
+          isSearchResults={isSearching}
+          isReplay={isReplay}
+          onToggleReplay={getVideoElement ? () => setIsReplay(!isReplay) : null}
+          onSeekVideo={onSeekVideo ? seekRoomVideo : null}
+          onReply={setReplyingTo}
+          reactionSummary={reactionSummary}
+          onToggleReaction={toggleReaction}
+          onMessageUpdated={handleMessageUpdated}
+        />
+        
+        <TypingIndicator presence={presence.filter(member => member.self || isVisible({ userId: member.userId }))} />
+        
+        <InputBox 
+          nickname={nickname}
+          roomId={roomId || chatClient.roomId}
+          getVideoElement={getVideoElement ? getRoomVideoElement : null}
+          replyingTo={replyingTo}
+          onCancelReply={() => setReplyingTo(null)}
+          onMessageSent={handleMessageSent}
+          onMessageStatus={applyMessageStatus}
+        />
+      </div>
+    </ChatClientContext.Provider>
+  );
+};
+
+// Replay stored messages as video playback reaches the moment they were sent
+const useReplayMessages = (chatClient, roomId, getVideoElement, isEnabled) => {
+  const [replayMessages, setReplayMessages] = useState([]);
+  const lastTimeRef = useRef(0);
+  
+  useEffect(() => {
+    const video = getVideoElement && getVideoElement();
+    if (!isEnabled || !video || !roomId) {
+      setReplayMessages([]);
+      return undefined;
+    }
+    
+    let isActive = true;
+    
+    // Load the messages leading up to the current position
+    const reload = async () => {
+      // The player moved on to another video, e.g. while the chat is pinned
+      if (getVideoElement() !== video) return;
       
-      <SearchBar 
-        searchQuery={searchQuery}
-        setSearchQuery={setSearchQuery}
-        handleSearch={handleSearch}
-        clearSearch={clearSearch}
-      />
+      const toSec = video.currentTime;
+      lastTimeRef.current = toSec;
+      const messages = await chatClient.getMessagesForRange(roomId, Math.max(0, toSec - REPLAY_WINDOW), toSec);
+      if (isActive) {
+        setReplayMessages(messages);
+      }
+    };
+    
+    // Append messages for the stretch of video played since the last update
+    const advance = async () => {
+      if (getVideoElement() !== video) return;
       
-      {error && <ErrorMessage message={error} />}
+      const fromSec = lastTimeRef.current;
+      const toSec = video.currentTime;
       
-      <MessageList 
-        messages={isSearching ? searchResults : messages} 
-        isSearchResults={isSearching}
-      />
+      if (toSec < fromSec || toSec - fromSec > REPLAY_SEEK_THRESHOLD) {
+        reload();
+        return;
+      }
       
-      <InputBox 
-        nickname={nickname}
-        roomId={roomId || p2pService.roomId}
-        onMessageSent={(message) => {
-          setMessages(prevMessages => [...prevMessages, message]);
-        }}
-      />
-    </div>
-  );
+      if (toSec === fromSec) return;
+      
+      lastTimeRef.current = toSec;
+      const messages = await chatClient.getMessagesForRange(roomId, fromSec, toSec);
+      
+      // The range is inclusive, messages at fromSec are already shown
+      const newMessages = messages.filter(message => message.videoTime > fromSec);
+      if (isActive && newMessages.length > 0) {
+        setReplayMessages(prevMessages => [...prevMessages, ...newMessages]);
+      }
+    };
+    
+    reload();
+    video.addEventListener('timeupdate', advance);
+    video.addEventListener('seeked', reload);
+    
+    return () => {
+      isActive = false;
+      video.removeEventListener('timeupdate', advance);
+      video.removeEventListener('seeked', reload);
+    };
+  }, [roomId, getVideoElement, isEnabled]);
+  
+  return replayMessages;
+};
+
+// Header text for each connection state
+const CONNECTION_LABELS = {
+  [CONNECTION_STATES.CONNECTING]: 'Connecting...',
+  [CONNECTION_STATES.P2P]: 'Connected',
+  [CONNECTION_STATES.RELAYED]: 'Connected via relay',
+  [CONNECTION_STATES.OFFLINE]: 'Offline'
 };
 
 // Chat Header Component
-const ChatHeader = ({ isConnected, roomId, nickname, setNickname }) => {
+// presence: who is in the room right now, members: everyone whose messages we have, with their key
+// isPinned: whether the chat stays open with its rooms on other videos, toggled with onTogglePinned
+// dockMode: where the page placed the widget, onToggleDock switches between floating and the sidebar
+const ChatHeader = ({
+  isConnected,
+  connectionState,
+  isEncrypted,
+  roomSecret,
+  roomId,
+  members,
+  presence,
+  nickname,
+  setNickname,
+  isPinned,
+  onTogglePinned,
+  dockMode,
+  onToggleDock,
+  onClose
+}) => {
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isPresenceOpen, setIsPresenceOpen] = useState(false);
   const [tempNickname, setTempNickname] = useState(nickname);
+  const [ownFingerprint, setOwnFingerprint] = useState(null);
+  
+  useEffect(() => {
+    // Fingerprint of our own signing key, for comparing with other members out of band
+    chrome.storage.local.get(['signingKeys'], async (data) => {
+      if (data.signingKeys) {
+        setOwnFingerprint(await getKeyFingerprint(data.signingKeys.publicKey));
+      }
+    });
+  }, []);
   
   const saveNickname = () => {
     const sanitizedNickname = DOMPurify.sanitize(tempNickname.trim());
@@ -136,20 +615,65 @@ const ChatHeader = ({ isConnected, roomId, nickname, setNickname }) => {
   return (
     <div className="yt-p2p-chat-header">
       <div className="yt-p2p-chat-title">
-        P2P Chat {isConnected ? '(Connected)' : '(Connecting...)'}
+        P2P Chat ({isConnected ? CONNECTION_LABELS[connectionState] : CONNECTION_LABELS[CONNECTION_STATES.CONNECTING]})
+        {isEncrypted && (
+          <span className="yt-p2p-encrypted-badge" title="Messages in this room are end-to-end encrypted">
+            🔒
+          </span>
+        )}
+        {roomId && <div className="yt-p2p-chat-subtitle">{getRoomDisplayName(roomId)}</div>}
       </div>
       
       <div className="yt-p2p-chat-controls">
+        {presence.length > 0 && (
+          <button
+            className="yt-p2p-presence-button"
+            title="Who's here"
+            onClick={() => {
+              setIsPresenceOpen(!isPresenceOpen);
+              setIsSettingsOpen(false);
+            }}
+          >
+            👥 {presence.length}
+          </button>
+        )}
+        
+        {onTogglePinned && (
+          <button
+            className={`yt-p2p-pin-button ${isPinned ? 'yt-p2p-pin-button-active' : ''}`}
+            title={isPinned ? 'Pinned: the chat stays open on other videos' : 'Keep this chat open on other videos'}
+            aria-pressed={isPinned}
+            onClick={onTogglePinned}
+          >
+            📌
+          </button>
+        )}
+        
+        {onToggleDock && dockMode && dockMode !== DOCK_MODES.OVERLAY && (
+          <button
+            className="yt-p2p-dock-button"
+            title={dockMode === DOCK_MODES.SIDEBAR ? 'Float the chat over the page' : 'Dock the chat next to the video'}
+            onClick={onToggleDock}
+          >
+            {dockMode === DOCK_MODES.SIDEBAR ? '⧉' : '◨'}
+          </button>
+        )}
+        
         <button 
           className="yt-p2p-settings-button"
-          onClick={() => setIsSettingsOpen(!isSettingsOpen)}
+          onClick={() => {
+            setIsSettingsOpen(!isSettingsOpen);
+            setIsPresenceOpen(false);
+          }}
         >
           ⚙️
         </button>
         
-        <button className="yt-p2p-close-button">×</button>
+        <button className="yt-p2p-close-button" onClick={onClose}>×</button>
       </div>
       
+      {isPresenceOpen && <PresenceList presence={presence} />}
+      
       {isSettingsOpen && (
         <div className="yt-p2p-settings-panel">
           <div className="yt-p2p-settings-item">
@@ -169,6 +693,39 @@ const ChatHeader = ({ isConnected, roomId, nickname, setNickname }) => {
             </button>
           </div>
           
+          {isEncrypted && roomSecret && (
+            <div className="yt-p2p-settings-item">
+              <label>Room Key:</label>
+              <input type="password" value={roomSecret} readOnly />
+              <button onClick={() => navigator.clipboard.writeText(roomSecret)}>
+                Copy
+              </button>
+            </div>
+          )}
+          
+          <InviteLink isEncrypted={isEncrypted} />
+          
+          {ownFingerprint && (
+            <div className="yt-p2p-settings-item">
+              <label>Your Key:</label>
+              <span className="yt-p2p-fingerprint">{ownFingerprint}</span>
+            </div>
+          )}
+          
+          {members.length > 0 && (
+            <div className="yt-p2p-members">
+              <label>Members:</label>
+              {members.map(member => (
+                <div key={member.userId} className="yt-p2p-member">
+                  <span>{member.nickname}</span>
+                  <span className="yt-p2p-fingerprint">
+                    {member.verified ? member.fingerprint : `⚠ ${member.fingerprint}`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          
           <div className="yt-p2p-settings-actions">
             <button onClick={saveNickname}>Save</button>
             <button onClick={() => setIsSettingsOpen(false)}>Cancel</button>
@@ -179,6 +736,80 @@ const ChatHeader = ({ isConnected, roomId, nickname, setNickname }) => {
   );
 };
 
+// Copy a link that opens the video and joins the room
+// Links to encrypted rooms can expire or work once, those only work while we are in the room
+const InviteLink = ({ isEncrypted }) => {
+  const chatClient = useContext(ChatClientContext);
+  const [expiresIn, setExpiresIn] = useState(0);
+  const [singleUse, setSingleUse] = useState(false);
+  const [status, setStatus] = useState('');
+  
+  const copyInviteLink = async () => {
+    const result = await chatClient.createInvite({ expiresIn, singleUse });
+    if (!result.success) {
+      setStatus(result.error || 'Failed to create invite link');
+      return;
+    }
+    
+    await navigator.clipboard.writeText(result.url);
+    setStatus(result.expiresAt ? `Copied, valid until ${new Date(result.expiresAt).toLocaleString()}` : 'Copied');
+  };
+  
+  return (
+    <>
+      <div className="yt-p2p-settings-item">
+        <label>Invite:</label>
+        {isEncrypted && (
+          <select value={expiresIn} onChange={(e) => setExpiresIn(Number(e.target.value))}>
+            {INVITE_EXPIRY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )}
+        <button onClick={copyInviteLink}>Copy invite link</button>
+      </div>
+      
+      {isEncrypted && (
+        <label className="yt-p2p-invite-option" title="Expiring and single-use links only work while you are in the room">
+          <input type="checkbox" checked={singleUse} onChange={(e) => setSingleUse(e.target.checked)} />
+          Single use
+        </label>
+      )}
+      
+      {status && <div className="yt-p2p-invite-status">{status}</div>}
+    </>
+  );
+};
+
+// Members currently in the room, with whether they are idle
+const PresenceList = ({ presence }) => {
+  return (
+    <div className="yt-p2p-settings-panel yt-p2p-presence-list">
+      {presence.map(member => (
+        <div
+          key={member.peerId || member.userId}
+          className={`yt-p2p-presence-member ${member.idle ? 'yt-p2p-presence-idle' : ''}`}
+          title={member.fingerprint ? `Key fingerprint: ${member.fingerprint}` : undefined}
+        >
+          <span>
+            {member.nickname}
+            {member.self && ' (you)'}
+            {member.verified === false && (
+              <span
+                className="yt-p2p-unverified-badge"
+                title="This user's signing key changed since they were last seen, it may be someone else"
+              >
+                ⚠
+              </span>
+            )}
+          </span>
+          <span>{member.typing ? 'typing…' : (member.idle ? 'idle' : 'active')}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 // Search Bar Component
 const SearchBar = ({ searchQuery, setSearchQuery, handleSearch, clearSearch }) => {
   return (
@@ -201,8 +832,27 @@ const SearchBar = ({ searchQuery, setSearchQuery, handleSearch, clearSearch }) =
 };
 
 // Message List Component
-const MessageList = ({ messages, isSearchResults }) => {
+// In replay mode, messages show up as playback reaches the moment they were sent,
+// in thread view replies are collapsed under the message that started the thread
+const MessageList = ({
+  messages,
+  isSearchResults,
+  isReplay,
+  onToggleReplay,
+  onSeekVideo,
+  onReply,
+  reactionSummary,
+  onToggleReaction,
+  onMessageUpdated
+}) => {
   const messagesEndRef = useRef(null);
+  const messageRefs = useRef({});
+  const [isThreaded, setIsThreaded] = useState(false);
+  const [expandedThreads, setExpandedThreads] = useState({});
+  const [highlightedId, setHighlightedId] = useState(null);
+  
+  const messagesById = useMemo(() => new Map(messages.map(message => [message.messageId, message])), [messages]);
+  const threads = useMemo(() => (isThreaded ? buildThreads(messages) : []), [messages, isThreaded]);
   
   useEffect(() => {
     // Scroll to bottom when new messages arrive (but not for search results)
@@ -211,15 +861,98 @@ const MessageList = ({ messages, isSearchResults }) => {
     }
   }, [messages, isSearchResults]);
   
+  useEffect(() => {
+    // Scroll to a message we jumped to once it's rendered, and fade the highlight out
+    if (!highlightedId) return undefined;
+    
+    const element = messageRefs.current[highlightedId];
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    
+    const timer = setTimeout(() => setHighlightedId(null), HIGHLIGHT_DURATION);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+  
+  // Jump to the original of a reply, expanding its thread if it's collapsed
+  const jumpToMessage = (messageId) => {
+    if (isThreaded) {
+      const thread = threads.find(candidate => candidate.replies.some(reply => reply.messageId === messageId));
+      if (thread) {
+        setExpandedThreads(prevExpanded => ({ ...prevExpanded, [thread.message.messageId]: true }));
+      }
+    }
+    setHighlightedId(messageId);
+  };
+  
+  const toggleThread = (messageId) => {
+    setExpandedThreads(prevExpanded => ({ ...prevExpanded, [messageId]: !prevExpanded[messageId] }));
+  };
+  
+  const renderMessage = (message, index) => (
+    <MessageItem
+      key={message.messageId || index}
+      message={message}
+      original={message.replyTo ? messagesById.get(message.replyTo) : null}
+      isHighlighted={Boolean(message.messageId) && message.messageId === highlightedId}
+      messageRef={(element) => {
+        if (element) {
+          messageRefs.current[message.messageId] = element;
+        } else {
+          delete messageRefs.current[message.messageId];
+        }
+      }}
+      onJumpToMessage={jumpToMessage}
+      onReply={onReply}
+      reactions={reactionSummary[message.messageId] || []}
+      onToggleReaction={onToggleReaction}
+      onMessageUpdated={onMessageUpdated}
+      onSeekVideo={onSeekVideo}
+    />
+  );
+  
   return (
     <div className="yt-p2p-chat-messages">
+      {!isSearchResults && (
+        <div className="yt-p2p-list-bar">
+          {onToggleReplay && (
+            <label>
+              <input type="checkbox" checked={isReplay} onChange={onToggleReplay} />
+              Replay with video
+            </label>
+          )}
+          <label>
+            <input type="checkbox" checked={isThreaded} onChange={() => setIsThreaded(!isThreaded)} />
+            Threads
+          </label>
+        </div>
+      )}
+      
       {isSearchResults && messages.length === 0 && (
         <div className="yt-p2p-no-results">No messages found</div>
       )}
       
-      {messages.map((message, index) => (
-        <MessageItem key={index} message={message} />
-      ))}
+      {isReplay && !isSearchResults && messages.length === 0 && (
+        <div className="yt-p2p-no-results">No messages up to this point of the video</div>
+      )}
+      
+      {isThreaded ? threads.map(({ message, replies }, index) => (
+        <React.Fragment key={message.messageId || index}>
+          {renderMessage(message, index)}
+          {replies.length > 0 && (
+            <button className="yt-p2p-thread-toggle" onClick={() => toggleThread(message.messageId)}>
+              {expandedThreads[message.messageId]
+                ? 'Hide replies'
+                : `${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}`}
+            </button>
+          )}
+          {replies.length > 0 && expandedThreads[message.messageId] && (
+            <div className="yt-p2p-thread-replies">
+              {replies.map(renderMessage)}
+            </div>
+          )}
+        </React.Fragment>
+      )) : messages.map(renderMessage)}
       
       <div ref={messagesEndRef} />
     </div>
@@ -227,9 +960,26 @@ const MessageList = ({ messages, isSearchResults }) => {
 };
 
 // Individual Message Component
-const MessageItem = ({ message }) => {
+// original is the message this one replies to, when it's in the list
+// reactions are the message's active reactions from summarizeReactions
+const MessageItem = ({
+  message,
+  original,
+  isHighlighted,
+  messageRef,
+  onJumpToMessage,
+  onReply,
+  reactions,
+  onToggleReaction,
+  onMessageUpdated,
+  onSeekVideo
+}) => {
+  const chatClient = useContext(ChatClientContext);
+  
   // Check if this is the user's own message
   const [isOwnMessage, setIsOwnMessage] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState('');
   
   useEffect(() => {
     chrome.storage.local.get(['userId'], (data) => {
@@ -237,20 +987,340 @@ const MessageItem = ({ message }) => {
     });
   }, [message.userId]);
   
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  
+  // Only signed messages can be changed, peers check the edit against the original's key
+  const canChange = isOwnMessage && Boolean(message.signature) && !message.deleted && Boolean(onMessageUpdated);
+  
+  const startEditing = () => {
+    setEditText(message.text);
+    setIsEditing(true);
+  };
+  
+  const saveEdit = async () => {
+    if (!editText.trim() || editText === message.text) {
+      setIsEditing(false);
+      return;
+    }
+    
+    const result = await chatClient.editMessage(message.messageId, editText);
+    if (result.success) {
+      onMessageUpdated(result.message);
+      setIsEditing(false);
+    } else {
+      console.error('Failed to edit message:', result.error);
+    }
+  };
+  
+  // Context menu with moderation actions for other users' messages
+  const openMenu = (e) => {
+    if (isOwnMessage || !message.userId) return;
+    
+    e.preventDefault();
+    setIsMenuOpen(true);
+  };
+  
+  const moderateUser = async (action) => {
+    setIsMenuOpen(false);
+    const nickname = message.nickname || 'Anonymous';
+    
+    if (action === MODERATION_ACTIONS.BLOCK && !window.confirm(`Block ${nickname}? You won't see their messages or connect to them again.`)) {
+      return;
+    }
+    
+    const result = action === MODERATION_ACTIONS.BLOCK
+      ? await blockUser(message.userId, nickname)
+      : await muteUser(message.userId, nickname);
+    if (!result.success) {
+      console.error('Failed to update moderation settings:', result.error);
+    }
+  };
+  
+  const deleteMessage = async () => {
+    if (!window.confirm('Delete this message for everyone in the room?')) return;
+    
+    const result = await chatClient.deleteMessage(message.messageId);
+    if (result.success) {
+      onMessageUpdated(result.message);
+    } else {
+      console.error('Failed to delete message:', result.error);
+    }
+  };
+  
   return (
-    <div className={`yt-p2p-message ${isOwnMessage ? 'yt-p2p-own-message' : 'yt-p2p-peer-message'}`}>
-      <div className="yt-p2p-message-name">{message.nickname || 'Anonymous'}</div>
-      <div className="yt-p2p-message-text">{message.text}</div>
+    <div
+      ref={messageRef}
+      className={`yt-p2p-message ${isOwnMessage ? 'yt-p2p-own-message' : 'yt-p2p-peer-message'} ${isHighlighted ? 'yt-p2p-message-highlight' : ''}`}
+      onContextMenu={openMenu}
+      onMouseLeave={() => setIsMenuOpen(false)}
+    >
+      {isMenuOpen && (
+        <div className="yt-p2p-context-menu">
+          <button onClick={() => moderateUser(MODERATION_ACTIONS.MUTE)}>Mute {message.nickname || 'Anonymous'}</button>
+          <button onClick={() => moderateUser(MODERATION_ACTIONS.BLOCK)}>Block {message.nickname || 'Anonymous'}</button>
+        </div>
+      )}
+      <div
+        className="yt-p2p-message-name"
+        title={message.fingerprint ? `Key fingerprint: ${message.fingerprint}` : undefined}
+      >
+        {message.nickname || 'Anonymous'}
+        {message.verified === false && (
+          <span
+            className="yt-p2p-unverified-badge"
+            title="This user's signing key changed since their earlier messages, it may be someone else"
+          >
+            ⚠
+          </span>
+        )}
+      </div>
+      {message.replyTo && !message.deleted && (
+        <QuotedMessage messageId={message.replyTo} original={original} onJumpToMessage={onJumpToMessage} />
+      )}
+      {message.deleted && <div className="yt-p2p-message-deleted">Message deleted</div>}
+      {!message.deleted && isEditing && (
+        <div className="yt-p2p-message-edit">
+          <input
+            type="text"
+            value={editText}
+            maxLength={MAX_TEXT_LENGTH}
+            onChange={(e) => setEditText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') saveEdit();
+              if (e.key === 'Escape') setIsEditing(false);
+            }}
+          />
+          <button onClick={saveEdit}>Save</button>
+          <button onClick={() => setIsEditing(false)}>Cancel</button>
+        </div>
+      )}
+      {!message.deleted && !isEditing && <MessageText text={message.text} onSeekVideo={onSeekVideo} />}
+      {onToggleReaction && message.messageId && !message.deleted && (
+        <MessageReactions reactions={reactions} onToggle={emoji => onToggleReaction(message, emoji)} />
+      )}
       <div className="yt-p2p-message-time">
+        {hasVideoTime(message) && (
+          <TimestampLink
+            className="yt-p2p-message-video-time"
+            text={formatVideoTime(message.videoTime)}
+            seconds={message.videoTime}
+            onSeekVideo={onSeekVideo}
+          />
+        )}
         {new Date(message.timestamp).toLocaleTimeString()}
+        {message.editedAt && !message.deleted && (
+          <span className="yt-p2p-edited" title={`Edited ${new Date(message.editedAt).toLocaleString()}`}>
+            (edited)
+          </span>
+        )}
+        {isOwnMessage && message.status && (
+          <MessageStatus messageId={message.messageId} status={message.status} />
+        )}
+        {onReply && message.messageId && !message.deleted && (
+          <button className="yt-p2p-reply-button" title="Reply" onClick={() => onReply(message)}>
+            ↩
+          </button>
+        )}
+        {canChange && !isEditing && (
+          <>
+            <button className="yt-p2p-reply-button" onClick={startEditing}>Edit</button>
+            <button className="yt-p2p-reply-button" onClick={deleteMessage}>Delete</button>
+          </>
+        )}
       </div>
     </div>
   );
 };
 
+// Delivery state of one of our own messages, queued messages can be cancelled
+const MessageStatus = ({ messageId, status }) => {
+  const chatClient = useContext(ChatClientContext);
+  const labels = {
+    [MESSAGE_STATUS.QUEUED]: { icon: '📤', title: 'Queued, will be sent when a peer is connected' },
+    [MESSAGE_STATUS.PENDING]: { icon: '🕓', title: 'Sending, not delivered to anyone yet' },
+    [MESSAGE_STATUS.DELIVERED]: { icon: '✓', title: 'Delivered' },
+    [MESSAGE_STATUS.FAILED]: { icon: '✕', title: 'Not delivered, nobody received this message' }
+  };
+  const label = labels[status];
+  
+  if (!label) return null;
+  
+  return (
+    <span className={`yt-p2p-message-status yt-p2p-message-${status}`} title={label.title}>
+      {label.icon}
+      {status === MESSAGE_STATUS.QUEUED && (
+        <button className="yt-p2p-cancel-button" onClick={() => chatClient.cancelMessage(messageId)}>
+          Cancel
+        </button>
+      )}
+    </span>
+  );
+};
+
+// Reaction counts under a message, clicking one adds or takes back ours
+const MessageReactions = ({ reactions, onToggle }) => {
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  
+  return (
+    <div className="yt-p2p-reactions">
+      {reactions.map(({ emoji, count, mine }) => (
+        <button
+          key={emoji}
+          className={`yt-p2p-reaction ${mine ? 'yt-p2p-reaction-mine' : ''}`}
+          onClick={() => onToggle(emoji)}
+        >
+          {emoji} {count}
+        </button>
+      ))}
+      
+      <button className="yt-p2p-reaction" title="Add reaction" onClick={() => setIsPickerOpen(!isPickerOpen)}>
+        +
+      </button>
+      
+      {isPickerOpen && (
+        <div className="yt-p2p-reaction-picker">
+          {REACTION_EMOJIS.map(emoji => (
+            <button
+              key={emoji}
+              onClick={() => {
+                setIsPickerOpen(false);
+                onToggle(emoji);
+              }}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Preview of the message a reply quotes, clicking it jumps to the original
+// Originals that aren't in the list are loaded from storage and can't be jumped to
+const QuotedMessage = ({ messageId, original, onJumpToMessage }) => {
+  const chatClient = useContext(ChatClientContext);
+  const [storedOriginal, setStoredOriginal] = useState(null);
+  
+  useEffect(() => {
+    if (original) return undefined;
+    
+    let isActive = true;
+    chatClient.getMessage(messageId).then((storedMessage) => {
+      if (isActive) {
+        setStoredOriginal(storedMessage);
+      }
+    });
+    
+    return () => {
+      isActive = false;
+    };
+  }, [messageId, original]);
+  
+  const quoted = original || storedOriginal;
+  
+  if (!quoted) {
+    return <div className="yt-p2p-quote">Original message not available</div>;
+  }
+  
+  if (quoted.deleted) {
+    return <div className="yt-p2p-quote">Original message was deleted</div>;
+  }
+  
+  return (
+    <div
+      className={`yt-p2p-quote ${original ? 'yt-p2p-quote-link' : ''}`}
+      title={original ? 'Jump to message' : undefined}
+      onClick={original && onJumpToMessage ? () => onJumpToMessage(messageId) : undefined}
+    >
+      <span className="yt-p2p-quote-name">{quoted.nickname || 'Anonymous'}</span>
+      {getMessagePreview(quoted.text)}
+    </div>
+  );
+};
+
+// Message text with video timestamps such as "12:34" turned into seek links
+const MessageText = ({ text, onSeekVideo }) => {
+  return (
+    <div className="yt-p2p-message-text">
+      {splitTextByTimestamps(text).map((segment, index) => (
+        segment.seconds === undefined ? (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        ) : (
+          <TimestampLink
+            key={index}
+            className="yt-p2p-timestamp-link"
+            text={segment.text}
+            seconds={segment.seconds}
+            onSeekVideo={onSeekVideo}
+          />
+        )
+      ))}
+    </div>
+  );
+};
+
+// Link that seeks the YouTube player, plain text when there is no player
+const TimestampLink = ({ className, text, seconds, onSeekVideo }) => {
+  if (!onSeekVideo) {
+    return <span className={className}>{text}</span>;
+  }
+  
+  return (
+    <a
+      href="#"
+      className={className}
+      title={`Jump to ${formatVideoTime(seconds)}`}
+      onClick={(e) => {
+        e.preventDefault();
+        onSeekVideo(seconds);
+      }}
+    >
+      {text}
+    </a>
+  );
+};
+
+// "X is typing…" line above the input
+const TypingIndicator = ({ presence }) => {
+  const typingNames = presence.filter(member => member.typing && !member.self).map(member => member.nickname);
+  
+  let text = '';
+  if (typingNames.length === 1) {
+    text = `${typingNames[0]} is typing…`;
+  } else if (typingNames.length === 2) {
+    text = `${typingNames[0]} and ${typingNames[1]} are typing…`;
+  } else if (typingNames.length > 2) {
+    text = 'Several people are typing…';
+  }
+  
+  return <div className="yt-p2p-typing-indicator">{text}</div>;
+};
+
 // Input Box Component
-const InputBox = ({ nickname, roomId, onMessageSent }) => {
+// replyingTo is the message the next one replies to, if any
+const InputBox = ({ nickname, roomId, getVideoElement, replyingTo, onCancelReply, onMessageSent, onMessageStatus }) => {
+  const chatClient = useContext(ChatClientContext);
   const [messageText, setMessageText] = useState('');
+  const lastTypingRef = useRef(0);
+  
+  // Tell the room we're typing, at most every TYPING_RESEND_INTERVAL, or that we stopped
+  const notifyTyping = (isTyping) => {
+    const now = Date.now();
+    
+    if (isTyping && now - lastTypingRef.current < TYPING_RESEND_INTERVAL) return;
+    if (!isTyping && !lastTypingRef.current) return;
+    
+    lastTypingRef.current = isTyping ? now : 0;
+    chatClient.sendTyping(isTyping, nickname).catch((error) => {
+      console.error('Failed to send typing event:', error);
+    });
+  };
+  
+  const handleChange = (e) => {
+    setMessageText(e.target.value);
+    notifyTyping(Boolean(e.target.value.trim()));
+  };
   
   const sendMessage = async () => {
     if (!messageText.trim()) return;
@@ -259,24 +1329,36 @@ const InputBox = ({ nickname, roomId, onMessageSent }) => {
       // Get user ID
       const { userId } = await chrome.storage.local.get(['userId']);
       
+      // Anchor the message to the current playback position
+      const video = getVideoElement && getVideoElement();
+      
       // Create message object
       const messageData = {
+        messageId: uuidv4(),
         userId,
         nickname,
         roomId,
         text: messageText,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        videoTime: video ? video.currentTime : null,
+        timestamps: parseTimestamps(messageText),
+        replyTo: replyingTo ? replyingTo.messageId : null
       };
       
-      // Send via P2P service
-      const result = await p2pService.sendMessage(messageData);
+      // Show it right away as pending and clear input, peers clear our typing indicator when it arrives
+      onMessageSent({ ...messageData, status: MESSAGE_STATUS.PENDING });
+      setMessageText('');
+      lastTypingRef.current = 0;
+      onCancelReply();
+      
+      // Send via the background worker
+      const result = await chatClient.sendMessage(messageData);
       
       if (result.success) {
-        // Notify parent component
-        onMessageSent(messageData);
-        
-        // Clear input
-        setMessageText('');
+        // Notify parent component with the signed message
+        onMessageSent(result.message);
+      } else {
+        onMessageStatus({ messageId: messageData.messageId, status: MESSAGE_STATUS.FAILED });
       }
     } catch (error) {
       console.error('Failed to send message:', error);
@@ -284,17 +1366,30 @@ const InputBox = ({ nickname, roomId, onMessageSent }) => {
   };
   
   return (
-    <div className="yt-p2p-chat-input">
-      <input
-        type="text"
-        placeholder="Type a message..."
-        value={messageText}
-        onChange={(e) => setMessageText(e.target.value)}
-        onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
-      />
+    <>
+      {replyingTo && (
+        <div className="yt-p2p-reply-bar">
+          <span>
+            Replying to <span className="yt-p2p-quote-name">{replyingTo.nickname || 'Anonymous'}</span>
+            {getMessagePreview(replyingTo.text)}
+          </span>
+          <button onClick={onCancelReply}>×</button>
+        </div>
+      )}
       
-      <button onClick={sendMessage}>Send</button>
-    </div>
+      <div className="yt-p2p-chat-input">
+        <input
+          type="text"
+          placeholder={replyingTo ? 'Type a reply...' : 'Type a message...'}
+          value={messageText}
+          maxLength={MAX_TEXT_LENGTH}
+          onChange={handleChange}
+          onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
+        />
+        
+        <button onClick={sendMessage}>Send</button>
+      </div>
+    </>
   );
 };
 
@@ -0,0 +1,45 @@
+// Chat widget mount point for YouTube P2P Chat Extension
+// Renders the React ChatWidget inside a Shadow DOM root so YouTube's CSS can't leak in
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { ChatWidget } from '../components/ChatComponents';
+import styles from './chat-widget.css?inline';
+
+// Mount the chat widget into a host element
+// Returns { unmount, openRoom, update }: openRoom({ roomId } or { invite }) shows another room
+// in a new tab, update(props) renders the widget again with some props changed
+export function mountChatWidget(hostElement, props) {
+  const shadowRoot = hostElement.attachShadow({ mode: 'open' });
+  
+  // Tailwind styles only apply inside the shadow root
+  const styleElement = document.createElement('style');
+  styleElement.textContent = styles;
+  shadowRoot.appendChild(styleElement);
+  
+  const mountPoint = document.createElement('div');
+  mountPoint.style.height = '100%';
+  shadowRoot.appendChild(mountPoint);
+  
+  const root = createRoot(mountPoint);
+  let currentProps = props;
+  root.render(<ChatWidget {...currentProps} />);
+  
+  const update = (changes) => {
+    currentProps = { ...currentProps, ...changes };
+    root.render(<ChatWidget {...currentProps} />);
+  };
+  
+  // Every request is a new object, so opening the same room again switches back to it
+  let requestCount = 0;
+  const openRoom = (room) => {
+    requestCount += 1;
+    update({ requestedRoom: { ...room, requestId: requestCount } });
+  };
+  
+  return {
+    unmount: () => root.unmount(),
+    openRoom,
+    update
+  };
+}
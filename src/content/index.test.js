@@ -0,0 +1,65 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.youtube.com/watch?v=dQw4w9WgXcQ", "customExportConditions": ["node"]}
+ */
+import { jest } from '@jest/globals';
+import { createChromeMock, sendRuntimeMessage } from '../test-utils/mock-chrome';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const CHANNEL_ROOM_ID = `yt-${VIDEO_ID}#music`;
+
+const widget = {
+  unmount: jest.fn(),
+  openRoom: jest.fn(),
+  update: jest.fn()
+};
+const mountChatWidget = jest.fn(() => widget);
+
+// The React widget and its docking are replaced, this covers which rooms the page opens
+jest.unstable_mockModule('./chat-widget', () => ({ mountChatWidget }));
+jest.unstable_mockModule('./widget-dock', () => ({
+  WidgetDock: class {
+    start() {
+      return Promise.resolve();
+    }
+    
+    toggleSidebar() {}
+    
+    stop() {}
+  }
+}));
+
+const chrome = createChromeMock();
+globalThis.chrome = chrome;
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+await import('./index.js');
+
+describe('content script', () => {
+  beforeEach(() => {
+    widget.openRoom.mockClear();
+  });
+  
+  test('leaves the rooms of the previous page and shows the chat of the video', () => {
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'LEAVE_ROOM' });
+    expect(mountChatWidget).toHaveBeenCalledTimes(1);
+    expect(mountChatWidget.mock.calls[0][1].initialRoom).toEqual({ videoId: VIDEO_ID, roomId: null, invite: null });
+    expect(document.getElementById('yt-p2p-chat')).not.toBeNull();
+  });
+  
+  test('JOIN_ROOM opens the room in a new tab of the chat', async () => {
+    await sendRuntimeMessage(chrome, { type: 'JOIN_ROOM', roomId: CHANNEL_ROOM_ID });
+    
+    expect(widget.openRoom).toHaveBeenCalledWith({ roomId: CHANNEL_ROOM_ID, videoId: VIDEO_ID });
+    expect(mountChatWidget).toHaveBeenCalledTimes(1);
+  });
+  
+  test('JOIN_ROOM ignores invalid room IDs', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    await sendRuntimeMessage(chrome, { type: 'JOIN_ROOM', roomId: 'not-a-room' });
+    
+    expect(widget.openRoom).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,349 @@
+// Widget docking for YouTube P2P Chat Extension
+// Places the chat widget's host element on the page, and makes it draggable by
+// its title and resizable from its edges with interactjs.
+//
+//   player is fullscreen ─────────────────▶ overlay, translucent inside the player
+//   docking chosen and a secondary column ─▶ sidebar, in place of the related videos
+//   theater mode ──────────────────────────▶ floating, clear of the wide player
+//   otherwise ─────────────────────────────▶ floating
+//
+// Each of these keeps its own position and size, saved through the layout
+// service when a drag or resize ends.
+
+import interact from 'interactjs';
+import {
+  DOCK_MODES,
+  MIN_WIDGET_SIZE,
+  DEFAULT_WIDGET_LAYOUT,
+  getWidgetLayout,
+  saveWidgetLayout
+} from '../services/layout-service';
+
+// Floating in theater mode is stored apart from floating over the normal page
+const THEATER_LAYOUT = 'theater';
+
+// Default size of the floating widget and its distance from the window's edges (px)
+const DEFAULT_SIZE = { width: 300, height: 400 };
+const EDGE_MARGIN = 20;
+// Default overlay width, share of the player's height and distance from the player's edges
+const OVERLAY_WIDTH = 320;
+const OVERLAY_HEIGHT_RATIO = 0.6;
+const OVERLAY_MARGIN = 16;
+// How close to its edges a drag resizes the widget (px)
+const RESIZE_MARGIN = 6;
+// Space between the docked widget and what follows in the column (px)
+const SIDEBAR_GAP = 12;
+const Z_INDEX = '9999';
+
+const ALL_EDGES = { left: true, right: true, top: true, bottom: true };
+const BOTTOM_EDGE = { left: false, right: false, top: false, bottom: true };
+
+export class WidgetDock {
+  // onModeChange is called with the DOCK_MODES value whenever the widget moves to another mode
+  constructor(hostElement, { onModeChange } = {}) {
+    this.host = hostElement;
+    this.onModeChange = onModeChange;
+    this.layout = DEFAULT_WIDGET_LAYOUT;
+    this.mode = null;
+    this.layoutKey = null;
+    this.box = null;             // { left, top, width, height } while floating or in the overlay
+    this.hiddenRelated = null;   // Related videos hidden while docked
+    this.interactable = null;
+    this.theaterObserver = null;
+    this.stopped = false;
+    
+    this.apply = this.apply.bind(this);
+    this.handleNavigation = this.handleNavigation.bind(this);
+  }
+  
+  // Load the stored layout, place the widget and follow fullscreen, theater mode and navigation
+  async start() {
+    // Hidden until placed, so it doesn't jump from the default place
+    this.host.style.visibility = 'hidden';
+    this.layout = await getWidgetLayout();
+    if (this.stopped) return;
+    
+    this.setupInteractions();
+    document.addEventListener('fullscreenchange', this.apply);
+    document.addEventListener('yt-navigate-finish', this.handleNavigation);
+    window.addEventListener('resize', this.apply);
+    this.observeTheaterMode();
+    
+    this.apply();
+    this.host.style.visibility = '';
+  }
+  
+  // Drag by the chat title, resize from the edges
+  // Events from inside the widget's shadow root reach interactjs with their real target
+  setupInteractions() {
+    this.interactable = interact(this.host)
+      .draggable({
+        allowFrom: '.yt-p2p-chat-title',
+        listeners: {
+          move: event => this.setBox({
+            ...this.box,
+            left: this.box.left + event.dx,
+            top: this.box.top + event.dy
+          }),
+          end: () => this.saveLayout()
+        }
+      })
+      .resizable({
+        edges: ALL_EDGES,
+        margin: RESIZE_MARGIN,
+        modifiers: [interact.modifiers.restrictSize({ min: MIN_WIDGET_SIZE })],
+        listeners: {
+          move: event => this.resize(event),
+          end: () => this.saveLayout()
+        }
+      });
+  }
+  
+  // YouTube switches theater mode with an attribute on the watch page
+  observeTheaterMode() {
+    const watchPage = document.querySelector('ytd-watch-flexy');
+    if (this.theaterObserver || !watchPage) return;
+    
+    this.theaterObserver = new MutationObserver(this.apply);
+    this.theaterObserver.observe(watchPage, { attributes: true, attributeFilter: ['theater'] });
+  }
+  
+  // The watch page may only exist after navigating to a video, and the secondary column may be gone
+  handleNavigation() {
+    this.observeTheaterMode();
+    this.apply();
+  }
+  
+  // Mode the widget is in right now
+  getMode() {
+    if (document.fullscreenElement) {
+      return DOCK_MODES.OVERLAY;
+    }
+    
+    if (this.layout.mode === DOCK_MODES.SIDEBAR && this.getSecondaryColumn()) {
+      return DOCK_MODES.SIDEBAR;
+    }
+    
+    return DOCK_MODES.FLOATING;
+  }
+  
+  // Whether the watch page is in theater mode
+  isTheater() {
+    const watchPage = document.querySelector('ytd-watch-flexy');
+    return Boolean(watchPage && watchPage.hasAttribute('theater'));
+  }
+  
+  // The visible secondary column of the watch page, which holds the related videos
+  getSecondaryColumn() {
+    const column = document.querySelector('ytd-watch-flexy #secondary-inner')
+      || document.querySelector('ytd-watch-flexy #secondary');
+    return column && column.getClientRects().length > 0 ? column : null;
+  }
+  
+  // Move the widget to where it belongs now, e.g. after entering fullscreen
+  apply() {
+    if (this.stopped || !this.interactable) return;
+    
+    const mode = this.getMode();
+    const layoutKey = mode === DOCK_MODES.FLOATING && this.isTheater() ? THEATER_LAYOUT : mode;
+    
+    if (mode === DOCK_MODES.SIDEBAR) {
+      this.dockIntoSidebar();
+    } else {
+      this.float(mode, layoutKey);
+    }
+    this.layoutKey = layoutKey;
+    
+    Object.values(DOCK_MODES).forEach(dockMode => {
+      this.host.classList.toggle(`yt-p2p-dock-${dockMode}`, dockMode === mode);
+    });
+    this.interactable.draggable({ enabled: mode !== DOCK_MODES.SIDEBAR });
+    this.interactable.resizable({ edges: mode === DOCK_MODES.SIDEBAR ? BOTTOM_EDGE : ALL_EDGES });
+    
+    if (mode !== this.mode) {
+      this.mode = mode;
+      if (this.onModeChange) {
+        this.onModeChange(mode);
+      }
+    }
+  }
+  
+  // Float over the page, or over the player while it's fullscreen
+  // Elements outside the fullscreen element aren't shown, so the overlay moves into it
+  float(mode, layoutKey) {
+    const container = mode === DOCK_MODES.OVERLAY ? document.fullscreenElement : document.body;
+    
+    this.restoreRelated();
+    if (this.host.parentElement !== container) {
+      container.appendChild(this.host);
+    }
+    
+    Object.assign(this.host.style, {
+      position: mode === DOCK_MODES.OVERLAY ? 'absolute' : 'fixed',
+      right: '',
+      bottom: '',
+      marginBottom: '',
+      zIndex: Z_INDEX
+    });
+    
+    const box = layoutKey === this.layoutKey && this.box
+      ? this.box
+      : this.layout[layoutKey] || this.getDefaultBox(mode, layoutKey);
+    this.setBox(box);
+  }
+  
+  // Dock into the secondary column in place of the related videos, only the height can change
+  dockIntoSidebar() {
+    const column = this.getSecondaryColumn();
+    
+    if (this.host.parentElement !== column) {
+      column.prepend(this.host);
+    }
+    this.hideRelated(column);
+    
+    Object.assign(this.host.style, {
+      position: 'relative',
+      left: '',
+      top: '',
+      right: '',
+      bottom: '',
+      width: '',
+      height: `${this.layout.sidebar.height}px`,
+      marginBottom: `${SIDEBAR_GAP}px`,
+      zIndex: ''
+    });
+    this.box = null;
+  }
+  
+  // Default place of a floating layout: bottom right of the window or the player, or below the theater player
+  getDefaultBox(mode, layoutKey) {
+    if (mode === DOCK_MODES.OVERLAY) {
+      const { width, height } = this.getContainerRect(mode);
+      return {
+        left: width - OVERLAY_WIDTH - OVERLAY_MARGIN,
+        top: OVERLAY_MARGIN,
+        width: OVERLAY_WIDTH,
+        height: Math.round(height * OVERLAY_HEIGHT_RATIO)
+      };
+    }
+    
+    const box = {
+      left: window.innerWidth - DEFAULT_SIZE.width - EDGE_MARGIN,
+      top: window.innerHeight - DEFAULT_SIZE.height - EDGE_MARGIN,
+      ...DEFAULT_SIZE
+    };
+    
+    const player = document.querySelector('#movie_player');
+    if (layoutKey !== THEATER_LAYOUT || !player) {
+      return box;
+    }
+    
+    // Below the player if there is room for it, the wide player fills the top of the window
+    const top = player.getBoundingClientRect().bottom + EDGE_MARGIN;
+    const height = Math.min(DEFAULT_SIZE.height, window.innerHeight - top - EDGE_MARGIN);
+    return height >= MIN_WIDGET_SIZE.height ? { ...box, top, height } : box;
+  }
+  
+  // Area the widget can float in: the window, or the fullscreen player for the overlay
+  getContainerRect(mode) {
+    if (mode === DOCK_MODES.OVERLAY && document.fullscreenElement) {
+      const { width, height } = document.fullscreenElement.getBoundingClientRect();
+      return { width, height };
+    }
+    
+    return { width: window.innerWidth, height: window.innerHeight };
+  }
+  
+  // Move and size the floating widget, keeping it inside its container
+  setBox({ left, top, width, height }) {
+    const container = this.getContainerRect(this.getMode());
+    const clampedWidth = Math.min(width, container.width);
+    const clampedHeight = Math.min(height, container.height);
+    
+    this.box = {
+      left: Math.round(Math.min(Math.max(left, 0), container.width - clampedWidth)),
+      top: Math.round(Math.min(Math.max(top, 0), container.height - clampedHeight)),
+      width: Math.round(clampedWidth),
+      height: Math.round(clampedHeight)
+    };
+    
+    Object.assign(this.host.style, {
+      left: `${this.box.left}px`,
+      top: `${this.box.top}px`,
+      width: `${this.box.width}px`,
+      height: `${this.box.height}px`
+    });
+  }
+  
+  // Follow a resize, dragging the left or top edge moves the widget as well
+  resize(event) {
+    if (this.mode === DOCK_MODES.SIDEBAR) {
+      this.layout = { ...this.layout, sidebar: { height: Math.round(event.rect.height) } };
+      this.host.style.height = `${this.layout.sidebar.height}px`;
+      return;
+    }
+    
+    this.setBox({
+      left: this.box.left + event.deltaRect.left,
+      top: this.box.top + event.deltaRect.top,
+      width: event.rect.width,
+      height: event.rect.height
+    });
+  }
+  
+  // Remember the position and size of the current layout
+  saveLayout() {
+    if (this.mode !== DOCK_MODES.SIDEBAR) {
+      this.layout = { ...this.layout, [this.layoutKey]: this.box };
+    }
+    
+    saveWidgetLayout(this.layout);
+  }
+  
+  // Switch between floating and docking into the secondary column
+  toggleSidebar() {
+    const mode = this.layout.mode === DOCK_MODES.SIDEBAR ? DOCK_MODES.FLOATING : DOCK_MODES.SIDEBAR;
+    this.layout = { ...this.layout, mode };
+    saveWidgetLayout(this.layout);
+    this.apply();
+  }
+  
+  // Hide the related videos while the widget takes their place
+  hideRelated(column) {
+    const related = column.querySelector('#related');
+    if (!related || related === this.hiddenRelated) return;
+    
+    this.restoreRelated();
+    related.style.display = 'none';
+    this.hiddenRelated = related;
+  }
+  
+  // Show the related videos again
+  restoreRelated() {
+    if (this.hiddenRelated) {
+      this.hiddenRelated.style.display = '';
+      this.hiddenRelated = null;
+    }
+  }
+  
+  // Stop following the page, the widget's host element is left where it is
+  stop() {
+    this.stopped = true;
+    
+    document.removeEventListener('fullscreenchange', this.apply);
+    document.removeEventListener('yt-navigate-finish', this.handleNavigation);
+    window.removeEventListener('resize', this.apply);
+    
+    if (this.theaterObserver) {
+      this.theaterObserver.disconnect();
+      this.theaterObserver = null;
+    }
+    
+    if (this.interactable) {
+      this.interactable.unset();
+      this.interactable = null;
+    }
+    
+    this.restoreRelated();
+  }
+}
@@ -0,0 +1,171 @@
+// Offscreen document for YouTube P2P Chat Extension
+// Hosts the P2P sessions, since MV3 service workers can't keep WebRTC connections alive.
+// Only chrome.runtime is available here: the background worker passes in
+// everything that lives in chrome.storage.
+
+import p2pSessions from '../services/p2p-sessions';
+
+// Forward incoming chat messages to the background worker
+p2pSessions.onMessage((data) => {
+  chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'P2P_MESSAGE',
+    data
+  });
+});
+
+// Forward reactions from peers
+p2pSessions.onReaction((data) => {
+  chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'P2P_REACTION',
+    data
+  });
+});
+
+// Forward delivery state changes of our own messages
+p2pSessions.onMessageStatus((data) => {
+  chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'P2P_MESSAGE_STATUS',
+    data
+  });
+});
+
+// Forward connection state changes, e.g. when switching to the relay
+p2pSessions.onConnectionState((data) => {
+  chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'P2P_CONNECTION_STATE',
+    data
+  });
+});
+
+// Forward changes to the room's members and who is typing
+p2pSessions.onPresence((data) => {
+  chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'P2P_PRESENCE',
+    data
+  });
+});
+
+// Forward the room secret granted for an invite, which the background worker stores
+p2pSessions.onRoomSecret((data) => {
+  chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'P2P_ROOM_SECRET',
+    data
+  });
+});
+
+// Listen for commands from the background worker
+// Commands for a room carry its roomId and go to that room's session
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') {
+    return false;
+  }
+  
+  if (message.type === 'P2P_INIT') {
+    initialize(message)
+      .then(result => sendResponse(withRoomState(message.roomId, result)))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_SEND') {
+    withSession(message.data.roomId, session => session.sendMessage(message.data))
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_EDIT') {
+    withSession(message.roomId, session => session.editOwnMessage(message.messageId, message.text))
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_DELETE') {
+    withSession(message.roomId, session => session.deleteOwnMessage(message.messageId))
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_REACT') {
+    withSession(message.data.roomId, session => session.sendReaction(message.data))
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_UPDATE_SETTINGS') {
+    p2pSessions.updateSettings(message.settings)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_UPDATE_MODERATION') {
+    p2pSessions.updateModeration(message.moderation);
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  if (message.type === 'P2P_TYPING') {
+    withSession(message.roomId, session => session.sendTyping({ typing: message.typing, nickname: message.nickname }))
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_CANCEL') {
+    withSession(message.roomId, session => session.cancelMessage(message.messageId))
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  
+  if (message.type === 'P2P_LEAVE_ROOM') {
+    p2pSessions.close(message.roomId);
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  return false;
+});
+
+// Open a session for the room, or reuse the one another tab opened
+// invite: token of an invite link, used to ask the room for its secret when we don't know it
+async function initialize({ peerId, identity, nickname, settings, moderation, videoId, roomId, roomSecret, invite }) {
+  p2pSessions.configure({ peerId, identity, settings });
+  p2pSessions.setNickname(nickname);
+  p2pSessions.updateModeration(moderation);
+  
+  return p2pSessions.open(videoId, roomId, { secret: roomSecret, invite });
+}
+
+// Run a command in a room's session
+async function withSession(roomId, command) {
+  const session = p2pSessions.get(roomId);
+  if (!session) {
+    return { success: false, error: 'Not connected to this room' };
+  }
+  return command(session);
+}
+
+// Add what a tab needs to show the room: the connection state and its members
+function withRoomState(roomId, result) {
+  const session = p2pSessions.get(roomId);
+  if (!session) {
+    return result;
+  }
+  
+  return {
+    ...result,
+    connectionState: session.getConnectionState(),
+    members: session.getPresence()
+  };
+}
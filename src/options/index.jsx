@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import { createRoot } from 'react-dom/client';
+import { DEFAULT_SETTINGS, getSettings, saveSettings, normalizeSettings, validateSettings } from '../services/settings-service';
+import { testConnection } from '../services/connection-test';
+
+const sectionStyle = { marginBottom: '24px' };
+const labelStyle = { display: 'block', marginBottom: '4px' };
+const inputStyle = { width: '100%', padding: '4px', boxSizing: 'border-box' };
+const buttonStyle = { padding: '4px 8px', marginRight: '8px' };
+
+// Fields of the flood protection section
+const LIMIT_FIELDS = [
+  { field: 'messagesPerSecond', label: 'Messages per second per peer' },
+  { field: 'burst', label: 'Burst (messages at once)' },
+  { field: 'maxMessageSize', label: 'Largest message (KB)' },
+  { field: 'maxTextLength', label: 'Longest chat message (characters)' },
+  { field: 'muteAfterViolations', label: 'Dropped messages before muting a peer' },
+  { field: 'muteMinutes', label: 'Mute duration (minutes)' },
+  { field: 'disconnectAfterMutes', label: 'Mutes before disconnecting a peer' }
+];
+
+const Options = () => {
+  const [settings, setSettings] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [saveMessage, setSaveMessage] = useState('');
+  const [isTesting, setIsTesting] = useState(false);
+  const [testResults, setTestResults] = useState(null);
+  
+  useEffect(() => {
+    // Load the stored settings
+    getSettings().then(setSettings);
+  }, []);
+  
+  // Update a PeerJS server field
+  const setPeerServer = (field, value) => {
+    setSettings({ ...settings, peerServer: { ...settings.peerServer, [field]: value } });
+  };
+  
+  // Update a field of one ICE server
+  const setIceServer = (index, field, value) => {
+    const iceServers = settings.iceServers.map((server, serverIndex) => (
+      serverIndex === index ? { ...server, [field]: value } : server
+    ));
+    setSettings({ ...settings, iceServers });
+  };
+  
+  // Update a flood protection limit
+  const setLimit = (field, value) => {
+    setSettings({ ...settings, limits: { ...settings.limits, [field]: value } });
+  };
+  
+  // Add an empty ICE server row
+  const addIceServer = () => {
+    setSettings({ ...settings, iceServers: [...settings.iceServers, { urls: '', username: '', credential: '' }] });
+  };
+  
+  // Remove an ICE server row
+  const removeIceServer = (index) => {
+    setSettings({ ...settings, iceServers: settings.iceServers.filter((server, serverIndex) => serverIndex !== index) });
+  };
+  
+  // Save settings, the P2P service reconnects with them
+  const handleSave = async () => {
+    const result = await saveSettings(settings);
+    
+    if (result.success) {
+      setSettings(result.settings);
+      setErrors([]);
+      setSaveMessage('Saved. Open chats reconnect if the servers changed.');
+    } else {
+      setErrors(result.errors);
+      setSaveMessage('');
+    }
+  };
+  
+  // Test the settings in the form, saved or not
+  const handleTest = async () => {
+    const normalizedSettings = normalizeSettings(settings);
+    const validationErrors = validateSettings(normalizedSettings);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) return;
+    
+    setIsTesting(true);
+    setTestResults(null);
+    try {
+      setTestResults(await testConnection(normalizedSettings));
+    } finally {
+      setIsTesting(false);
+    }
+  };
+  
+  if (!settings) {
+    return <p style={{ padding: '16px' }}>Loading...</p>;
+  }
+  
+  return (
+    <div className="options-container" style={{ padding: '16px', maxWidth: '640px' }}>
+      <h1 style={{ fontSize: '20px', marginBottom: '16px' }}>YouTube P2P Chat Settings</h1>
+      
+      <div className="peer-server-section" style={sectionStyle}>
+        <h2 style={{ fontSize: '16px', margin: '0 0 8px' }}>PeerJS signaling server</h2>
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+          <div style={{ flex: 3 }}>
+            <label style={labelStyle}>Host:</label>
+            <input
+              type="text"
+              value={settings.peerServer.host}
+              onChange={(e) => setPeerServer('host', e.target.value)}
+              placeholder="peer.example.com"
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Port:</label>
+            <input
+              type="number"
+              value={settings.peerServer.port}
+              onChange={(e) => setPeerServer('port', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ flex: 2 }}>
+            <label style={labelStyle}>Path:</label>
+            <input
+              type="text"
+              value={settings.peerServer.path}
+              onChange={(e) => setPeerServer('path', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+        </div>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.peerServer.secure}
+            onChange={(e) => setPeerServer('secure', e.target.checked)}
+          />
+          {' '}Use TLS (https/wss)
+        </label>
+      </div>
+      
+      <div className="relay-section" style={sectionStyle}>
+        <h2 style={{ fontSize: '16px', margin: '0 0 8px' }}>Socket.IO relay</h2>
+        <label style={labelStyle}>Relay URL, used when WebRTC isn't possible (leave empty to disable):</label>
+        <input
+          type="text"
+          value={settings.relayUrl}
+          onChange={(e) => setSettings({ ...settings, relayUrl: e.target.value })}
+          placeholder="https://relay.example.com"
+          style={inputStyle}
+        />
+      </div>
+      
+      <div className="ice-servers-section" style={sectionStyle}>
+        <h2 style={{ fontSize: '16px', margin: '0 0 8px' }}>STUN/TURN servers</h2>
+        {settings.iceServers.map((server, index) => (
+          <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+            <input
+              type="text"
+              value={Array.isArray(server.urls) ? server.urls.join(', ') : server.urls}
+              onChange={(e) => setIceServer(index, 'urls', e.target.value)}
+              placeholder="turn:turn.example.com:3478"
+              style={{ ...inputStyle, flex: 3 }}
+            />
+            <input
+              type="text"
+              value={server.username || ''}
+              onChange={(e) => setIceServer(index, 'username', e.target.value)}
+              placeholder="Username"
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            <input
+              type="password"
+              value={server.credential || ''}
+              onChange={(e) => setIceServer(index, 'credential', e.target.value)}
+              placeholder="Credential"
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            <button onClick={() => removeIceServer(index)} style={{ padding: '4px 8px' }}>Remove</button>
+          </div>
+        ))}
+        <button onClick={addIceServer} style={buttonStyle}>Add server</button>
+      </div>
+      
+      <div className="limits-section" style={sectionStyle}>
+        <h2 style={{ fontSize: '16px', margin: '0 0 8px' }}>Flood protection</h2>
+        <p style={{ fontSize: '12px', color: '#666', margin: '0 0 8px' }}>
+          Peers sending more than this are muted for a while, and disconnected if they keep going.
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+          {LIMIT_FIELDS.map(({ field, label }) => (
+            <div key={field}>
+              <label style={labelStyle}>{label}:</label>
+              <input
+                type="number"
+                min="1"
+                value={settings.limits[field]}
+                onChange={(e) => setLimit(field, e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+      
+      {errors.length > 0 && (
+        <ul className="errors" style={{ color: '#c00', paddingLeft: '16px' }}>
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      
+      <div className="actions-section" style={sectionStyle}>
+        <button onClick={handleSave} style={buttonStyle}>Save</button>
+        <button onClick={handleTest} disabled={isTesting} style={buttonStyle}>
+          {isTesting ? 'Testing...' : 'Test connection'}
+        </button>
+        <button onClick={() => setSettings(normalizeSettings(DEFAULT_SETTINGS))} style={buttonStyle}>
+          Reset to defaults
+        </button>
+        {saveMessage && <span style={{ fontSize: '12px', color: '#666' }}>{saveMessage}</span>}
+      </div>
+      
+      {testResults && (
+        <div className="test-results-section">
+          <h2 style={{ fontSize: '16px', margin: '0 0 8px' }}>Test results</h2>
+          <TestResult label="PeerJS server" result={testResults.peerServer} />
+          <TestResult label="Relay" result={testResults.relay} />
+          <TestResult
+            label={`STUN/TURN (candidates: ${testResults.iceServers.candidateTypes.join(', ') || 'none'})`}
+            result={testResults.iceServers}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// One line of the connection test results
+const TestResult = ({ label, result }) => {
+  let status = result.success ? `OK (${result.elapsed} ms)` : `Failed: ${result.error}`;
+  if (result.skipped) {
+    status = result.error;
+  }
+  
+  return (
+    <div style={{ padding: '4px 0', color: result.success || result.skipped ? '#333' : '#c00' }}>
+      {result.success ? '✓' : '✕'} {label}: {status}
+    </div>
+  );
+};
+
+// Render the options page
+const container = document.getElementById('app');
+const root = createRoot(container);
+root.render(<Options />);
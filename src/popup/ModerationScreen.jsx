@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getModeration,
+  onModerationChanged,
+  unblockUser,
+  unmuteUser,
+  addKeywordFilter,
+  removeKeywordFilter
+} from '../services/moderation-service';
+
+// Popup screen for managing blocked and muted users and keyword filters
+// Users are blocked or muted from the context menu of their messages in the chat
+const ModerationScreen = ({ onBack }) => {
+  const [moderation, setModeration] = useState(null);
+  const [pattern, setPattern] = useState('');
+  const [isRegex, setIsRegex] = useState(false);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    getModeration().then(setModeration);
+    return onModerationChanged(setModeration);
+  }, []);
+  
+  // Add a keyword filter, regular expressions are checked before saving
+  const addFilter = async () => {
+    const result = await addKeywordFilter({ pattern, isRegex });
+    if (result.success) {
+      setPattern('');
+      setIsRegex(false);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+  };
+  
+  if (!moderation) {
+    return <p>Loading...</p>;
+  }
+  
+  return (
+    <div className="moderation-screen">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h2 style={{ fontSize: '16px', margin: 0 }}>Blocked users & filters</h2>
+        <button onClick={onBack} style={{ padding: '4px 8px' }}>Back</button>
+      </div>
+      
+      <UserList
+        title="Blocked users"
+        emptyText="Nobody is blocked"
+        users={moderation.blockedUsers}
+        actionLabel="Unblock"
+        onAction={unblockUser}
+      />
+      
+      <UserList
+        title="Muted users"
+        emptyText="Nobody is muted"
+        users={moderation.mutedUsers}
+        actionLabel="Unmute"
+        onAction={unmuteUser}
+      />
+      
+      <div className="filters-section">
+        <h3 style={{ fontSize: '14px', margin: '0 0 8px' }}>Keyword filters</h3>
+        <p style={{ fontSize: '12px', color: '#666', margin: '0 0 8px' }}>
+          Messages matching a filter are dropped before they are saved or shown.
+        </p>
+        
+        <div style={{ display: 'flex', marginBottom: '4px' }}>
+          <input
+            type="text"
+            placeholder={isRegex ? 'regular expression' : 'keyword'}
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addFilter()}
+            style={{ flex: 1, marginRight: '8px', padding: '4px' }}
+          />
+          <button onClick={addFilter} style={{ padding: '4px 8px' }}>Add</button>
+        </div>
+        <label style={{ display: 'block', fontSize: '12px', marginBottom: '8px' }}>
+          <input type="checkbox" checked={isRegex} onChange={(e) => setIsRegex(e.target.checked)} />
+          {' '}Regular expression
+        </label>
+        {error && <p style={{ fontSize: '12px', color: '#c00', margin: '0 0 8px' }}>{error}</p>}
+        
+        {moderation.keywordFilters.length === 0 ? (
+          <p style={{ fontSize: '12px', color: '#666' }}>No filters</p>
+        ) : (
+          <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+            {moderation.keywordFilters.map((filter, index) => (
+              <li key={`${filter.pattern}-${index}`} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '4px 0' }}>
+                <code>{filter.isRegex ? `/${filter.pattern}/i` : filter.pattern}</code>
+                <button onClick={() => removeKeywordFilter(index)} style={{ padding: '4px 8px' }}>
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Blocked or muted users with a button to take the action back
+const UserList = ({ title, emptyText, users, actionLabel, onAction }) => {
+  const entries = Object.entries(users).sort(([, a], [, b]) => b.since - a.since);
+  
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <h3 style={{ fontSize: '14px', margin: '0 0 8px' }}>{title}</h3>
+      {entries.length === 0 ? (
+        <p style={{ fontSize: '12px', color: '#666' }}>{emptyText}</p>
+      ) : (
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {entries.map(([userId, user]) => (
+            <li key={userId} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '4px 0' }}>
+              <div>
+                <div>{user.nickname}</div>
+                <div style={{ fontSize: '12px', color: '#666' }}>
+                  since {new Date(user.since).toLocaleDateString()}
+                </div>
+              </div>
+              <button onClick={() => onAction(userId)} style={{ padding: '4px 8px' }}>
+                {actionLabel}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ModerationScreen;
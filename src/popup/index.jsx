@@ -1,19 +1,48 @@
 import React, { useState, useEffect } from 'react';
 import { createRoot } from 'react-dom/client';
-import { getRooms, getUser, updateUser } from '../services/storage-service';
+import { getRooms, getRoomsForVideo, getUser, updateUser } from '../services/storage-service';
+import {
+  ROOM_MODES,
+  DEFAULT_ROOM_MODE,
+  INVITE_EXPIRY_OPTIONS,
+  buildRoomId,
+  getVideoIdFromUrl,
+  parseInviteUrl
+} from '../utils/room-utils';
+import ModerationScreen from './ModerationScreen';
 
 const Popup = () => {
   const [nickname, setNickname] = useState('Anonymous');
   const [rooms, setRooms] = useState([]);
   const [userId, setUserId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [roomMode, setRoomMode] = useState(DEFAULT_ROOM_MODE);
+  const [videoId, setVideoId] = useState(null);
+  const [channelRooms, setChannelRooms] = useState([]);
+  const [channelName, setChannelName] = useState('');
+  const [isModerationOpen, setIsModerationOpen] = useState(false);
+  const [inviteExpiresIn, setInviteExpiresIn] = useState(0);
+  const [inviteSingleUse, setInviteSingleUse] = useState(false);
+  const [inviteStatus, setInviteStatus] = useState('');
 
   useEffect(() => {
     // Load user data and room history
     const loadData = async () => {
       try {
         // Get user ID from storage
-        const userData = await chrome.storage.local.get(['userId', 'nickname']);
+        const userData = await chrome.storage.local.get(['userId', 'nickname', 'roomMode']);
+        
+        if (userData.roomMode) {
+          setRoomMode(userData.roomMode);
+        }
+        
+        // Get the video open in the current tab, if any
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const currentVideoId = tab && getVideoIdFromUrl(tab.url);
+        if (currentVideoId) {
+          setVideoId(currentVideoId);
+          setChannelRooms(await getRoomsForVideo(currentVideoId, ROOM_MODES.CHANNEL));
+        }
         
         if (userData.userId) {
           setUserId(userData.userId);
@@ -55,14 +84,30 @@ const Popup = () => {
     }
   };
   
+  // Save room mode used when opening a video
+  const saveRoomMode = async (mode) => {
+    setRoomMode(mode);
+    await chrome.storage.local.set({ roomMode: mode });
+  };
+  
+  // Create (or reopen) a named channel for the current video
+  const joinChannel = () => {
+    try {
+      const roomId = buildRoomId(videoId, { mode: ROOM_MODES.CHANNEL, channel: channelName });
+      joinRoom(roomId);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+  
   // Join room
   const joinRoom = async (roomId) => {
     try {
       // Get current active tab
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       
-      // Check if we're on YouTube
-      if (tab.url.includes('youtube.com/watch')) {
+      // Check if we're on a YouTube video, Short or live stream
+      if (getVideoIdFromUrl(tab.url)) {
         // Send message to content script
         chrome.tabs.sendMessage(tab.id, {
           type: 'JOIN_ROOM',
@@ -79,21 +124,57 @@ const Popup = () => {
     }
   };
   
-  // Join room by ID
-  const joinRoomById = () => {
-    const roomId = prompt('Enter room ID:');
-    if (roomId) {
-      joinRoom(roomId);
+  // Copy an invite link to the room of the current tab's chat
+  const copyInviteLink = async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const result = await chrome.runtime.sendMessage({
+      type: 'CREATE_INVITE',
+      tabId: tab.id,
+      options: { expiresIn: inviteExpiresIn, singleUse: inviteSingleUse }
+    });
+    
+    if (!result || !result.success) {
+      setInviteStatus((result && result.error) || 'Failed to create invite link');
+      return;
+    }
+    
+    await navigator.clipboard.writeText(result.url);
+    setInviteStatus(result.expiresAt ? `Copied, valid until ${new Date(result.expiresAt).toLocaleString()}` : 'Copied');
+  };
+  
+  // Join room by ID, with the room key for encrypted rooms, or by invite link
+  const joinRoomById = async () => {
+    // Pasted IDs often carry whitespace, the room secret must be stored under the exact room ID
+    const roomId = (prompt('Enter room ID or invite link:') || '').trim();
+    if (!roomId) return;
+    
+    // Invite links open their video, the content script joins the room
+    if (parseInviteUrl(roomId)) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      await chrome.tabs.update(tab.id, { url: roomId });
+      window.close();
+      return;
+    }
+    
+    const roomSecret = (prompt('Enter room key (leave empty if the room is not encrypted):') || '').trim();
+    if (roomSecret) {
+      const { roomSecrets = {} } = await chrome.storage.local.get(['roomSecrets']);
+      roomSecrets[roomId] = roomSecret;
+      await chrome.storage.local.set({ roomSecrets });
     }
+    
+    joinRoom(roomId);
   };
 
   return (
     <div className="popup-container" style={{ padding: '16px' }}>
       <h1 style={{ fontSize: '18px', marginBottom: '16px' }}>YouTube P2P Chat</h1>
       
-      {isLoading ? (
-        <p>Loading...</p>
-      ) : (
+      {isLoading && <p>Loading...</p>}
+      
+      {!isLoading && isModerationOpen && <ModerationScreen onBack={() => setIsModerationOpen(false)} />}
+      
+      {!isLoading && !isModerationOpen && (
         <>
           <div className="nickname-section" style={{ marginBottom: '16px' }}>
             <label style={{ display: 'block', marginBottom: '4px' }}>Your Nickname:</label>
@@ -108,6 +189,78 @@ const Popup = () => {
             </div>
           </div>
           
+          <div className="room-mode-section" style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '4px' }}>New videos open:</label>
+            <select
+              value={roomMode}
+              onChange={(e) => saveRoomMode(e.target.value)}
+              style={{ width: '100%', padding: '4px' }}
+            >
+              <option value={ROOM_MODES.PUBLIC}>Public room for the video</option>
+              <option value={ROOM_MODES.PRIVATE}>New private room</option>
+            </select>
+          </div>
+          
+          {videoId && (
+            <div className="channels-section" style={{ marginBottom: '16px' }}>
+              <h2 style={{ fontSize: '16px', margin: '0 0 8px' }}>Channels for this video</h2>
+              <div style={{ display: 'flex', marginBottom: '8px' }}>
+                <input
+                  type="text"
+                  placeholder="channel name"
+                  value={channelName}
+                  onChange={(e) => setChannelName(e.target.value)}
+                  style={{ flex: 1, marginRight: '8px', padding: '4px' }}
+                />
+                <button onClick={joinChannel} style={{ padding: '4px 8px' }}>Open</button>
+              </div>
+              
+              {channelRooms.length === 0 ? (
+                <p style={{ fontSize: '12px', color: '#666' }}>No channels yet</p>
+              ) : (
+                <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                  {channelRooms.map((room) => (
+                    <li key={room.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '4px 0' }}>
+                      <span>#{room.channel}</span>
+                      <button onClick={() => joinRoom(room.id)} style={{ padding: '4px 8px' }}>
+                        Join
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+          
+          {videoId && (
+            <div className="invite-section" style={{ marginBottom: '16px' }}>
+              <h2 style={{ fontSize: '16px', margin: '0 0 8px' }}>Invite to this chat</h2>
+              <div style={{ display: 'flex', marginBottom: '4px' }}>
+                <select
+                  value={inviteExpiresIn}
+                  onChange={(e) => setInviteExpiresIn(Number(e.target.value))}
+                  style={{ flex: 1, marginRight: '8px', padding: '4px' }}
+                >
+                  {INVITE_EXPIRY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <button onClick={copyInviteLink} style={{ padding: '4px 8px' }}>Copy invite link</button>
+              </div>
+              <label style={{ fontSize: '12px' }}>
+                <input
+                  type="checkbox"
+                  checked={inviteSingleUse}
+                  onChange={(e) => setInviteSingleUse(e.target.checked)}
+                />
+                {' '}Single use
+              </label>
+              <p style={{ fontSize: '12px', color: '#666', margin: '4px 0 0' }}>
+                {inviteStatus || 'Expiry and single use apply to encrypted rooms, and those links only work while you are in the room.'}
+              </p>
+            </div>
+          )}
+          
           <div className="rooms-section">
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
               <h2 style={{ fontSize: '16px', margin: 0 }}>Recent Rooms</h2>
@@ -139,6 +292,12 @@ const Popup = () => {
           
           <div className="info-section" style={{ marginTop: '16px', fontSize: '12px', color: '#666' }}>
             <p>Visit a YouTube video page and the chat interface will appear automatically.</p>
+            <button onClick={() => chrome.runtime.openOptionsPage()} style={{ padding: '4px 8px', marginRight: '8px' }}>
+              Server settings
+            </button>
+            <button onClick={() => setIsModerationOpen(true)} style={{ padding: '4px 8px' }}>
+              Blocked users & filters
+            </button>
           </div>
         </>
       )}
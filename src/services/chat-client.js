@@ -0,0 +1,235 @@
+// Chat Client for YouTube P2P Chat Extension
+// Content script side of the chat: talks to the background worker, which
+// relays to the P2P service in the offscreen document. Storage queries also
+// go through the background worker, since IndexedDB in a content script
+// belongs to the YouTube page rather than the extension.
+// The chat widget creates one client per open room.
+
+import { CONNECTION_STATES } from './connection-supervisor';
+
+export class ChatClient {
+  constructor() {
+    this.roomId = null;
+    this.peerId = null;
+    this.encrypted = false;
+    this.roomSecret = null;
+    this.connectionState = CONNECTION_STATES.OFFLINE;
+    this.members = [];
+    this.messageCallbacks = [];
+    this.statusCallbacks = [];
+    this.reactionCallbacks = [];
+    this.connectionCallbacks = [];
+    this.presenceCallbacks = [];
+    this.roomSecretCallbacks = [];
+    this.runtimeListener = null;
+  }
+  
+  // Send a request to the background worker
+  async request(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    return response || { success: false, error: 'No response from background' };
+  }
+  
+  // Initialize chat for a video, the background picks the room
+  // roomOptions from an invite link: { roomId, roomSecret } or { roomId, invite }
+  async initialize(videoId, roomOptions) {
+    this.listen();
+    
+    const result = await this.request({ type: 'INIT_P2P', videoId, roomOptions });
+    if (result.success) {
+      this.roomId = result.roomId;
+      this.peerId = result.peerId;
+      this.setEncryption(result);
+      this.setConnectionState(result.connectionState);
+      this.setMembers(result.members);
+    }
+    return result;
+  }
+  
+  // Remember whether the room is end-to-end encrypted, and its secret for sharing
+  setEncryption({ encrypted, roomSecret }) {
+    this.encrypted = Boolean(encrypted);
+    this.roomSecret = roomSecret || null;
+  }
+  
+  // Remember the P2P service's connection state and tell listeners
+  setConnectionState(state) {
+    if (!state || state === this.connectionState) return;
+    
+    this.connectionState = state;
+    this.connectionCallbacks.forEach(callback => callback(state));
+  }
+  
+  // Remember the room's members and tell listeners
+  setMembers(members) {
+    if (!members) return;
+    
+    this.members = members;
+    this.presenceCallbacks.forEach(callback => callback(members));
+  }
+  
+  // Send a chat message to the room
+  async sendMessage(messageData) {
+    return this.request({
+      type: 'SEND_MESSAGE',
+      data: { ...messageData, roomId: this.roomId }
+    });
+  }
+  
+  // Cancel a message that is still queued in the outbox
+  async cancelMessage(messageId) {
+    return this.request({ type: 'CANCEL_MESSAGE', roomId: this.roomId, messageId });
+  }
+  
+  // Change the text of one of our own messages
+  async editMessage(messageId, text) {
+    return this.request({ type: 'EDIT_MESSAGE', roomId: this.roomId, messageId, text });
+  }
+  
+  // Delete one of our own messages for everyone in the room
+  async deleteMessage(messageId) {
+    return this.request({ type: 'DELETE_MESSAGE', roomId: this.roomId, messageId });
+  }
+  
+  // React to a message, or take a reaction back with active: false
+  async sendReaction(messageId, emoji, active) {
+    return this.request({ type: 'SEND_REACTION', data: { roomId: this.roomId, messageId, emoji, active } });
+  }
+  
+  // Tell the room we started or stopped typing
+  async sendTyping(typing, nickname) {
+    return this.request({ type: 'SEND_TYPING', roomId: this.roomId, typing, nickname });
+  }
+  
+  // Create a link inviting others to the room
+  // options: { expiresIn, singleUse } for links to encrypted rooms, resolves { success, url, expiresAt }
+  async createInvite(options) {
+    return this.request({ type: 'CREATE_INVITE', roomId: this.roomId, options });
+  }
+  
+  // Tell the background worker the tab now shows this room, e.g. for the popup's invite link
+  async focus() {
+    if (!this.roomId) return;
+    
+    return this.request({ type: 'FOCUS_ROOM', roomId: this.roomId });
+  }
+  
+  // Get stored messages for a room
+  async getMessagesForRoom(roomId, limit) {
+    const result = await this.request({ type: 'GET_MESSAGES', roomId, limit });
+    return result.success ? result.messages : [];
+  }
+  
+  // Get a stored message by its message ID
+  async getMessage(messageId) {
+    const result = await this.request({ type: 'GET_MESSAGE', messageId });
+    return result.success ? result.message : null;
+  }
+  
+  // Get stored messages sent between two playback positions
+  async getMessagesForRange(roomId, fromSec, toSec) {
+    const result = await this.request({ type: 'GET_MESSAGES_RANGE', roomId, fromSec, toSec });
+    return result.success ? result.messages : [];
+  }
+  
+  // Get the stored reactions of a room, including ones taken back
+  async getReactionsForRoom(roomId) {
+    const result = await this.request({ type: 'GET_REACTIONS', roomId });
+    return result.success ? result.reactions : [];
+  }
+  
+  // Search stored messages of a room
+  async searchMessages(roomId, query) {
+    const result = await this.request({ type: 'SEARCH_MESSAGES', roomId, query });
+    return result.success ? result.messages : [];
+  }
+  
+  // Register callback for incoming messages
+  onMessage(callback) {
+    this.messageCallbacks.push(callback);
+  }
+  
+  // Register callback for reactions from peers and other tabs
+  onReaction(callback) {
+    this.reactionCallbacks.push(callback);
+  }
+  
+  // Register callback for delivery state changes, called with { messageId, status }
+  onMessageStatus(callback) {
+    this.statusCallbacks.push(callback);
+  }
+  
+  // Register callback for connection state changes ('connecting', 'p2p', 'relayed' or 'offline')
+  onConnectionState(callback) {
+    this.connectionCallbacks.push(callback);
+  }
+  
+  // Register callback for member list changes, called with the members, ourselves first
+  onPresence(callback) {
+    this.presenceCallbacks.push(callback);
+  }
+  
+  // Register callback for the outcome of joining with an invite, called with { roomSecret } or { error }
+  onRoomSecret(callback) {
+    this.roomSecretCallbacks.push(callback);
+  }
+  
+  // Start listening for messages relayed by the background worker
+  listen() {
+    if (this.runtimeListener) return;
+    
+    this.runtimeListener = (message) => {
+      if (!message.data || message.data.roomId !== this.roomId) return;
+      
+      if (message.type === 'CHAT_MESSAGE') {
+        this.messageCallbacks.forEach(callback => callback(message.data));
+      }
+      
+      if (message.type === 'REACTION') {
+        this.reactionCallbacks.forEach(callback => callback(message.data));
+      }
+      
+      if (message.type === 'MESSAGE_STATUS') {
+        this.statusCallbacks.forEach(callback => callback(message.data));
+      }
+      
+      if (message.type === 'CONNECTION_STATE') {
+        this.setConnectionState(message.data.state);
+      }
+      
+      if (message.type === 'PRESENCE') {
+        this.setMembers(message.data.members);
+      }
+      
+      if (message.type === 'ROOM_SECRET') {
+        if (message.data.roomSecret) {
+          this.setEncryption({ encrypted: true, roomSecret: message.data.roomSecret });
+        }
+        this.roomSecretCallbacks.forEach(callback => callback(message.data));
+      }
+    };
+    chrome.runtime.onMessage.addListener(this.runtimeListener);
+  }
+  
+  // Stop listening and close the room in this tab, the P2P service stays in it while other tabs show it
+  cleanup() {
+    if (this.roomId) {
+      this.request({ type: 'LEAVE_ROOM', roomId: this.roomId })
+        .catch(error => console.error('Failed to leave room:', error));
+    }
+    
+    if (this.runtimeListener) {
+      chrome.runtime.onMessage.removeListener(this.runtimeListener);
+      this.runtimeListener = null;
+    }
+    
+    this.messageCallbacks = [];
+    this.statusCallbacks = [];
+    this.reactionCallbacks = [];
+    this.connectionCallbacks = [];
+    this.presenceCallbacks = [];
+    this.roomSecretCallbacks = [];
+    this.members = [];
+    this.roomId = null;
+  }
+}
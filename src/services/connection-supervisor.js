@@ -0,0 +1,257 @@
+// Connection Supervisor for YouTube P2P Chat Extension
+// Keeps the P2P service connected for as long as a chat is open:
+//
+// - reconnects to the PeerJS server with backoff when it drops,
+// - re-dials room members whose data channel closed unexpectedly,
+// - switches to the Socket.IO relay when the PeerJS server stays unreachable,
+//   and back to WebRTC once it's reachable again.
+//
+// The resulting state is reported to registered callbacks whenever it changes.
+
+export const CONNECTION_STATES = {
+  CONNECTING: 'connecting', // Looking for a transport
+  P2P: 'p2p',               // Connected over WebRTC
+  RELAYED: 'relayed',       // Connected through the Socket.IO relay
+  OFFLINE: 'offline'        // No network, or not started
+};
+
+const RECONNECT_BASE = 1000;
+const RECONNECT_MAX = 30000;
+// Failed PeerJS attempts in a row before switching to the relay
+const RELAY_AFTER_ATTEMPTS = 2;
+// While relayed, how often to check whether WebRTC works again
+const P2P_RETRY_INTERVAL = 60000;
+const PEER_OPEN_TIMEOUT = 10000;
+const REDIAL_MAX_ATTEMPTS = 5;
+
+// PeerJS errors that mean we lost the signaling server rather than a single peer
+const SERVER_ERROR_TYPES = ['network', 'server-error', 'socket-error', 'socket-closed'];
+
+// Exponential backoff for the given attempt
+function getBackoffDelay(attempts) {
+  return Math.min(RECONNECT_BASE * 2 ** (attempts - 1), RECONNECT_MAX);
+}
+
+// Reject if a promise doesn't settle in time
+function withTimeout(promise, timeout, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), timeout);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+export class ConnectionSupervisor {
+  // service: the P2PService whose transports are supervised
+  constructor(service) {
+    this.service = service;
+    this.state = CONNECTION_STATES.OFFLINE;
+    this.stateCallbacks = [];
+    this.peerAttempts = 0;
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+    this.redialTimers = {};     // peerId -> timer
+    this.redialAttempts = {};   // peerId -> failed redials in a row
+    this.running = false;
+    
+    this.handleOnline = () => this.reconnectNow();
+    this.handleOffline = () => this.updateState();
+  }
+  
+  // Start supervising once the service tried its first transport
+  start() {
+    if (this.running) return;
+    this.running = true;
+    
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+      window.addEventListener('offline', this.handleOffline);
+    }
+    
+    this.updateState();
+  }
+  
+  // Register callback for state changes
+  onStateChange(callback) {
+    this.stateCallbacks.push(callback);
+  }
+  
+  // Work out the current state from the service's transports
+  updateState() {
+    const { peer, socket, connections, useWebSocketFallback } = this.service;
+    let state;
+    
+    if (!this.running) {
+      state = CONNECTION_STATES.OFFLINE;
+    } else if (useWebSocketFallback) {
+      state = socket && socket.connected ? CONNECTION_STATES.RELAYED : CONNECTION_STATES.CONNECTING;
+    } else {
+      // Open data channels keep working while the PeerJS server is away
+      const hasOpenChannel = Object.values(connections).some(conn => conn.open);
+      state = (peer && peer.open) || hasOpenChannel ? CONNECTION_STATES.P2P : CONNECTION_STATES.CONNECTING;
+    }
+    
+    if (state === CONNECTION_STATES.CONNECTING && typeof navigator !== 'undefined' && navigator.onLine === false) {
+      state = CONNECTION_STATES.OFFLINE;
+    }
+    
+    if (state !== this.state) {
+      this.state = state;
+      console.log('Connection state:', state);
+      this.stateCallbacks.forEach(callback => callback(state));
+    }
+  }
+  
+  // The PeerJS peer lost its server connection
+  handlePeerDisconnected() {
+    this.updateState();
+    this.scheduleReconnect();
+  }
+  
+  // Errors about the signaling server trigger a reconnect, errors about single peers don't
+  handlePeerError(error) {
+    if (SERVER_ERROR_TYPES.includes(error.type)) {
+      this.handlePeerDisconnected();
+    }
+  }
+  
+  // The first attempt to open PeerJS failed and the service fell back to the relay
+  handleInitialFailure() {
+    this.peerAttempts = RELAY_AFTER_ATTEMPTS;
+    this.scheduleReconnect();
+  }
+  
+  // Try PeerJS again after a backoff, or after a longer pause while relayed
+  scheduleReconnect() {
+    if (!this.running || this.reconnectTimer || this.reconnecting) return;
+    
+    const delay = this.service.useWebSocketFallback
+      ? P2P_RETRY_INTERVAL
+      : getBackoffDelay(this.peerAttempts + 1);
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnectPeer();
+    }, delay);
+  }
+  
+  // Retry right away, e.g. when the network comes back
+  reconnectNow() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.peerAttempts = 0;
+    this.updateState();
+    
+    const { peer, useWebSocketFallback } = this.service;
+    if (useWebSocketFallback || !peer || peer.disconnected) {
+      this.reconnectPeer();
+    }
+  }
+  
+  // Reconnect the PeerJS peer, or create a new one if it was destroyed
+  async reconnectPeer() {
+    if (!this.running || this.reconnecting) return;
+    this.reconnecting = true;
+    
+    try {
+      const { peer } = this.service;
+      
+      if (peer && !peer.destroyed && peer.disconnected) {
+        await withTimeout(new Promise((resolve, reject) => {
+          peer.once('open', resolve);
+          peer.once('error', reject);
+          peer.reconnect();
+        }), PEER_OPEN_TIMEOUT, 'Timed out reconnecting to the PeerJS server');
+      } else if (!peer || peer.destroyed) {
+        await withTimeout(this.service.initializePeerJS(), PEER_OPEN_TIMEOUT, 'Timed out opening PeerJS');
+        
+        // The new peer isn't in the lobby or connected to anyone yet, join the room like on the first open
+        if (!this.service.useWebSocketFallback) {
+          this.service.leaveLobby();
+          await this.service.announceToRoom();
+        }
+      }
+      
+      console.log('PeerJS server reachable again');
+      this.peerAttempts = 0;
+      
+      if (this.service.useWebSocketFallback) {
+        await this.service.switchToPeerJS();
+      }
+    } catch (error) {
+      console.warn('Failed to reconnect to the PeerJS server:', error.message);
+      this.peerAttempts++;
+      
+      if (this.peerAttempts >= RELAY_AFTER_ATTEMPTS && !this.service.useWebSocketFallback) {
+        this.service.switchToRelay();
+      }
+    } finally {
+      this.reconnecting = false;
+    }
+    
+    this.updateState();
+    
+    const { peer } = this.service;
+    if (!peer || !peer.open) {
+      this.scheduleReconnect();
+    }
+  }
+  
+  // A data channel closed unexpectedly: re-dial the peer if it's still in the room
+  // Only the peer with the lower ID dials, so the two sides don't race
+  handleConnectionLost(remotePeerId) {
+    this.updateState();
+    
+    const { lobby, peerId, useWebSocketFallback } = this.service;
+    if (!this.running || useWebSocketFallback || !lobby || peerId > remotePeerId) return;
+    
+    const attempts = (this.redialAttempts[remotePeerId] || 0) + 1;
+    if (attempts > REDIAL_MAX_ATTEMPTS) {
+      console.warn('Giving up re-dialing peer:', remotePeerId);
+      delete this.redialAttempts[remotePeerId];
+      return;
+    }
+    this.redialAttempts[remotePeerId] = attempts;
+    
+    clearTimeout(this.redialTimers[remotePeerId]);
+    this.redialTimers[remotePeerId] = setTimeout(() => {
+      delete this.redialTimers[remotePeerId];
+      
+      const { lobby: currentLobby, connections, peer } = this.service;
+      if (!currentLobby || !currentLobby.members.has(remotePeerId) || connections[remotePeerId] || !peer || !peer.open) {
+        return;
+      }
+      
+      console.log('Re-dialing peer:', remotePeerId);
+      this.service.connectToPeer(remotePeerId);
+    }, getBackoffDelay(attempts));
+  }
+  
+  // A data channel opened, the peer no longer needs re-dialing
+  handleConnectionOpen(remotePeerId) {
+    clearTimeout(this.redialTimers[remotePeerId]);
+    delete this.redialTimers[remotePeerId];
+    delete this.redialAttempts[remotePeerId];
+    this.updateState();
+  }
+  
+  // Stop all timers, e.g. when the service is cleaned up
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    
+    Object.values(this.redialTimers).forEach(timer => clearTimeout(timer));
+    this.redialTimers = {};
+    this.redialAttempts = {};
+    
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+      window.removeEventListener('offline', this.handleOffline);
+    }
+    
+    this.updateState();
+  }
+}
@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import { MockNetwork, waitFor } from '../test-utils/mock-peer';
+import { createStorageMock } from '../test-utils/mock-storage';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const ROOM_ID = `yt-${VIDEO_ID}`;
+
+let network = new MockNetwork();
+
+jest.unstable_mockModule('peerjs', () => ({
+  Peer: function Peer(id) {
+    return network.createPeer(id);
+  }
+}));
+jest.unstable_mockModule('./storage-service', createStorageMock);
+
+const { P2PService } = await import('./p2p-service');
+const { CONNECTION_STATES } = await import('./connection-supervisor');
+
+describe('ConnectionSupervisor', () => {
+  let services;
+  
+  // Join a room as a new peer
+  async function joinRoom(peerId) {
+    const service = new P2PService();
+    service.configure({ peerId });
+    services.push(service);
+    
+    const result = await service.initialize(VIDEO_ID, { roomId: ROOM_ID });
+    expect(result.success).toBe(true);
+    return service;
+  }
+  
+  // Whether a service has an open connection to a peer
+  function isConnected(service, remotePeerId) {
+    const conn = service.connections[remotePeerId];
+    return Boolean(conn && conn.open);
+  }
+  
+  beforeEach(() => {
+    network = new MockNetwork();
+    services = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    services.forEach(service => service.cleanup());
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+  
+  test('a destroyed peer is replaced and rejoins the room', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    await waitFor(() => isConnected(first, 'peer-b') && isConnected(second, 'peer-a'));
+    const destroyedPeer = second.peer;
+    
+    // The PeerJS server drops the peer for good, taking its lobby connection and data channels along
+    // The lobby retries right away, while the destroyed peer can't connect anywhere
+    jest.useFakeTimers({ doNotFake: ['Date', 'setImmediate', 'nextTick', 'queueMicrotask'] });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    destroyedPeer.destroy();
+    second.supervisor.handlePeerDisconnected();
+    await waitFor(() => !first.lobby.members.has('peer-b') && !first.connections['peer-b']);
+    jest.advanceTimersByTime(0);
+    await waitFor(() => errorSpy.mock.calls.some(([message]) => message === 'Failed to rejoin lobby:'));
+    
+    jest.advanceTimersByTime(1000);
+    await waitFor(() => isConnected(first, 'peer-b') && isConnected(second, 'peer-a'));
+    
+    expect(second.peer).not.toBe(destroyedPeer);
+    expect(first.lobby.members.has('peer-b')).toBe(true);
+    expect(second.supervisor.state).toBe(CONNECTION_STATES.P2P);
+  });
+});
@@ -0,0 +1,107 @@
+// Connection Test for YouTube P2P Chat Extension
+// Checks server settings from the options page before they are saved:
+// can we register with the PeerJS server, reach the relay, and gather
+// candidates from the STUN/TURN servers?
+
+import { Peer } from 'peerjs';
+import { io } from 'socket.io-client';
+
+const TEST_TIMEOUT = 10000;
+
+// Resolve { success, error, elapsed } for a check that calls done(error?) once
+function runCheck(start, cleanup) {
+  const startedAt = Date.now();
+  
+  return new Promise((resolve) => {
+    let finished = false;
+    let timer;
+    
+    const done = (error) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      cleanup();
+      resolve(error
+        ? { success: false, error: error.message || String(error) }
+        : { success: true, elapsed: Date.now() - startedAt });
+    };
+    
+    timer = setTimeout(() => done(new Error('Timed out')), TEST_TIMEOUT);
+    
+    try {
+      start(done);
+    } catch (error) {
+      done(error);
+    }
+  });
+}
+
+// Register a throwaway peer with the PeerJS server
+export function testPeerServer(settings) {
+  let peer = null;
+  
+  return runCheck((done) => {
+    peer = new Peer({ ...settings.peerServer, config: { iceServers: settings.iceServers } });
+    peer.on('open', () => done());
+    peer.on('error', error => done(error));
+  }, () => peer && peer.destroy());
+}
+
+// Connect to the Socket.IO relay without retrying
+export function testRelay(settings) {
+  if (!settings.relayUrl) {
+    return Promise.resolve({ success: false, skipped: true, error: 'No relay configured' });
+  }
+  
+  let socket = null;
+  
+  return runCheck((done) => {
+    socket = io(settings.relayUrl, { reconnection: false, timeout: TEST_TIMEOUT });
+    socket.on('connect', () => done());
+    socket.on('connect_error', error => done(error));
+  }, () => socket && socket.disconnect());
+}
+
+// Gather ICE candidates, STUN should give 'srflx' candidates and TURN 'relay' ones
+export async function testIceServers(settings) {
+  let connection = null;
+  const candidateTypes = new Set();
+  
+  const result = await runCheck((done) => {
+    connection = new RTCPeerConnection({ iceServers: settings.iceServers });
+    connection.createDataChannel('test');
+    
+    connection.onicecandidate = (event) => {
+      if (event.candidate) {
+        candidateTypes.add(event.candidate.type);
+      } else {
+        done();
+      }
+    };
+    
+    connection.createOffer()
+      .then(offer => connection.setLocalDescription(offer))
+      .catch(done);
+  }, () => connection && connection.close());
+  
+  const types = Array.from(candidateTypes);
+  const hasServerCandidate = types.includes('srflx') || types.includes('relay');
+  
+  return {
+    ...result,
+    success: result.success && hasServerCandidate,
+    error: result.error || (hasServerCandidate ? undefined : 'No candidates from STUN/TURN servers'),
+    candidateTypes: types
+  };
+}
+
+// Run every check at once
+export async function testConnection(settings) {
+  const [peerServer, relay, iceServers] = await Promise.all([
+    testPeerServer(settings),
+    testRelay(settings),
+    testIceServers(settings)
+  ]);
+  
+  return { peerServer, relay, iceServers };
+}
@@ -0,0 +1,198 @@
+// Crypto Service for YouTube P2P Chat Extension
+// WebCrypto helpers for room encryption (AES-GCM, HKDF, HMAC and ECDH)
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Encode bytes as base64url
+export function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode base64url into bytes
+export function fromBase64(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Generate a random secret that can be shared to join an encrypted room
+export function generateRoomSecret() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+// Generate a short random ID, e.g. for key epochs
+export function generateKeyId() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(6)));
+}
+
+// Derive the initial room key and the membership proof key from a room secret
+export async function deriveRoomKeys(secret, roomId) {
+  const baseKey = await crypto.subtle.importKey('raw', fromBase64(secret), 'HKDF', false, ['deriveKey']);
+  const salt = encoder.encode(roomId);
+  
+  const encryptionKey = await crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode('yt-p2p-chat room key') },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  
+  const authKey = await crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode('yt-p2p-chat membership proof') },
+    baseKey,
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+    false,
+    ['sign', 'verify']
+  );
+  
+  return { encryptionKey, authKey };
+}
+
+// Generate a fresh room key for key rotation
+export async function generateRoomKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+// Encrypt a JSON-serializable value with an AES-GCM key
+export async function encryptPayload(key, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    encoder.encode(JSON.stringify(data))
+  );
+  
+  return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+}
+
+// Decrypt a value produced by encryptPayload, throws if it was tampered with
+export async function decryptPayload(key, { iv, ciphertext }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    key,
+    fromBase64(ciphertext)
+  );
+  
+  return JSON.parse(decoder.decode(plaintext));
+}
+
+// Wrap a room key for one peer with the key shared with that peer
+export async function wrapRoomKey(sharedKey, roomKey) {
+  const rawKey = await crypto.subtle.exportKey('raw', roomKey);
+  return encryptPayload(sharedKey, toBase64(rawKey));
+}
+
+// Unwrap a room key received from a peer
+export async function unwrapRoomKey(sharedKey, wrappedKey) {
+  const rawKey = fromBase64(await decryptPayload(sharedKey, wrappedKey));
+  return crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+// Generate an ECDH key pair for agreeing keys with other members
+export async function generateEcdhKeyPair() {
+  return crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveKey']);
+}
+
+// Export a public key as JWK to send to peers
+export async function exportPublicKey(publicKey) {
+  return crypto.subtle.exportKey('jwk', publicKey);
+}
+
+// Derive the AES-GCM key shared with a peer from our private key and its public key
+export async function deriveSharedKey(privateKey, peerPublicJwk) {
+  const peerPublicKey = await crypto.subtle.importKey(
+    'jwk',
+    peerPublicJwk,
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+  
+  return crypto.subtle.deriveKey(
+    { name: 'ECDH', public: peerPublicKey },
+    privateKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Prove knowledge of the room secret for some data
+export async function signProof(authKey, data) {
+  const signature = await crypto.subtle.sign('HMAC', authKey, encoder.encode(data));
+  return toBase64(signature);
+}
+
+// Check a proof made with signProof
+export async function verifyProof(authKey, data, proof) {
+  try {
+    return await crypto.subtle.verify('HMAC', authKey, fromBase64(proof), encoder.encode(data));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Generate an ECDSA key pair for signing messages, exported as JWKs for chrome.storage
+export async function generateSigningKeyPair() {
+  const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  
+  return {
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+  };
+}
+
+// Sign data with a private signing key (JWK)
+export async function signData(privateJwk, data) {
+  const privateKey = await crypto.subtle.importKey(
+    'jwk',
+    privateJwk,
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['sign']
+  );
+  
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    privateKey,
+    encoder.encode(data)
+  );
+  return toBase64(signature);
+}
+
+// Verify a signature made with signData against a public key (JWK)
+export async function verifySignature(publicJwk, data, signature) {
+  try {
+    const publicKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y },
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    
+    return await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      publicKey,
+      fromBase64(signature),
+      encoder.encode(data)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// Short, human comparable fingerprint of a public key, e.g. "3f9a 0c12 77be 41d0"
+export async function getKeyFingerprint(publicJwk) {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${publicJwk.x}.${publicJwk.y}`));
+  const hex = Array.from(new Uint8Array(digest).slice(0, 8))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return hex.match(/.{4}/g).join(' ');
+}
@@ -0,0 +1,155 @@
+// History Sync for YouTube P2P Chat Extension
+// Lets a member who joins late catch up on messages sent before they joined.
+//
+//   newcomer -> member    { type: 'sync-request', clocks: { [userId]: clock }, limit }
+//   member   -> newcomer  { type: 'sync-batch', messages: [...], reactions: [...], revisions: [...], done }
+//
+// The newcomer sends the highest Lamport clock it has stored from each
+// sender and asks one member for every message, reaction and edit or
+// deletion newer than that from its sender. Clocks are compared per sender,
+// so concurrent messages with lower clocks than ours aren't skipped. The
+// member answers with the messages and operations exactly as they were
+// signed, in small batches, so every one is verified like a live one and
+// stored without duplicates. Deleted messages are never passed on, only
+// their deletion. Both sides cap how much is transferred, and members
+// answer each peer at most once per SYNC_REQUEST_INTERVAL.
+
+import { getLatestClocks, getMessagesSince, getReactionsSince, getRevisionsSince } from './storage-service';
+
+export const SYNC_MESSAGE_TYPES = {
+  REQUEST: 'sync-request',
+  BATCH: 'sync-batch'
+};
+
+// Most messages transferred for one request
+const SYNC_MAX_MESSAGES = 500;
+// Most senders whose clocks a request carries, the ones heard from last are kept
+export const SYNC_MAX_SENDERS = 500;
+export const SYNC_BATCH_SIZE = 50;
+const SYNC_BATCH_INTERVAL = 250;
+// Members answer the same peer at most this often
+const SYNC_REQUEST_INTERVAL = 30000;
+
+// Keep the clocks of the senders heard from last if there are too many
+function limitClocks(clocks) {
+  const senders = Object.entries(clocks);
+  if (senders.length <= SYNC_MAX_SENDERS) return clocks;
+  
+  return Object.fromEntries(senders.sort((a, b) => b[1] - a[1]).slice(0, SYNC_MAX_SENDERS));
+}
+
+export class HistorySync {
+  // service: the P2PService whose room is synced
+  constructor(service, roomId) {
+    this.service = service;
+    this.roomId = roomId;
+    this.requested = false;
+    this.sourcePeerId = null;   // Member answering our request, null until known
+    this.remaining = 0;         // Messages we still accept for our request
+    this.lastAnswered = {};     // peerId -> time we last answered its request
+    this.batchTimers = [];
+    this.closed = false;
+  }
+  
+  // Ask for missed messages once per room, from one peer or the whole room over the relay
+  async requestHistory(remotePeerId) {
+    if (this.closed || this.requested) return;
+    this.requested = true;
+    
+    this.sourcePeerId = remotePeerId || null;
+    this.remaining = SYNC_MAX_MESSAGES;
+    
+    const request = {
+      type: SYNC_MESSAGE_TYPES.REQUEST,
+      clocks: limitClocks(await getLatestClocks(this.roomId)),
+      limit: SYNC_MAX_MESSAGES
+    };
+    
+    if (remotePeerId) {
+      await this.service.sendSecureToPeer(remotePeerId, request);
+    } else {
+      await this.service.broadcastSecure(request);
+    }
+    console.log('Requested message history for room:', this.roomId);
+  }
+  
+  // Answer a peer's request with the signed messages it's missing, in batches
+  async handleRequest(remotePeerId, request) {
+    const now = Date.now();
+    if (now - (this.lastAnswered[remotePeerId] || 0) < SYNC_REQUEST_INTERVAL) {
+      console.warn('Ignoring repeated history request from peer:', remotePeerId);
+      return;
+    }
+    this.lastAnswered[remotePeerId] = now;
+    
+    const limit = Math.min(Number(request.limit) || SYNC_MAX_MESSAGES, SYNC_MAX_MESSAGES);
+    const clocks = request.clocks || {};
+    const records = await getMessagesSince(this.roomId, clocks, limit);
+    
+    // Messages stored without their signed form can't be verified by the peer, reactions and revisions always can
+    const messages = records.filter(record => record.signedMessage && !record.deleted).map(record => record.signedMessage);
+    const reactions = await getReactionsSince(this.roomId, clocks, limit);
+    const revisions = await getRevisionsSince(this.roomId, clocks, limit);
+    
+    const batchCount = Math.max(1, Math.ceil(Math.max(messages.length, reactions.length, revisions.length) / SYNC_BATCH_SIZE));
+    for (let index = 0; index < batchCount; index++) {
+      this.batchTimers.push(setTimeout(() => {
+        if (this.closed) return;
+        
+        this.service.sendSecureToPeer(remotePeerId, {
+          type: SYNC_MESSAGE_TYPES.BATCH,
+          messages: messages.slice(index * SYNC_BATCH_SIZE, (index + 1) * SYNC_BATCH_SIZE),
+          reactions: reactions.slice(index * SYNC_BATCH_SIZE, (index + 1) * SYNC_BATCH_SIZE),
+          revisions: revisions.slice(index * SYNC_BATCH_SIZE, (index + 1) * SYNC_BATCH_SIZE),
+          done: index === batchCount - 1
+        });
+      }, index * SYNC_BATCH_INTERVAL));
+    }
+  }
+  
+  // Merge a batch answering our request, anything unrequested or over the cap is dropped
+  async handleBatch(remotePeerId, batch) {
+    if (!this.requested || this.remaining <= 0) return;
+    
+    // Over the relay the first member to answer serves the whole request
+    this.sourcePeerId = this.sourcePeerId || remotePeerId;
+    if (remotePeerId !== this.sourcePeerId) return;
+    
+    const messages = (Array.isArray(batch.messages) ? batch.messages : []).slice(0, this.remaining);
+    this.remaining = batch.done ? 0 : this.remaining - messages.length;
+    
+    let mergedCount = 0;
+    for (const message of messages) {
+      if (!message || message.roomId !== this.roomId) continue;
+      
+      const { valid, duplicate } = await this.service.acceptMessage(message);
+      if (valid && !duplicate) {
+        mergedCount++;
+      }
+    }
+    console.log(`Merged ${mergedCount} of ${messages.length} synced messages from peer:`, remotePeerId);
+    
+    // Reactions, edits and deletions merge by their own clock, a batch never carries more than one batch worth
+    const reactions = (Array.isArray(batch.reactions) ? batch.reactions : []).slice(0, SYNC_BATCH_SIZE);
+    for (const reaction of reactions) {
+      if (reaction && reaction.roomId === this.roomId) {
+        await this.service.acceptReaction(reaction);
+      }
+    }
+    
+    const revisions = (Array.isArray(batch.revisions) ? batch.revisions : []).slice(0, SYNC_BATCH_SIZE);
+    for (const revision of revisions) {
+      if (revision && revision.roomId === this.roomId) {
+        await this.service.acceptRevision(revision);
+      }
+    }
+  }
+  
+  // Stop answering and accepting history, e.g. when leaving the room
+  stop() {
+    this.closed = true;
+    this.batchTimers.forEach(timer => clearTimeout(timer));
+    this.batchTimers = [];
+    this.remaining = 0;
+  }
+}
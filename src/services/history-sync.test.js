@@ -0,0 +1,221 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+import { JSDOM } from 'jsdom';
+
+// DOMPurify sanitizes stored messages with the window it finds when loaded
+globalThis.window = new JSDOM('').window;
+
+const { HistorySync } = await import('./history-sync');
+const { db, saveMessage, reviseMessage } = await import('./storage-service');
+const { signMessage, verifyMessage } = await import('./identity-service');
+const { generateSigningKeyPair } = await import('./crypto-service');
+
+const ROOM_ID = 'yt-dQw4w9WgXcQ';
+
+// A stand-in for the P2PService of one member, recording what it sends
+function createService() {
+  return {
+    sendSecureToPeer: jest.fn(async () => {}),
+    broadcastSecure: jest.fn(async () => {}),
+    acceptMessage: jest.fn(async () => ({ valid: true, duplicate: false })),
+    acceptReaction: jest.fn(async () => {}),
+    acceptRevision: jest.fn(async () => {})
+  };
+}
+
+// Store a signed chat message the way a received one is stored
+function storeMessage(userId, clock, fields = {}) {
+  return saveMessage({
+    type: 'chat',
+    messageId: `${userId}-${clock}`,
+    roomId: ROOM_ID,
+    userId,
+    text: 'hi',
+    clock,
+    timestamp: 1767225600000 + clock,
+    publicKey: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' },
+    signature: 'c2lnbmF0dXJl',
+    ...fields
+  });
+}
+
+// Batches a member sent to a peer
+function getBatches(service) {
+  return service.sendSecureToPeer.mock.calls
+    .map(([, data]) => data)
+    .filter(data => data.type === 'sync-batch');
+}
+
+// Message IDs in the batches a member sent
+function getSyncedIds(service) {
+  return getBatches(service).flatMap(batch => batch.messages.map(message => message.messageId));
+}
+
+describe('HistorySync', () => {
+  let member;
+  let service;
+  
+  beforeEach(async () => {
+    await Promise.all([db.messages.clear(), db.reactions.clear(), db.revisions.clear()]);
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick', 'queueMicrotask'] });
+    service = createService();
+    member = new HistorySync(service, ROOM_ID);
+  });
+  
+  afterEach(() => {
+    member.stop();
+    jest.useRealTimers();
+  });
+  
+  test('passes stored messages on exactly as their sender signed them', async () => {
+    const identity = { userId: 'user-a', signingKeys: await generateSigningKeyPair() };
+    const newcomerService = createService();
+    const newcomer = new HistorySync(newcomerService, ROOM_ID);
+    
+    // The newcomer asks before it has anything
+    await newcomer.requestHistory('peer-member');
+    const [, request] = newcomerService.sendSecureToPeer.mock.calls[0];
+    
+    // Signed without a nickname, timestamp or clock, and with text that gets sanitized
+    const signed = await signMessage({
+      type: 'chat',
+      messageId: 'message-1',
+      roomId: ROOM_ID,
+      text: 'look <img src=x onerror=alert(1)>'
+    }, identity);
+    await saveMessage({ ...signed, fingerprint: 'fingerprint', verified: true });
+    await db.messages.where('messageId').equals('message-1').modify({ clock: 1 });
+    
+    await member.handleRequest('peer-newcomer', request);
+    jest.runAllTimers();
+    const [batch] = getBatches(service);
+    await newcomer.handleBatch('peer-member', batch);
+    
+    const [synced] = newcomerService.acceptMessage.mock.calls[0];
+    expect(synced).toEqual(signed);
+    expect((await verifyMessage(synced)).valid).toBe(true);
+  });
+  
+  test('asks for the messages after the last one stored from each sender', async () => {
+    await storeMessage('user-a', 5);
+    await storeMessage('user-b', 3);
+    
+    await member.requestHistory('peer-member');
+    
+    expect(service.sendSecureToPeer).toHaveBeenCalledWith('peer-member', {
+      type: 'sync-request',
+      clocks: { 'user-a': 5, 'user-b': 3 },
+      limit: 500
+    });
+  });
+  
+  test('answers with missed messages of every sender, including ones with lower clocks', async () => {
+    await storeMessage('user-a', 2);
+    await storeMessage('user-a', 5);
+    await storeMessage('user-a', 7);
+    await storeMessage('user-b', 3);
+    await storeMessage('user-c', 1);
+    await storeMessage('user-c', 4, { signature: null });
+    
+    await member.handleRequest('peer-newcomer', { type: 'sync-request', clocks: { 'user-a': 5 } });
+    jest.runAllTimers();
+    
+    expect(getSyncedIds(service)).toEqual(['user-c-1', 'user-b-3', 'user-a-7']);
+  });
+  
+  test('doesn\'t pass on deleted messages', async () => {
+    await storeMessage('user-a', 1);
+    await reviseMessage('user-a-1', { deleted: true });
+    
+    await member.handleRequest('peer-newcomer', { type: 'sync-request', clocks: {} });
+    jest.runAllTimers();
+    
+    expect(getSyncedIds(service)).toEqual([]);
+  });
+  
+  test('sends history in batches, spaced out and capped', async () => {
+    await Promise.all(Array.from({ length: 120 }, (_, i) => storeMessage('user-a', i + 1)));
+    
+    await member.handleRequest('peer-newcomer', { type: 'sync-request', clocks: {} });
+    jest.advanceTimersByTime(0);
+    expect(getBatches(service)).toHaveLength(1);
+    jest.advanceTimersByTime(250);
+    expect(getBatches(service)).toHaveLength(2);
+    jest.advanceTimersByTime(250);
+    
+    const batches = getBatches(service);
+    expect(batches.map(batch => batch.messages.length)).toEqual([50, 50, 20]);
+    expect(batches.map(batch => batch.done)).toEqual([false, false, true]);
+    
+    // A smaller limit is honoured, a larger one isn't
+    await member.handleRequest('peer-other', { type: 'sync-request', clocks: {}, limit: 30 });
+    jest.runAllTimers();
+    expect(getBatches(service).slice(3).flatMap(batch => batch.messages)).toHaveLength(30);
+  });
+  
+  test('never sends more than 500 messages for one request', async () => {
+    await db.messages.bulkAdd(Array.from({ length: 600 }, (_, i) => ({
+      messageId: `message-${i}`,
+      roomId: ROOM_ID,
+      userId: 'user-a',
+      clock: i + 1,
+      signedMessage: { messageId: `message-${i}` }
+    })));
+    
+    await member.handleRequest('peer-newcomer', { type: 'sync-request', clocks: {}, limit: 1000 });
+    jest.runAllTimers();
+    
+    expect(getSyncedIds(service)).toHaveLength(500);
+  });
+  
+  test('answers each peer at most once per interval', async () => {
+    await storeMessage('user-a', 1);
+    
+    await member.handleRequest('peer-newcomer', { type: 'sync-request', clocks: {} });
+    await member.handleRequest('peer-newcomer', { type: 'sync-request', clocks: {} });
+    jest.runAllTimers();
+    expect(getBatches(service)).toHaveLength(1);
+    
+    jest.advanceTimersByTime(30000);
+    await member.handleRequest('peer-newcomer', { type: 'sync-request', clocks: {} });
+    jest.runAllTimers();
+    expect(getBatches(service)).toHaveLength(2);
+  });
+  
+  test('merges only batches it asked for, from one member, up to the cap', async () => {
+    const batch = {
+      type: 'sync-batch',
+      messages: Array.from({ length: 50 }, (_, i) => ({ roomId: ROOM_ID, messageId: `message-${i}` })),
+      done: false
+    };
+    
+    // Nothing was asked for yet
+    await member.handleBatch('peer-member', batch);
+    expect(service.acceptMessage).not.toHaveBeenCalled();
+    
+    await member.requestHistory();
+    for (let index = 0; index < 11; index++) {
+      await member.handleBatch('peer-member', batch);
+    }
+    await member.handleBatch('peer-other', batch);
+    expect(service.acceptMessage).toHaveBeenCalledTimes(500);
+  });
+  
+  test('stops merging once the member is done', async () => {
+    const batch = {
+      type: 'sync-batch',
+      messages: [{ roomId: ROOM_ID, messageId: 'message-1' }],
+      reactions: Array.from({ length: 60 }, () => ({ roomId: ROOM_ID })),
+      revisions: [{ roomId: 'yt-jNQXAC9IVRw' }],
+      done: true
+    };
+    
+    await member.requestHistory('peer-member');
+    await member.handleBatch('peer-member', batch);
+    await member.handleBatch('peer-member', batch);
+    
+    expect(service.acceptMessage).toHaveBeenCalledTimes(1);
+    expect(service.acceptReaction).toHaveBeenCalledTimes(50);
+    expect(service.acceptRevision).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+// Identity Service for YouTube P2P Chat Extension
+// Persistent signing identity of this installation, and message signatures
+// so peers can't put someone else's userId or nickname on a message
+
+import { v4 as uuidv4 } from 'uuid';
+import { generateSigningKeyPair, signData, verifySignature, getKeyFingerprint } from './crypto-service';
+import { getUser, updateUser } from './storage-service';
+
+// Fields that are added to a message after signing or only matter locally
+const UNSIGNED_FIELDS = ['id', 'signature', 'verified', 'fingerprint', 'status', 'from', 'to', 'timestamps'];
+
+// Get this installation's identity, creating the user ID and signing keys if missing
+// Uses chrome.storage, so it runs in the background worker
+export async function getIdentity() {
+  const storedData = await chrome.storage.local.get(['userId', 'signingKeys']);
+  
+  const identity = {
+    userId: storedData.userId || uuidv4(),
+    signingKeys: storedData.signingKeys || await generateSigningKeyPair()
+  };
+  
+  if (!storedData.userId || !storedData.signingKeys) {
+    await chrome.storage.local.set(identity);
+  }
+  
+  return identity;
+}
+
+// Only the public parameters of a key are sent along with messages
+function getPublicKeyParameters({ kty, crv, x, y }) {
+  return { kty, crv, x, y };
+}
+
+// Sort object keys recursively and drop empty fields, so both sides serialize the same way
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        result[key] = canonicalize(value[key]);
+      }
+      return result;
+    }, {});
+  }
+  
+  return value;
+}
+
+// The exact string that gets signed for a message
+export function getSignedContent(message) {
+  const content = { ...message };
+  UNSIGNED_FIELDS.forEach(field => delete content[field]);
+  return JSON.stringify(canonicalize(content));
+}
+
+// Sign an outgoing message with this installation's identity
+export async function signMessage(message, identity) {
+  const signedMessage = {
+    ...message,
+    userId: identity.userId,
+    publicKey: getPublicKeyParameters(identity.signingKeys.publicKey)
+  };
+  
+  signedMessage.signature = await signData(identity.signingKeys.privateKey, getSignedContent(signedMessage));
+  return signedMessage;
+}
+
+// Check a message's signature against the key it carries
+// Resolves { valid, fingerprint }, invalid when the signature is missing or bad
+export async function verifyMessage(message) {
+  if (!message || !message.signature || !message.publicKey || !message.userId) {
+    return { valid: false, fingerprint: null };
+  }
+  
+  const valid = await verifySignature(message.publicKey, getSignedContent(message), message.signature);
+  return {
+    valid,
+    fingerprint: valid ? await getKeyFingerprint(message.publicKey) : null
+  };
+}
+
+// Whether two signed messages or operations come from the same user and signing key
+export function isSameSigner(a, b) {
+  return Boolean(a.publicKey && b.publicKey)
+    && a.userId === b.userId
+    && a.publicKey.x === b.publicKey.x
+    && a.publicKey.y === b.publicKey.y;
+}
+
+// Trust on first use: remember the first key seen for a user ID
+// Resolves false when the user ID was seen before with a different key
+export async function checkSenderKey(message, fingerprint) {
+  const user = await getUser(message.userId);
+  
+  if (user && user.fingerprint && user.fingerprint !== fingerprint) {
+    return false;
+  }
+  
+  await updateUser({
+    id: message.userId,
+    nickname: message.nickname,
+    publicKey: message.publicKey,
+    fingerprint
+  });
+  return true;
+}
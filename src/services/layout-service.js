@@ -0,0 +1,82 @@
+// Layout Service for YouTube P2P Chat Extension
+// Where the chat widget sits on YouTube pages and how big it is, stored in
+// chrome.storage.local so the widget comes back the way it was left.
+
+const LAYOUT_KEY = 'widgetLayout';
+
+// Ways the widget can be placed on the page
+export const DOCK_MODES = {
+  FLOATING: 'floating', // Over the page, anywhere in the window
+  SIDEBAR: 'sidebar',   // In YouTube's secondary column, in place of the related videos
+  OVERLAY: 'overlay'    // Translucent, inside the fullscreen player
+};
+
+// The widget can't be resized below this (px)
+export const MIN_WIDGET_SIZE = { width: 240, height: 240 };
+
+export const DEFAULT_WIDGET_LAYOUT = {
+  // Mode outside fullscreen, the overlay is used whenever the player is fullscreen
+  mode: DOCK_MODES.FLOATING,
+  // { left, top, width, height } in px per layout, null for the default place
+  floating: null,
+  // Floating in theater mode, kept apart so the chat can sit clear of the wide player
+  theater: null,
+  // Relative to the fullscreen player
+  overlay: null,
+  // Only the height, the column sets the width
+  sidebar: { height: 500 }
+};
+
+// Keep a stored box if it's usable, otherwise fall back to the default place
+function normalizeBox(box) {
+  if (!box || ![box.left, box.top, box.width, box.height].every(Number.isFinite)) {
+    return null;
+  }
+  
+  return {
+    left: Math.round(box.left),
+    top: Math.round(box.top),
+    width: Math.max(MIN_WIDGET_SIZE.width, Math.round(box.width)),
+    height: Math.max(MIN_WIDGET_SIZE.height, Math.round(box.height))
+  };
+}
+
+// Fill in missing or broken parts of a stored layout
+export function normalizeWidgetLayout(layout = {}) {
+  const sidebarHeight = layout.sidebar && Number(layout.sidebar.height);
+  
+  return {
+    mode: layout.mode === DOCK_MODES.SIDEBAR ? DOCK_MODES.SIDEBAR : DOCK_MODES.FLOATING,
+    floating: normalizeBox(layout.floating),
+    theater: normalizeBox(layout.theater),
+    overlay: normalizeBox(layout.overlay),
+    sidebar: {
+      height: Number.isFinite(sidebarHeight)
+        ? Math.max(MIN_WIDGET_SIZE.height, Math.round(sidebarHeight))
+        : DEFAULT_WIDGET_LAYOUT.sidebar.height
+    }
+  };
+}
+
+// Get the stored widget layout
+export async function getWidgetLayout() {
+  try {
+    const storedData = await chrome.storage.local.get([LAYOUT_KEY]);
+    return normalizeWidgetLayout(storedData[LAYOUT_KEY] || DEFAULT_WIDGET_LAYOUT);
+  } catch (error) {
+    console.error('Failed to get widget layout:', error);
+    return normalizeWidgetLayout(DEFAULT_WIDGET_LAYOUT);
+  }
+}
+
+// Save the widget layout
+export async function saveWidgetLayout(layout) {
+  try {
+    const normalizedLayout = normalizeWidgetLayout(layout);
+    await chrome.storage.local.set({ [LAYOUT_KEY]: normalizedLayout });
+    return { success: true, layout: normalizedLayout };
+  } catch (error) {
+    console.error('Failed to save widget layout:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,171 @@
+// Message Outbox for YouTube P2P Chat Extension
+// Keeps our signed messages in IndexedDB until a peer acknowledges them, so
+// messages written while offline or lost on the way are sent again.
+//
+// A message is sent as soon as a connection is open. If no peer acknowledges
+// it within ACK_TIMEOUT it's queued again and retried with exponential
+// backoff, and marked failed after OUTBOX_MAX_ATTEMPTS. The outbox is flushed
+// whenever a peer connection opens or the relay (re)connects, and survives
+// restarts of the offscreen document.
+
+import {
+  addToOutbox,
+  getOutbox,
+  getOutboxEntry,
+  updateOutboxEntry,
+  removeFromOutbox
+} from './storage-service';
+import { MESSAGE_STATUS } from '../utils/message-utils';
+
+// A sent message that no peer acknowledged within this time is queued again
+const ACK_TIMEOUT = 10000;
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_RETRY_BASE = 2000;
+const OUTBOX_RETRY_MAX = 60000;
+
+// Backoff before the attempt after the given one
+function getRetryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE * 2 ** (attempts - 1), OUTBOX_RETRY_MAX);
+}
+
+export class MessageOutbox {
+  // service: the P2PService that sends the messages and reports their status
+  constructor(service, roomId) {
+    this.service = service;
+    this.roomId = roomId;
+    this.ackTimers = {};        // messageId -> timer, while a sent message waits for an ack
+    this.retryTimer = null;
+    this.flushing = null;
+    this.closed = false;
+  }
+  
+  // Queue a signed message and send it right away if a connection is open
+  // Resolves the message's status: pending if it was sent, queued otherwise
+  async enqueue(message) {
+    await addToOutbox({ message });
+    await this.flush();
+    
+    return this.ackTimers[message.messageId] ? MESSAGE_STATUS.PENDING : MESSAGE_STATUS.QUEUED;
+  }
+  
+  // Send every message of the room that is due, one flush at a time
+  async flush() {
+    if (this.closed || !this.service.hasOpenTransport()) return;
+    
+    if (!this.flushing) {
+      this.flushing = this.sendDueMessages().finally(() => {
+        this.flushing = null;
+      });
+    }
+    await this.flushing;
+    
+    await this.scheduleRetry();
+  }
+  
+  // Send queued messages whose retry time has come
+  async sendDueMessages() {
+    const now = Date.now();
+    const entries = await getOutbox(this.roomId);
+    
+    for (const entry of entries) {
+      if (entry.nextAttempt > now || this.ackTimers[entry.messageId]) continue;
+      
+      // Left over from before a restart, the last attempt already timed out
+      if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+        await this.fail(entry.messageId);
+        continue;
+      }
+      
+      await this.send(entry);
+    }
+  }
+  
+  // Send one message and wait for an acknowledgement
+  async send(entry) {
+    const attempts = entry.attempts + 1;
+    
+    // If we are stopped before the ack arrives, retry after the backoff anyway
+    await updateOutboxEntry(entry.messageId, {
+      attempts,
+      nextAttempt: Date.now() + ACK_TIMEOUT + getRetryDelay(attempts)
+    });
+    
+    await this.service.broadcastSecure(entry.message);
+    this.service.setMessageStatus(entry.messageId, MESSAGE_STATUS.PENDING);
+    
+    this.ackTimers[entry.messageId] = setTimeout(() => {
+      this.handleAckTimeout(entry.messageId, attempts);
+    }, ACK_TIMEOUT);
+  }
+  
+  // Nobody acknowledged the message: queue it for a retry or give up
+  async handleAckTimeout(messageId, attempts) {
+    delete this.ackTimers[messageId];
+    if (this.closed) return;
+    
+    if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+      await this.fail(messageId);
+    } else {
+      this.service.setMessageStatus(messageId, MESSAGE_STATUS.QUEUED);
+    }
+    
+    await this.scheduleRetry();
+  }
+  
+  // A peer acknowledged one of our messages, also after a restart
+  async handleAck(messageId) {
+    const entry = await getOutboxEntry(messageId);
+    if (!entry) return;
+    
+    clearTimeout(this.ackTimers[messageId]);
+    delete this.ackTimers[messageId];
+    
+    await removeFromOutbox(messageId);
+    this.service.setMessageStatus(messageId, MESSAGE_STATUS.DELIVERED);
+  }
+  
+  // Give up on a message
+  async fail(messageId) {
+    await removeFromOutbox(messageId);
+    this.service.setMessageStatus(messageId, MESSAGE_STATUS.FAILED);
+  }
+  
+  // Remove a queued message before it's sent again, resolves false if it's in flight or gone
+  async cancel(messageId) {
+    if (this.ackTimers[messageId]) {
+      return false;
+    }
+    
+    const entry = await getOutboxEntry(messageId);
+    if (!entry) {
+      return false;
+    }
+    
+    await removeFromOutbox(messageId);
+    return true;
+  }
+  
+  // Flush again when the earliest queued message is due
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    if (this.closed) return;
+    
+    const entries = (await getOutbox(this.roomId)).filter(entry => !this.ackTimers[entry.messageId]);
+    if (entries.length === 0) return;
+    
+    const nextAttempt = Math.min(...entries.map(entry => entry.nextAttempt));
+    this.retryTimer = setTimeout(() => this.flush(), Math.max(0, nextAttempt - Date.now()));
+  }
+  
+  // Stop sending, e.g. when leaving the room; unacknowledged messages stay queued
+  stop() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    
+    Object.keys(this.ackTimers).forEach(messageId => {
+      clearTimeout(this.ackTimers[messageId]);
+      this.service.setMessageStatus(messageId, MESSAGE_STATUS.QUEUED);
+    });
+    this.ackTimers = {};
+  }
+}
@@ -0,0 +1,136 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+
+const { MessageOutbox } = await import('./message-outbox');
+const { db, getOutboxEntry } = await import('./storage-service');
+const { MESSAGE_STATUS } = await import('../utils/message-utils');
+
+const ROOM_ID = 'yt-dQw4w9WgXcQ';
+
+// A signed chat message of ours
+function createMessage(messageId) {
+  return { type: 'chat', messageId, roomId: ROOM_ID, text: 'hi', signature: 'signature' };
+}
+
+// Let IndexedDB requests, which run on the real event loop, complete
+async function settle() {
+  for (let turn = 0; turn < 30; turn++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('MessageOutbox', () => {
+  let service;
+  let outbox;
+  let isOnline;
+  
+  // Let time pass a second at a time, so timers set by async work fire too
+  async function advance(ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 1000) {
+      jest.advanceTimersByTime(Math.min(1000, ms - elapsed));
+      await settle();
+    }
+  }
+  
+  // Statuses reported for a message, in order
+  function getStatuses(messageId) {
+    return service.setMessageStatus.mock.calls
+      .filter(([id]) => id === messageId)
+      .map(([, status]) => status);
+  }
+  
+  beforeEach(async () => {
+    await db.outbox.clear();
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick', 'queueMicrotask'] });
+    isOnline = true;
+    service = {
+      hasOpenTransport: () => isOnline,
+      broadcastSecure: jest.fn(async () => {}),
+      setMessageStatus: jest.fn()
+    };
+    outbox = new MessageOutbox(service, ROOM_ID);
+  });
+  
+  afterEach(() => {
+    outbox.stop();
+    jest.useRealTimers();
+  });
+  
+  test('sends a message right away while connected', async () => {
+    const status = await outbox.enqueue(createMessage('message-1'));
+    
+    expect(status).toBe(MESSAGE_STATUS.PENDING);
+    expect(service.broadcastSecure).toHaveBeenCalledWith(createMessage('message-1'));
+    expect(await getOutboxEntry('message-1')).toMatchObject({ attempts: 1 });
+  });
+  
+  test('keeps messages written offline until a connection opens', async () => {
+    isOnline = false;
+    
+    expect(await outbox.enqueue(createMessage('message-1'))).toBe(MESSAGE_STATUS.QUEUED);
+    expect(service.broadcastSecure).not.toHaveBeenCalled();
+    
+    isOnline = true;
+    await outbox.flush();
+    
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(1);
+    expect(getStatuses('message-1')).toEqual([MESSAGE_STATUS.PENDING]);
+  });
+  
+  test('an acknowledged message is delivered and not sent again', async () => {
+    await outbox.enqueue(createMessage('message-1'));
+    await outbox.handleAck('message-1');
+    await advance(60000);
+    
+    expect(getStatuses('message-1')).toEqual([MESSAGE_STATUS.PENDING, MESSAGE_STATUS.DELIVERED]);
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(1);
+    expect(await getOutboxEntry('message-1')).toBeUndefined();
+  });
+  
+  test('unacknowledged messages are retried with exponential backoff', async () => {
+    await outbox.enqueue(createMessage('message-1'));
+    
+    // Queued again once the 10 s ack timeout runs out, resent after 2 s more
+    await advance(10000);
+    expect(getStatuses('message-1')).toEqual([MESSAGE_STATUS.PENDING, MESSAGE_STATUS.QUEUED]);
+    await advance(1000);
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(1);
+    await advance(1000);
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(2);
+    
+    // Then after the ack timeout and 4 s
+    await advance(13000);
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(2);
+    await advance(1000);
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(3);
+    expect(await getOutboxEntry('message-1')).toMatchObject({ attempts: 3 });
+  });
+  
+  test('gives up after the last attempt', async () => {
+    await outbox.enqueue(createMessage('message-1'));
+    
+    // Attempts at 0, 12, 26, 44, 70 and 112 s, the last one times out at 122 s
+    await advance(121000);
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(6);
+    expect(getStatuses('message-1')).not.toContain(MESSAGE_STATUS.FAILED);
+    
+    await advance(1000);
+    expect(getStatuses('message-1').pop()).toBe(MESSAGE_STATUS.FAILED);
+    expect(await getOutboxEntry('message-1')).toBeUndefined();
+    
+    await advance(120000);
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(6);
+  });
+  
+  test('queued messages can be cancelled, messages in flight can\'t', async () => {
+    await outbox.enqueue(createMessage('message-1'));
+    expect(await outbox.cancel('message-1')).toBe(false);
+    
+    await advance(10000);
+    expect(await outbox.cancel('message-1')).toBe(true);
+    
+    await advance(60000);
+    expect(service.broadcastSecure).toHaveBeenCalledTimes(1);
+    expect(await getOutboxEntry('message-1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,129 @@
+// Message Schema for YouTube P2P Chat Extension
+// Shape checks for data received from peers, run before anything is
+// verified, stored or shown. Each room message type lists its fields with a
+// check for each; fields that aren't listed are passed through untouched, so
+// newer peers can add fields without older ones dropping their messages.
+// Signatures are checked later by the handlers, this only keeps malformed or
+// oversized values out.
+
+import { ROOM_MESSAGE_TYPES, getMessageType } from '../utils/message-utils';
+import { PRESENCE_MESSAGE_TYPES } from './room-presence';
+import { SYNC_MESSAGE_TYPES, SYNC_BATCH_SIZE, SYNC_MAX_SENDERS } from './history-sync';
+
+const MAX_ID_LENGTH = 64;
+const MAX_ROOM_ID_LENGTH = 200;
+const MAX_NICKNAME_LENGTH = 100;
+const MAX_REACTION_LENGTH = 16;
+const MAX_SIGNATURE_LENGTH = 512;
+const MAX_TIMESTAMPS = 100;
+
+// Field checks, each returns true when the value is acceptable
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = value => typeof value === 'boolean';
+const isString = maxLength => value => typeof value === 'string' && value.length <= maxLength;
+const optional = check => value => value === undefined || value === null || check(value);
+const listOf = (maxLength, check) => value => Array.isArray(value) && value.length <= maxLength && value.every(check);
+const mapOf = (maxSize, isKey, check) => value => isObject(value)
+  && Object.keys(value).length <= maxSize
+  && Object.entries(value).every(([key, entry]) => isKey(key) && check(entry));
+
+// Fields every signed message and operation carries
+const SIGNED_FIELDS = {
+  roomId: isString(MAX_ROOM_ID_LENGTH),
+  userId: isString(MAX_ID_LENGTH),
+  publicKey: isObject,
+  signature: isString(MAX_SIGNATURE_LENGTH),
+  timestamp: isNumber
+};
+
+// Fields of each room message type, the chat message text limit comes from the settings
+function getSchemas({ maxTextLength }) {
+  const chat = {
+    ...SIGNED_FIELDS,
+    messageId: isString(MAX_ID_LENGTH),
+    nickname: optional(isString(MAX_NICKNAME_LENGTH)),
+    text: isString(maxTextLength),
+    clock: optional(isNumber),
+    videoTime: optional(isNumber),
+    replyTo: optional(isString(MAX_ID_LENGTH)),
+    timestamps: optional(listOf(MAX_TIMESTAMPS, isObject))
+  };
+  const reaction = {
+    ...SIGNED_FIELDS,
+    messageId: isString(MAX_ID_LENGTH),
+    emoji: isString(MAX_REACTION_LENGTH),
+    active: isBoolean,
+    clock: isNumber
+  };
+  const revision = {
+    ...SIGNED_FIELDS,
+    revisionId: isString(MAX_ID_LENGTH),
+    messageId: isString(MAX_ID_LENGTH),
+    text: optional(isString(maxTextLength)),
+    clock: isNumber
+  };
+  const presence = {
+    ...SIGNED_FIELDS,
+    nickname: optional(isString(MAX_NICKNAME_LENGTH))
+  };
+  
+  return {
+    [ROOM_MESSAGE_TYPES.CHAT]: chat,
+    [ROOM_MESSAGE_TYPES.ACK]: { messageId: isString(MAX_ID_LENGTH) },
+    [ROOM_MESSAGE_TYPES.REACTION]: reaction,
+    [ROOM_MESSAGE_TYPES.EDIT]: revision,
+    [ROOM_MESSAGE_TYPES.DELETE]: revision,
+    [PRESENCE_MESSAGE_TYPES.PRESENCE]: { ...presence, idle: optional(isBoolean) },
+    [PRESENCE_MESSAGE_TYPES.TYPING]: { ...presence, typing: isBoolean },
+    [SYNC_MESSAGE_TYPES.REQUEST]: {
+      clocks: optional(mapOf(SYNC_MAX_SENDERS, isString(MAX_ID_LENGTH), isNumber)),
+      limit: optional(isNumber)
+    },
+    [SYNC_MESSAGE_TYPES.BATCH]: {
+      messages: optional(listOf(SYNC_BATCH_SIZE, message => !checkFields(message, chat))),
+      reactions: optional(listOf(SYNC_BATCH_SIZE, message => !checkFields(message, reaction))),
+      revisions: optional(listOf(SYNC_BATCH_SIZE, message => !checkFields(message, revision))),
+      done: optional(isBoolean)
+    }
+  };
+}
+
+// Name of the first field failing its check, null when every field passes
+function checkFields(data, schema) {
+  if (!isObject(data)) return 'payload';
+  
+  return Object.keys(schema).find(field => !schema[field](data[field])) || null;
+}
+
+// Check the outer shape of anything received from a peer, returns a problem or null
+export function validateEnvelope(data) {
+  if (!isObject(data)) {
+    return 'payload is not an object';
+  }
+  
+  if (!optional(isString(MAX_ID_LENGTH))(data.type)) {
+    return 'invalid type';
+  }
+  
+  return null;
+}
+
+// Check decrypted room data against the schema of its type, returns a problem or null
+// limits: the `limits` server setting
+export function validateRoomData(data, limits) {
+  const envelopeError = validateEnvelope(data);
+  if (envelopeError) {
+    return envelopeError;
+  }
+  
+  // Types from newer versions are left to the handlers, which drop them
+  const type = getMessageType(data);
+  const schema = getSchemas(limits)[type];
+  if (!schema) {
+    return null;
+  }
+  
+  const field = checkFields(data, schema);
+  return field ? `invalid ${field} in ${type}` : null;
+}
@@ -0,0 +1,108 @@
+import { validateEnvelope, validateRoomData } from './message-schema';
+import { DEFAULT_SETTINGS } from './settings-service';
+
+const LIMITS = DEFAULT_SETTINGS.limits;
+
+// A well-formed signed chat message
+function createChatMessage(fields = {}) {
+  return {
+    type: 'chat',
+    roomId: 'yt-dQw4w9WgXcQ',
+    userId: 'user-a',
+    publicKey: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' },
+    signature: 'c2lnbmF0dXJl',
+    timestamp: 1767225600000,
+    messageId: 'message-1',
+    nickname: 'Alice',
+    text: 'hi',
+    clock: 3,
+    ...fields
+  };
+}
+
+describe('validateEnvelope', () => {
+  test('accepts objects with or without a short type', () => {
+    expect(validateEnvelope({ type: 'key-hello' })).toBeNull();
+    expect(validateEnvelope({ text: 'hi' })).toBeNull();
+  });
+  
+  test.each([
+    ['a string', 'hello'],
+    ['null', null],
+    ['an array', [{ type: 'chat' }]],
+    ['a number', 42]
+  ])('rejects %s', (name, data) => {
+    expect(validateEnvelope(data)).toBe('payload is not an object');
+  });
+  
+  test('rejects types that are not short strings', () => {
+    expect(validateEnvelope({ type: 7 })).toBe('invalid type');
+    expect(validateEnvelope({ type: 'x'.repeat(65) })).toBe('invalid type');
+  });
+});
+
+describe('validateRoomData', () => {
+  test('accepts well-formed messages, untyped ones are chat messages', () => {
+    expect(validateRoomData(createChatMessage(), LIMITS)).toBeNull();
+    expect(validateRoomData(createChatMessage({ type: undefined }), LIMITS)).toBeNull();
+  });
+  
+  test('passes unknown fields and types through', () => {
+    expect(validateRoomData(createChatMessage({ color: 'red' }), LIMITS)).toBeNull();
+    expect(validateRoomData({ type: 'from-the-future', anything: [1, 2] }, LIMITS)).toBeNull();
+  });
+  
+  test.each([
+    ['text', { text: 42 }],
+    ['messageId', { messageId: undefined }],
+    ['signature', { signature: 'x'.repeat(513) }],
+    ['publicKey', { publicKey: 'key' }],
+    ['timestamp', { timestamp: Infinity }],
+    ['nickname', { nickname: 'x'.repeat(101) }],
+    ['clock', { clock: '3' }],
+    ['timestamps', { timestamps: ['0:30'] }]
+  ])('rejects chat messages with an invalid %s', (field, fields) => {
+    expect(validateRoomData(createChatMessage(fields), LIMITS)).toBe(`invalid ${field} in chat`);
+  });
+  
+  test('limits chat text to the configured length', () => {
+    const text = 'x'.repeat(LIMITS.maxTextLength + 1);
+    
+    expect(validateRoomData(createChatMessage({ text }), LIMITS)).toBe('invalid text in chat');
+    expect(validateRoomData(createChatMessage({ text }), { ...LIMITS, maxTextLength: text.length })).toBeNull();
+  });
+  
+  test('checks reactions, revisions and presence events', () => {
+    const { text, nickname, ...signed } = createChatMessage();
+    
+    expect(validateRoomData({ ...signed, type: 'reaction', emoji: '👍', active: true }, LIMITS)).toBeNull();
+    expect(validateRoomData({ ...signed, type: 'reaction', emoji: '👍', active: 'yes' }, LIMITS))
+      .toBe('invalid active in reaction');
+    expect(validateRoomData({ ...signed, type: 'delete', revisionId: 'revision-1' }, LIMITS)).toBeNull();
+    expect(validateRoomData({ ...signed, type: 'edit', revisionId: 'revision-1', text: 7 }, LIMITS))
+      .toBe('invalid text in edit');
+    expect(validateRoomData({ ...signed, type: 'typing', typing: 'yes' }, LIMITS)).toBe('invalid typing in typing');
+    expect(validateRoomData({ type: 'ack', messageId: { id: 1 } }, LIMITS)).toBe('invalid messageId in ack');
+  });
+  
+  test('rejects sync batches with too many or malformed entries', () => {
+    const messages = Array.from({ length: 51 }, (_, i) => createChatMessage({ messageId: `message-${i}` }));
+    
+    expect(validateRoomData({ type: 'sync-batch', messages: messages.slice(0, 50), done: true }, LIMITS)).toBeNull();
+    expect(validateRoomData({ type: 'sync-batch', messages }, LIMITS)).toBe('invalid messages in sync-batch');
+    expect(validateRoomData({ type: 'sync-batch', messages: [createChatMessage({ text: null })] }, LIMITS))
+      .toBe('invalid messages in sync-batch');
+    expect(validateRoomData({ type: 'sync-batch', reactions: 'all' }, LIMITS)).toBe('invalid reactions in sync-batch');
+  });
+  
+  test('rejects sync requests with malformed or too many sender clocks', () => {
+    const clocks = Object.fromEntries(Array.from({ length: 501 }, (_, i) => [`user-${i}`, i]));
+    
+    expect(validateRoomData({ type: 'sync-request', clocks: { 'user-a': 3 }, limit: 500 }, LIMITS)).toBeNull();
+    expect(validateRoomData({ type: 'sync-request' }, LIMITS)).toBeNull();
+    expect(validateRoomData({ type: 'sync-request', clocks }, LIMITS)).toBe('invalid clocks in sync-request');
+    expect(validateRoomData({ type: 'sync-request', clocks: { 'user-a': '3' } }, LIMITS))
+      .toBe('invalid clocks in sync-request');
+    expect(validateRoomData({ type: 'sync-request', clocks: [3] }, LIMITS)).toBe('invalid clocks in sync-request');
+  });
+});
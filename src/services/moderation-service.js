@@ -0,0 +1,191 @@
+// Moderation Service for YouTube P2P Chat Extension
+// Rooms have no moderator, so every user keeps their own mute and block
+// lists and keyword filters in chrome.storage.local.
+//
+// Muted users and filtered messages are dropped without telling the sender.
+// Blocked users are dropped too, and their connections are refused.
+
+const MODERATION_KEY = 'moderation';
+
+// Longest keyword or regular expression accepted as a filter
+const MAX_FILTER_LENGTH = 200;
+
+export const DEFAULT_MODERATION = {
+  // userId -> { nickname, since }
+  blockedUsers: {},
+  mutedUsers: {},
+  // [{ pattern, isRegex }], keywords match case-insensitively anywhere in the text
+  keywordFilters: []
+};
+
+// Why a message is dropped
+export const MODERATION_ACTIONS = {
+  BLOCK: 'block',
+  MUTE: 'mute',
+  FILTER: 'filter'
+};
+
+// Bring moderation settings into the stored shape
+export function normalizeModeration(moderation = {}) {
+  return {
+    blockedUsers: { ...moderation.blockedUsers },
+    mutedUsers: { ...moderation.mutedUsers },
+    keywordFilters: (moderation.keywordFilters || [])
+      .map(filter => ({ pattern: String(filter.pattern || '').trim(), isRegex: Boolean(filter.isRegex) }))
+      .filter(filter => filter.pattern)
+  };
+}
+
+// Check a keyword filter, returns a problem or null when valid
+export function validateKeywordFilter({ pattern, isRegex }) {
+  const trimmedPattern = (pattern || '').trim();
+  
+  if (!trimmedPattern) {
+    return 'Filter is empty';
+  }
+  
+  if (trimmedPattern.length > MAX_FILTER_LENGTH) {
+    return `Filter is longer than ${MAX_FILTER_LENGTH} characters`;
+  }
+  
+  if (isRegex) {
+    try {
+      new RegExp(trimmedPattern, 'i');
+    } catch (error) {
+      return error.message;
+    }
+  }
+  
+  return null;
+}
+
+// Whether a keyword filter matches a text
+function matchesKeywordFilter(text, { pattern, isRegex }) {
+  if (isRegex) {
+    try {
+      return new RegExp(pattern, 'i').test(text);
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  return text.toLowerCase().includes(pattern.toLowerCase());
+}
+
+// Whether a user is blocked
+export function isUserBlocked(userId, moderation) {
+  return Boolean(userId && moderation && moderation.blockedUsers[userId]);
+}
+
+// What to do with a message: one of MODERATION_ACTIONS, or null to show it
+export function getModerationAction(message, moderation) {
+  if (!moderation || !message) {
+    return null;
+  }
+  
+  if (isUserBlocked(message.userId, moderation)) {
+    return MODERATION_ACTIONS.BLOCK;
+  }
+  
+  if (moderation.mutedUsers[message.userId]) {
+    return MODERATION_ACTIONS.MUTE;
+  }
+  
+  const isFiltered = moderation.keywordFilters.some(filter => (
+    matchesKeywordFilter(message.text || '', filter) || matchesKeywordFilter(message.nickname || '', filter)
+  ));
+  if (isFiltered) {
+    return MODERATION_ACTIONS.FILTER;
+  }
+  
+  return null;
+}
+
+// Get the current moderation settings
+export async function getModeration() {
+  try {
+    const storedData = await chrome.storage.local.get([MODERATION_KEY]);
+    return normalizeModeration(storedData[MODERATION_KEY] || DEFAULT_MODERATION);
+  } catch (error) {
+    console.error('Failed to get moderation settings:', error);
+    return normalizeModeration(DEFAULT_MODERATION);
+  }
+}
+
+// Change and save the moderation settings
+// update: function getting the current settings and returning the new ones
+async function updateModeration(update) {
+  try {
+    const moderation = normalizeModeration(update(await getModeration()));
+    await chrome.storage.local.set({ [MODERATION_KEY]: moderation });
+    return { success: true, moderation };
+  } catch (error) {
+    console.error('Failed to save moderation settings:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Block a user: their messages are dropped and their connections refused
+export async function blockUser(userId, nickname) {
+  return updateModeration(moderation => ({
+    ...moderation,
+    blockedUsers: { ...moderation.blockedUsers, [userId]: { nickname: nickname || 'Anonymous', since: Date.now() } }
+  }));
+}
+
+// Unblock a user
+export async function unblockUser(userId) {
+  return updateModeration((moderation) => {
+    const { [userId]: unblocked, ...blockedUsers } = moderation.blockedUsers;
+    return { ...moderation, blockedUsers };
+  });
+}
+
+// Mute a user: their messages are dropped, they can still see ours
+export async function muteUser(userId, nickname) {
+  return updateModeration(moderation => ({
+    ...moderation,
+    mutedUsers: { ...moderation.mutedUsers, [userId]: { nickname: nickname || 'Anonymous', since: Date.now() } }
+  }));
+}
+
+// Unmute a user
+export async function unmuteUser(userId) {
+  return updateModeration((moderation) => {
+    const { [userId]: unmuted, ...mutedUsers } = moderation.mutedUsers;
+    return { ...moderation, mutedUsers };
+  });
+}
+
+// Add a keyword or regular expression filter
+export async function addKeywordFilter(filter) {
+  const error = validateKeywordFilter(filter);
+  if (error) {
+    return { success: false, error };
+  }
+  
+  return updateModeration(moderation => ({
+    ...moderation,
+    keywordFilters: [...moderation.keywordFilters, { pattern: filter.pattern.trim(), isRegex: Boolean(filter.isRegex) }]
+  }));
+}
+
+// Remove a keyword filter by its position in the list
+export async function removeKeywordFilter(index) {
+  return updateModeration(moderation => ({
+    ...moderation,
+    keywordFilters: moderation.keywordFilters.filter((filter, filterIndex) => filterIndex !== index)
+  }));
+}
+
+// Call back with the new settings whenever they change
+export function onModerationChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'local' && changes[MODERATION_KEY]) {
+      callback(normalizeModeration(changes[MODERATION_KEY].newValue || DEFAULT_MODERATION));
+    }
+  };
+  
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
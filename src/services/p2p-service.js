@@ -1,55 +1,189 @@
 // P2P Service for YouTube P2P Chat Extension
 // Handles WebRTC connections using PeerJS with WebSocket fallback
+// One instance is a session in a single room, see p2p-sessions.js
 
 import { Peer } from 'peerjs';
 import { v4 as uuidv4 } from 'uuid';
 import { io } from 'socket.io-client';
-import { saveMessage, getMessagesForRoom } from './storage-service';
+import {
+  saveMessage,
+  saveReaction,
+  saveRevision,
+  reviseMessage,
+  getMessage,
+  getRevisionsForMessage,
+  deleteMessage,
+  getMessagesForRoom,
+  saveRoom,
+  updateMessageStatus,
+  getLatestClock
+} from './storage-service';
+import { buildRoomId, parseRoomId } from '../utils/room-utils';
+import { RoomLobby } from './room-lobby';
+import { RoomEncryption, ENCRYPTION_MESSAGE_TYPES } from './room-encryption';
+import { HistorySync, SYNC_MESSAGE_TYPES } from './history-sync';
+import { MessageOutbox } from './message-outbox';
+import { ConnectionSupervisor } from './connection-supervisor';
+import { RoomPresence, PRESENCE_MESSAGE_TYPES } from './room-presence';
+import { RoomInvites, INVITE_MESSAGE_TYPES } from './room-invites';
+import { PeerRateLimiter } from './rate-limiter';
+import { validateEnvelope, validateRoomData } from './message-schema';
+import { DEFAULT_SETTINGS, isConnectionChanged } from './settings-service';
+import { DEFAULT_MODERATION, getModerationAction, isUserBlocked } from './moderation-service';
+import { signMessage, verifyMessage, checkSenderKey, isSameSigner } from './identity-service';
+import { MESSAGE_STATUS, ROOM_MESSAGE_TYPES, getMessageType, compareMessages } from '../utils/message-utils';
 
-class P2PService {
+// Membership changes within this window cause a single key rotation
+const KEY_ROTATION_DELAY = 500;
+
+// Reaction emojis are short strings, anything longer is dropped
+const MAX_REACTION_LENGTH = 16;
+
+export class P2PService {
   constructor() {
     this.peerId = null;
+    this.identity = null;
+    this.nickname = null;
     this.peer = null;
     this.connections = {};
     this.roomId = null;
     this.videoId = null;
     this.socket = null;
+    this.lobby = null;
+    this.encryption = null;
+    this.history = null;
+    this.outbox = null;
+    this.presence = null;
+    this.invites = null;
+    this.keyRotationTimer = null;
+    this.clock = 0;             // Lamport clock of the current room
     this.messageCallbacks = [];
+    this.statusCallbacks = [];
+    this.reactionCallbacks = [];
+    this.presenceCallbacks = [];
+    this.roomSecretCallbacks = [];
     this.useWebSocketFallback = false;
-    this.serverUrl = 'https://your-peerserver.com'; // Replace with actual server URL
+    this.supervisor = new ConnectionSupervisor(this);
+    this.rateLimiter = new PeerRateLimiter(this);
+    this.settings = DEFAULT_SETTINGS; // Signaling, relay and ICE servers
+    this.moderation = DEFAULT_MODERATION; // Our mute and block lists and keyword filters
+    this.peerUserIds = {};      // peerId -> userId, as far as we know it
   }
 
+  // Configure the service before initializing it
+  // Hosts without chrome.storage access (the offscreen document) pass the peer ID in,
+  // identity is { userId, signingKeys } used to sign outgoing messages and
+  // settings are the server settings from the settings service
+  configure({ peerId, identity, settings } = {}) {
+    if (peerId) {
+      this.peerId = peerId;
+    }
+    
+    if (identity) {
+      this.identity = identity;
+    }
+    
+    if (settings) {
+      this.settings = settings;
+    }
+  }
+  
+  // Apply new moderation settings, closing connections to users that are now blocked
+  updateModeration(moderation) {
+    if (!moderation) return;
+    
+    this.moderation = moderation;
+    
+    Object.entries(this.peerUserIds).forEach(([remotePeerId, userId]) => {
+      this.handlePeerIdentified(remotePeerId, userId);
+    });
+  }
+  
+  // Remember which user a peer belongs to, and drop the peer if they're blocked
+  handlePeerIdentified(remotePeerId, userId) {
+    if (!remotePeerId || !userId) return;
+    
+    this.peerUserIds[remotePeerId] = userId;
+    
+    if (isUserBlocked(userId, this.moderation) && this.connections[remotePeerId]) {
+      console.log('Closing connection to blocked user:', userId);
+      this.disconnectFromPeer(remotePeerId);
+    }
+  }
+  
+  // Whether a peer belongs to a blocked user
+  isPeerBlocked(remotePeerId) {
+    return isUserBlocked(this.peerUserIds[remotePeerId], this.moderation);
+  }
+  
+  // Apply new server settings, reconnecting to the current room if the servers changed
+  async updateSettings(settings) {
+    const previousSettings = this.settings;
+    this.settings = settings;
+    
+    // New flood protection limits apply to the next payload
+    if (!this.isInitialized() || !isConnectionChanged(settings, previousSettings)) {
+      return { success: true };
+    }
+    
+    const { videoId, roomId } = this;
+    const secret = this.encryption ? this.encryption.secret : null;
+    
+    console.log('Server settings changed, reconnecting to room:', roomId);
+    this.cleanup();
+    return this.initialize(videoId, { roomId, secret });
+  }
+  
   // Initialize P2P connection
-  async initialize(videoId) {
+  // roomOptions: { mode: 'public' | 'channel' | 'private', channel } or an explicit { roomId },
+  // plus a room secret ({ secret }) for end-to-end encrypted rooms, or an invite token
+  // ({ invite }) to ask the room for its secret
+  async initialize(videoId, roomOptions = {}) {
     try {
       this.videoId = videoId;
       
       // Generate or retrieve peer ID
-      const storedData = await chrome.storage.local.get(['peerId']);
-      this.peerId = storedData.peerId || uuidv4();
-      
-      // Save peer ID if new
-      if (!storedData.peerId) {
-        await chrome.storage.local.set({ peerId: this.peerId });
+      if (!this.peerId) {
+        const storedData = await chrome.storage.local.get(['peerId']);
+        this.peerId = storedData.peerId || uuidv4();
+        
+        // Save peer ID if new
+        if (!storedData.peerId) {
+          await chrome.storage.local.set({ peerId: this.peerId });
+        }
       }
       
-      // Create room ID based on video ID
-      this.roomId = `yt-${videoId}-${uuidv4().substring(0, 8)}`;
+      // Create room ID based on video ID and room mode
+      this.roomId = roomOptions.roomId || buildRoomId(videoId, roomOptions);
+      await saveRoom({ id: this.roomId, videoId });
+      await this.setupEncryption(roomOptions.secret);
+      await this.setupInvites(roomOptions);
+      this.clock = await getLatestClock(this.roomId);
+      this.history = new HistorySync(this, this.roomId);
+      this.outbox = new MessageOutbox(this, this.roomId);
+      this.presence = new RoomPresence(this, this.roomId);
+      this.presence.start();
       
-      // Initialize PeerJS
+      // Initialize PeerJS and find the other members of the room
       await this.initializePeerJS();
+      await this.announceToRoom();
+      this.supervisor.start();
       
       return {
         success: true,
         peerId: this.peerId,
-        roomId: this.roomId
+        roomId: this.roomId,
+        mode: parseRoomId(this.roomId).mode,
+        encrypted: this.isEncrypted()
       };
     } catch (error) {
       console.error('Failed to initialize P2P:', error);
       
-      // Try WebSocket fallback
-      if (!this.useWebSocketFallback) {
+      // Try WebSocket fallback if a relay is configured, the supervisor switches back once PeerJS works
+      if (!this.useWebSocketFallback && this.settings.relayUrl) {
         this.useWebSocketFallback = true;
+        this.supervisor.start();
+        this.supervisor.handleInitialFailure();
         return this.initializeWebSocketFallback();
       }
       
@@ -60,19 +194,33 @@ class P2PService {
     }
   }
   
+  // PeerJS server options
+  getPeerOptions() {
+    const { peerServer, iceServers } = this.settings;
+    
+    return {
+      host: peerServer.host,
+      port: peerServer.port,
+      path: peerServer.path,
+      secure: peerServer.secure,
+      config: { iceServers },
+      debug: 2
+    };
+  }
+  
+  // Create a PeerJS peer, override to plug in a local or mock signaling server
+  createPeer(id) {
+    return new Peer(id, this.getPeerOptions());
+  }
+  
   // Initialize PeerJS for WebRTC
   async initializePeerJS() {
     return new Promise((resolve, reject) => {
-      this.peer = new Peer(this.peerId, {
-        host: this.serverUrl,
-        port: 443,
-        secure: true,
-        debug: 2
-      });
+      this.peer = this.createPeer(this.peerId);
+      this.setupPeerEventListeners();
       
       this.peer.on('open', (id) => {
         console.log('PeerJS connection established with ID:', id);
-        this.setupPeerEventListeners();
         resolve();
       });
       
@@ -88,50 +236,396 @@ class P2PService {
     this.peer.on('connection', (conn) => {
       this.handleConnection(conn);
     });
+    
+    // Losing the PeerJS server leaves open data channels working, the supervisor reconnects
+    this.peer.on('open', () => this.supervisor.updateState());
+    this.peer.on('disconnected', () => this.supervisor.handlePeerDisconnected());
+    this.peer.on('error', (error) => this.supervisor.handlePeerError(error));
   }
   
   // Handle new peer connection
   handleConnection(conn) {
+    // Peers share one peer ID across rooms, only accept connections for ours
+    if (conn.metadata && conn.metadata.roomId !== this.roomId) {
+      console.log('Rejecting connection for another room from peer:', conn.peer);
+      conn.close();
+      return;
+    }
+    
+    // Peers say who they are when connecting, blocked users are refused right away
+    if (conn.metadata && conn.metadata.userId && !this.peerUserIds[conn.peer]) {
+      this.peerUserIds[conn.peer] = conn.metadata.userId;
+    }
+    
+    if (this.isPeerBlocked(conn.peer)) {
+      console.log('Rejecting connection from blocked peer:', conn.peer);
+      conn.close();
+      return;
+    }
+    
+    // Peers muted for flooding can't reconnect until the mute runs out
+    if (this.rateLimiter.isMuted(conn.peer)) {
+      console.log('Rejecting connection from muted peer:', conn.peer);
+      conn.close();
+      return;
+    }
+    
     this.connections[conn.peer] = conn;
     
     conn.on('open', () => {
       console.log('Connection established with peer:', conn.peer);
+      this.supervisor.handleConnectionOpen(conn.peer);
+      this.startRoomHandshake(conn.peer);
     });
     
     conn.on('data', (data) => {
       console.log('Received data from peer:', data);
-      this.handleIncomingMessage(data);
+      this.handlePeerData(conn.peer, data);
     });
     
     conn.on('close', () => {
       console.log('Connection closed with peer:', conn.peer);
-      delete this.connections[conn.peer];
+      this.removeConnection(conn);
     });
     
     conn.on('error', (error) => {
       console.error('Connection error with peer:', conn.peer, error);
-      delete this.connections[conn.peer];
+      this.removeConnection(conn);
     });
   }
   
-  // Connect to a specific peer
+  // Forget a connection unless it was already replaced by a newer one
+  removeConnection(conn) {
+    if (this.connections[conn.peer] === conn) {
+      delete this.connections[conn.peer];
+      this.handlePeerLeft(conn.peer);
+      this.supervisor.handleConnectionLost(conn.peer);
+    }
+  }
+  
+  // Connect to a specific peer, unless it belongs to a blocked user or is muted for flooding
   connectToPeer(remotePeerId) {
     if (this.connections[remotePeerId]) {
       return this.connections[remotePeerId];
     }
     
+    if (this.isPeerBlocked(remotePeerId) || this.rateLimiter.isMuted(remotePeerId)) {
+      return null;
+    }
+    
     const conn = this.peer.connect(remotePeerId, {
-      reliable: true
+      reliable: true,
+      metadata: { roomId: this.roomId, userId: this.identity ? this.identity.userId : null }
     });
     
     this.handleConnection(conn);
     return conn;
   }
   
+  // Close the connection to a specific peer
+  disconnectFromPeer(remotePeerId) {
+    const conn = this.connections[remotePeerId];
+    if (conn) {
+      delete this.connections[remotePeerId];
+      this.handlePeerLeft(remotePeerId);
+      conn.close();
+    }
+  }
+  
+  // Announce ourselves in the room lobby and connect to every member
+  async announceToRoom() {
+    if (this.useWebSocketFallback || !this.peer) {
+      return;
+    }
+    
+    this.lobby = new RoomLobby(this, this.roomId);
+    await this.lobby.join();
+  }
+  
+  // Leave the room lobby and close the room's peer connections
+  leaveLobby() {
+    if (this.lobby) {
+      this.lobby.leave();
+      this.lobby = null;
+    }
+    
+    Object.keys(this.connections).forEach(peerId => this.disconnectFromPeer(peerId));
+  }
+  
+  // Move the room to the Socket.IO relay while the PeerJS server is unreachable
+  switchToRelay() {
+    if (!this.settings.relayUrl) {
+      console.warn('PeerJS server unreachable and no relay configured');
+      return;
+    }
+    
+    console.log('Switching to WebSocket relay for room:', this.roomId);
+    this.leaveLobby();
+    this.useWebSocketFallback = true;
+    
+    if (this.socket) {
+      this.socket.connect();
+    } else {
+      this.initializeWebSocketFallback();
+    }
+    
+    this.supervisor.updateState();
+  }
+  
+  // Move the room back to WebRTC once the PeerJS server is reachable again
+  async switchToPeerJS() {
+    console.log('Switching back to WebRTC for room:', this.roomId);
+    this.useWebSocketFallback = false;
+    
+    if (this.socket) {
+      this.socket.disconnect();
+    }
+    
+    await this.announceToRoom();
+    this.supervisor.updateState();
+  }
+  
+  // Leave the current room's lobby and close its peer connections
+  leaveCurrentRoom() {
+    this.leaveLobby();
+    
+    clearTimeout(this.keyRotationTimer);
+    this.encryption = null;
+    
+    if (this.history) {
+      this.history.stop();
+      this.history = null;
+    }
+    
+    // Unacknowledged messages stay queued until we are back in the room
+    if (this.outbox) {
+      this.outbox.stop();
+      this.outbox = null;
+    }
+    
+    if (this.presence) {
+      this.presence.stop();
+      this.presence = null;
+    }
+    
+    if (this.invites) {
+      this.invites.stop();
+      this.invites = null;
+    }
+  }
+  
+  // Set up end-to-end encryption for the current room if it has a secret
+  async setupEncryption(secret) {
+    if (!secret) {
+      this.encryption = null;
+      return;
+    }
+    
+    const encryption = new RoomEncryption(this.roomId, this.peerId, secret);
+    await encryption.init();
+    this.encryption = encryption;
+  }
+  
+  // Answer requests for our invites, and redeem the invite we joined with if we lack the secret
+  async setupInvites({ secret, invite }) {
+    this.invites = new RoomInvites(this, this.roomId);
+    
+    if (!secret && invite) {
+      await this.invites.redeem(invite);
+    }
+  }
+  
+  // Whether we joined an encrypted room with an invite and are still waiting for its secret
+  isAwaitingSecret() {
+    return Boolean(this.invites && this.invites.isRedeeming());
+  }
+  
+  // Start encrypting with a room secret granted for our invite, and prove membership to everyone
+  async acceptRoomSecret(secret) {
+    await this.setupEncryption(secret);
+    this.notifyRoomSecret({ roomSecret: secret });
+    
+    if (this.useWebSocketFallback) {
+      await this.sendHello();
+      return;
+    }
+    
+    await Promise.all(Object.keys(this.connections).map(peerId => this.sendHello(peerId)));
+  }
+  
+  // Start talking to a peer, or the room over the relay, once the transport is open
+  startRoomHandshake(remotePeerId) {
+    // Invited newcomers ask for the room secret first
+    if (this.isAwaitingSecret()) {
+      this.invites.request(remotePeerId);
+      return;
+    }
+    
+    this.sendHello(remotePeerId);
+    
+    // Encrypted rooms wait for the room key
+    if (!this.encryption) {
+      this.handleRoomReady(remotePeerId);
+    }
+  }
+  
+  // Whether the current room is end-to-end encrypted
+  isEncrypted() {
+    return Boolean(this.encryption);
+  }
+  
+  // Send our encryption hello to one peer, or to the whole room over the relay
+  async sendHello(remotePeerId) {
+    if (!this.encryption) return;
+    
+    const hello = await this.encryption.createHello();
+    if (remotePeerId) {
+      this.sendToPeer(remotePeerId, hello);
+    } else {
+      this.broadcast(hello);
+    }
+  }
+  
+  // Verify a peer's encryption hello and rotate the room key for the new member
+  async handleHello(remotePeerId, hello) {
+    if (!this.encryption || hello.peerId !== remotePeerId) return;
+    
+    const isNewPeer = !this.encryption.hasPeer(remotePeerId);
+    const isVerified = await this.encryption.handleHello(hello);
+    
+    if (!isVerified) {
+      console.warn('Peer failed to prove room membership:', remotePeerId);
+      return;
+    }
+    
+    if (isNewPeer) {
+      // The relay has no connection 'open' event, so answer the hello directly
+      if (this.useWebSocketFallback) {
+        await this.sendHello(remotePeerId);
+      }
+      this.scheduleKeyRotation();
+    }
+  }
+  
+  // Forget a peer that left and rotate the room key without it
+  handlePeerLeft(remotePeerId) {
+    this.rateLimiter.forget(remotePeerId);
+    
+    if (this.presence) {
+      this.presence.removePeer(remotePeerId);
+    }
+    
+    if (this.encryption && this.encryption.hasPeer(remotePeerId)) {
+      this.encryption.removePeer(remotePeerId);
+      this.scheduleKeyRotation();
+    }
+  }
+  
+  // Rotate the room key shortly after membership changes, if we are the leader
+  scheduleKeyRotation() {
+    clearTimeout(this.keyRotationTimer);
+    this.keyRotationTimer = setTimeout(async () => {
+      const encryption = this.encryption;
+      if (!encryption || !encryption.isLeader()) return;
+      
+      try {
+        const updates = await encryption.rotate();
+        updates.forEach(update => this.sendToPeer(update.to, update));
+        console.log('Rotated room key for room:', this.roomId);
+        
+        // Members now share our key, so we can catch up with one of them
+        if (updates.length > 0) {
+          this.handleRoomReady(updates[0].to);
+        }
+      } catch (error) {
+        console.error('Failed to rotate room key:', error);
+      }
+    }, KEY_ROTATION_DELAY);
+  }
+  
+  // Send data to one peer, over WebRTC or addressed to it through the relay
+  sendToPeer(remotePeerId, data) {
+    if (this.useWebSocketFallback) {
+      this.socket.emit('chat-message', {
+        roomId: this.roomId,
+        from: this.peerId,
+        to: remotePeerId,
+        ...data
+      });
+      return;
+    }
+    
+    const conn = this.connections[remotePeerId];
+    if (conn && conn.open) {
+      conn.send(data);
+    }
+  }
+  
+  // Send room data to one peer, encrypted in encrypted rooms
+  // Nothing is sent while waiting for the secret of a room we were invited to
+  async sendSecureToPeer(remotePeerId, data) {
+    if (this.isAwaitingSecret()) return;
+    
+    const payload = this.encryption ? await this.encryption.encrypt(data) : data;
+    this.sendToPeer(remotePeerId, payload);
+  }
+  
+  // Send room data to everyone in the room, encrypted in encrypted rooms
+  async broadcastSecure(data) {
+    if (this.isAwaitingSecret()) return;
+    
+    const payload = this.encryption ? await this.encryption.encrypt(data) : data;
+    this.broadcast(payload);
+  }
+  
+  // A peer (or the relay) can now receive room data: catch up, send what's queued
+  // and tell everyone we're here (after a key rotation, nobody could read our last heartbeat)
+  handleRoomReady(remotePeerId) {
+    if (this.presence) {
+      this.presence.announce();
+    }
+    
+    if (this.history) {
+      this.history.requestHistory(remotePeerId)
+        .catch(error => console.error('Failed to request message history:', error));
+    }
+    
+    if (this.outbox) {
+      this.outbox.flush()
+        .catch(error => console.error('Failed to flush outbox:', error));
+    }
+  }
+  
+  // Whether anyone can currently receive what we broadcast
+  hasOpenTransport() {
+    if (this.useWebSocketFallback) {
+      return Boolean(this.socket && this.socket.connected);
+    }
+    return Object.values(this.connections).some(conn => conn.open);
+  }
+  
+  // Send data to everyone in the room
+  broadcast(data) {
+    if (this.useWebSocketFallback) {
+      this.socket.emit('chat-message', {
+        roomId: this.roomId,
+        from: this.peerId,
+        ...data
+      });
+      return;
+    }
+    
+    Object.values(this.connections).forEach(conn => {
+      if (conn.open) {
+        conn.send(data);
+      }
+    });
+  }
+  
   // Initialize WebSocket fallback
   async initializeWebSocketFallback() {
     try {
-      this.socket = io(this.serverUrl, {
+      this.socket = io(this.settings.relayUrl, {
         query: {
           peerId: this.peerId,
           roomId: this.roomId
@@ -144,7 +638,8 @@ class P2PService {
         success: true,
         peerId: this.peerId,
         roomId: this.roomId,
-        usingFallback: true
+        usingFallback: true,
+        encrypted: this.isEncrypted()
       };
     } catch (error) {
       console.error('Failed to initialize WebSocket fallback:', error);
@@ -160,19 +655,39 @@ class P2PService {
     this.socket.on('connect', () => {
       console.log('Socket.IO connection established');
       this.socket.emit('join-room', this.roomId, this.peerId);
+      this.startRoomHandshake();
+      
+      this.supervisor.updateState();
+    });
+    
+    // Socket.IO reconnects by itself
+    this.socket.on('disconnect', (reason) => {
+      console.log('Socket.IO connection lost:', reason);
+      this.supervisor.updateState();
     });
     
     this.socket.on('user-connected', (peerId) => {
       console.log('User connected via WebSocket:', peerId);
+      
+      // In encrypted rooms the newcomer first needs the room key, which triggers our announcement
+      if (this.isAwaitingSecret()) {
+        this.invites.request(peerId);
+      } else if (this.presence && !this.encryption) {
+        this.presence.announce(peerId);
+      }
     });
     
     this.socket.on('user-disconnected', (peerId) => {
       console.log('User disconnected via WebSocket:', peerId);
+      this.handlePeerLeft(peerId);
     });
     
     this.socket.on('chat-message', (data) => {
       console.log('Received message via WebSocket:', data);
-      this.handleIncomingMessage(data);
+      
+      // Skip our own echoes and messages addressed to other members
+      if (data.from === this.peerId || (data.to && data.to !== this.peerId)) return;
+      this.handlePeerData(data.from, data);
     });
     
     this.socket.on('error', (error) => {
@@ -181,27 +696,42 @@ class P2PService {
   }
   
   // Send message to peers
+  // Resolves { success, message } with the signed message and its delivery status
   async sendMessage(messageData) {
     try {
-      // Save message to local storage
-      await saveMessage(messageData);
+      if (!this.identity) {
+        throw new Error('No signing identity configured');
+      }
       
-      if (this.useWebSocketFallback) {
-        // Send via WebSocket
-        this.socket.emit('chat-message', {
-          roomId: this.roomId,
-          ...messageData
-        });
-      } else {
-        // Send via WebRTC
-        Object.values(this.connections).forEach(conn => {
-          if (conn.open) {
-            conn.send(messageData);
-          }
-        });
+      if (!this.outbox) {
+        throw new Error('Not in a chat room');
       }
       
-      return { success: true };
+      this.checkTextLength(messageData.text);
+      
+      // Give the message a global ID for deduplication and a clock for ordering
+      this.clock += 1;
+      const { status, ...unsignedMessage } = messageData;
+      
+      // Sign so peers can check who sent it
+      const signedMessage = await signMessage({
+        ...unsignedMessage,
+        type: ROOM_MESSAGE_TYPES.CHAT,
+        messageId: messageData.messageId || uuidv4(),
+        clock: this.clock
+      }, this.identity);
+      
+      // Save message to local storage
+      await saveMessage({ ...signedMessage, status: MESSAGE_STATUS.QUEUED });
+      this.setNickname(signedMessage.nickname);
+      if (this.presence) {
+        this.presence.markActive();
+      }
+      
+      // The outbox sends it now if a connection is open, and again until a peer acknowledges it
+      const deliveryStatus = await this.outbox.enqueue(signedMessage);
+      
+      return { success: true, message: { ...signedMessage, status: deliveryStatus } };
     } catch (error) {
       console.error('Failed to send message:', error);
       return {
@@ -211,17 +741,66 @@ class P2PService {
     }
   }
   
+  // Tell the room we started or stopped typing
+  async sendTyping({ typing, nickname } = {}) {
+    if (!this.presence) {
+      return { success: false, error: 'Not in a chat room' };
+    }
+    
+    this.setNickname(nickname);
+    await this.presence.sendTyping(typing);
+    return { success: true };
+  }
+  
+  // Refuse text that peers would drop for being too long
+  checkTextLength(text) {
+    if (text && text.length > this.settings.limits.maxTextLength) {
+      throw new Error(`Messages can be at most ${this.settings.limits.maxTextLength} characters long`);
+    }
+  }
+  
+  // Use a new nickname in our presence announcements
+  setNickname(nickname) {
+    if (nickname) {
+      this.nickname = nickname;
+    }
+  }
+  
+  // Cancel a queued message that wasn't sent yet, it's removed from the room's history
+  async cancelMessage(messageId) {
+    if (!this.outbox || !await this.outbox.cancel(messageId)) {
+      return { success: false, error: 'Message is not queued' };
+    }
+    
+    await deleteMessage(messageId);
+    this.notifyMessageStatus(messageId, MESSAGE_STATUS.CANCELLED);
+    return { success: true };
+  }
+  
   // Join existing chat room
-  async joinRoom(roomId) {
+  // options: { secret } for end-to-end encrypted rooms, or { invite } to ask the room for its secret
+  async joinRoom(roomId, { secret, invite } = {}) {
     try {
+      // Leave the previous room before switching
+      this.leaveCurrentRoom();
+      
       this.roomId = roomId;
+      await saveRoom({ id: roomId });
+      await this.setupEncryption(secret);
+      await this.setupInvites({ secret, invite });
+      this.clock = await getLatestClock(roomId);
+      this.history = new HistorySync(this, roomId);
+      this.outbox = new MessageOutbox(this, roomId);
+      this.presence = new RoomPresence(this, roomId);
+      this.presence.start();
       
       if (this.useWebSocketFallback) {
         // Join room via WebSocket
         this.socket.emit('join-room', roomId, this.peerId);
+        this.startRoomHandshake();
       } else {
-        // In a real implementation, this would connect to peers in the room
-        // This would require a signaling server to exchange peer IDs
+        // Join room via the room lobby
+        await this.announceToRoom();
       }
       
       // Load previous messages
@@ -230,7 +809,8 @@ class P2PService {
       return {
         success: true,
         roomId,
-        messages
+        messages,
+        encrypted: this.isEncrypted()
       };
     } catch (error) {
       console.error('Failed to join room:', error);
@@ -241,15 +821,404 @@ class P2PService {
     }
   }
   
+  // Handle data from a peer: encryption handshakes or (encrypted) room data
+  async handlePeerData(remotePeerId, data) {
+    // Over the relay we can't close a blocked user's connection, so their data is dropped here
+    if (!data || this.isPeerBlocked(remotePeerId)) return;
+    
+    // Flooding and oversized payloads are dropped before anything else looks at them
+    if (!this.rateLimiter.allow(remotePeerId, data)) return;
+    
+    const envelopeError = validateEnvelope(data);
+    if (envelopeError) {
+      this.rateLimiter.recordViolation(remotePeerId, envelopeError);
+      return;
+    }
+    
+    try {
+      switch (data.type) {
+        case ENCRYPTION_MESSAGE_TYPES.HELLO:
+          await this.handleHello(remotePeerId, data);
+          break;
+        
+        case ENCRYPTION_MESSAGE_TYPES.KEY_UPDATE:
+          if (this.encryption && await this.encryption.handleKeyUpdate(remotePeerId, data)) {
+            console.log('Received new room key from peer:', remotePeerId);
+            this.handleRoomReady(remotePeerId);
+          }
+          break;
+        
+        case INVITE_MESSAGE_TYPES.REQUEST:
+          if (this.invites) {
+            await this.invites.handleRequest(remotePeerId, data);
+          }
+          break;
+        
+        case INVITE_MESSAGE_TYPES.GRANT:
+          if (this.invites) {
+            await this.invites.handleGrant(remotePeerId, data);
+          }
+          break;
+        
+        case INVITE_MESSAGE_TYPES.DENIED:
+          if (this.invites) {
+            await this.invites.handleDenied(remotePeerId, data);
+          }
+          break;
+        
+        case ENCRYPTION_MESSAGE_TYPES.ENCRYPTED:
+          if (!this.encryption) {
+            console.warn('Dropping encrypted message, no key for room:', this.roomId);
+            break;
+          }
+          await this.handleRoomData(remotePeerId, await this.encryption.decrypt(data));
+          break;
+        
+        default:
+          // Plaintext is never accepted in an encrypted room, or one we were invited to
+          if (this.encryption || this.isAwaitingSecret()) {
+            console.warn('Dropping unencrypted message from peer:', remotePeerId);
+            break;
+          }
+          await this.handleRoomData(remotePeerId, data);
+      }
+    } catch (error) {
+      console.error('Failed to handle data from peer:', remotePeerId, error);
+    }
+  }
+  
+  // Handle room data by its type: acknowledgements, history sync, presence, reactions, revisions or chat messages
+  async handleRoomData(remotePeerId, data) {
+    // Malformed data never reaches storage or the UI
+    const schemaError = validateRoomData(data, this.settings.limits);
+    if (schemaError) {
+      this.rateLimiter.recordViolation(remotePeerId, schemaError);
+      return;
+    }
+    
+    switch (data.type) {
+      case PRESENCE_MESSAGE_TYPES.PRESENCE:
+        if (this.presence) {
+          await this.presence.handlePresence(remotePeerId, data);
+        }
+        break;
+      
+      case PRESENCE_MESSAGE_TYPES.TYPING:
+        if (this.presence) {
+          await this.presence.handleTyping(remotePeerId, data);
+        }
+        break;
+      
+      case ROOM_MESSAGE_TYPES.ACK:
+        if (this.outbox) {
+          await this.outbox.handleAck(data.messageId);
+        }
+        break;
+      
+      case SYNC_MESSAGE_TYPES.REQUEST:
+        if (this.history) {
+          await this.history.handleRequest(remotePeerId, data);
+        }
+        break;
+      
+      case SYNC_MESSAGE_TYPES.BATCH:
+        if (this.history) {
+          await this.history.handleBatch(remotePeerId, data);
+        }
+        break;
+      
+      case ROOM_MESSAGE_TYPES.REACTION:
+        await this.acceptReaction(data);
+        break;
+      
+      case ROOM_MESSAGE_TYPES.EDIT:
+      case ROOM_MESSAGE_TYPES.DELETE:
+        await this.acceptRevision(data);
+        break;
+      
+      case ROOM_MESSAGE_TYPES.CHAT:
+      case undefined:
+        await this.handleIncomingMessage(remotePeerId, data);
+        break;
+      
+      default:
+        console.warn('Dropping room data of unknown type from peer:', remotePeerId, data.type);
+    }
+  }
+  
+  // Store and announce a new delivery state of one of our messages
+  setMessageStatus(messageId, status) {
+    updateMessageStatus(messageId, status);
+    this.notifyMessageStatus(messageId, status);
+  }
+  
+  // Tell registered callbacks about a delivery state change
+  notifyMessageStatus(messageId, status) {
+    this.statusCallbacks.forEach(callback => {
+      callback({ roomId: this.roomId, messageId, status });
+    });
+  }
+  
+  // Tell registered callbacks about changes to the room's members
+  notifyPresence(members) {
+    this.presenceCallbacks.forEach(callback => {
+      callback({ roomId: this.roomId, members });
+    });
+  }
+  
+  // Tell registered callbacks about the secret granted for our invite, or why there is none
+  notifyRoomSecret(fields) {
+    this.roomSecretCallbacks.forEach(callback => {
+      callback({ roomId: this.roomId, ...fields });
+    });
+  }
+  
   // Handle incoming message
-  handleIncomingMessage(data) {
-    // Save message to local storage
-    saveMessage(data);
+  async handleIncomingMessage(remotePeerId, data) {
+    // Messages without an ID can't be deduplicated or acknowledged
+    if (!data.messageId) {
+      console.warn('Dropping message without ID from peer:', remotePeerId);
+      return;
+    }
+    
+    // Blocked users get nothing back, not even an acknowledgement
+    if (isUserBlocked(data.userId, this.moderation)) {
+      this.handlePeerIdentified(remotePeerId, data.userId);
+      return;
+    }
+    
+    const { valid, moderated } = await this.acceptMessage(data);
+    
+    // Acknowledge every valid copy, an earlier ack may have been lost
+    // Muted and filtered messages count as received, so the sender doesn't notice
+    if (valid || moderated) {
+      this.handlePeerIdentified(remotePeerId, data.userId);
+      if (this.presence) {
+        this.presence.handleMessageFrom(data.userId);
+      }
+      
+      await this.sendSecureToPeer(remotePeerId, { type: ROOM_MESSAGE_TYPES.ACK, messageId: data.messageId });
+    }
+  }
+  
+  // Verify, store and announce a message received live or through history sync
+  // Resolves { valid, duplicate, moderated }, moderated messages are dropped before they're stored
+  async acceptMessage(data) {
+    // Reject messages that aren't signed by the key they carry, or belong to another room
+    const { valid, fingerprint } = await verifyMessage(data);
+    if (!valid || data.roomId !== this.roomId || !data.messageId || getMessageType(data) !== ROOM_MESSAGE_TYPES.CHAT) {
+      console.warn('Rejected message with bad signature or for another room from user:', data && data.userId);
+      return { valid: false, duplicate: false };
+    }
+    
+    // Our own mute and block lists and keyword filters
+    const moderationAction = getModerationAction(data, this.moderation);
+    if (moderationAction) {
+      console.log(`Dropping message (${moderationAction}) from user:`, data.userId);
+      return { valid: false, duplicate: false, moderated: true };
+    }
+    
+    // Flag messages whose user ID was seen before with a different key
+    const verified = await checkSenderKey(data, fingerprint);
+    if (!verified) {
+      console.warn('Signing key changed for user, possible impersonation:', data.userId);
+    }
+    
+    // Delivery state is ours to track, never the sender's
+    const { status, ...receivedMessage } = data;
+    const message = { ...receivedMessage, fingerprint, verified };
+    
+    // Save message to local storage, relays and reconnects can deliver it twice
+    const { duplicate } = await saveMessage(message);
+    if (duplicate) {
+      return { valid: true, duplicate: true };
+    }
+    
+    // Lamport clock: later than everything we have seen
+    this.clock = Math.max(this.clock, data.clock || 0) + 1;
+    
+    // Edits or a deletion can arrive before the message itself
+    const revisedMessage = await this.applyRevisions(message.messageId);
     
     // Notify all registered callbacks
     this.messageCallbacks.forEach(callback => {
-      callback(data);
+      callback(revisedMessage || message);
     });
+    
+    return { valid: true, duplicate: false };
+  }
+  
+  // React to a message, or take a reaction back with active: false
+  // Resolves { success, reaction } with the signed reaction
+  async sendReaction({ messageId, emoji, active }) {
+    try {
+      if (!this.identity) {
+        throw new Error('No signing identity configured');
+      }
+      
+      if (!this.roomId) {
+        throw new Error('Not in a chat room');
+      }
+      
+      this.clock += 1;
+      const reaction = await signMessage({
+        type: ROOM_MESSAGE_TYPES.REACTION,
+        roomId: this.roomId,
+        messageId,
+        emoji,
+        active: Boolean(active),
+        clock: this.clock,
+        timestamp: Date.now()
+      }, this.identity);
+      
+      await saveReaction(reaction);
+      
+      // Reactions aren't queued, peers that miss one get it through history sync
+      await this.broadcastSecure(reaction);
+      return { success: true, reaction };
+    } catch (error) {
+      console.error('Failed to send reaction:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  // Verify, store and announce a reaction received live or through history sync
+  // The latest state of each user's reaction wins, so copies and toggles merge the same way on every peer
+  async acceptReaction(data) {
+    const { valid } = await verifyMessage(data);
+    if (!valid || data.roomId !== this.roomId || !data.messageId || typeof data.active !== 'boolean'
+      || typeof data.emoji !== 'string' || !data.emoji || data.emoji.length > MAX_REACTION_LENGTH) {
+      console.warn('Rejected invalid reaction from user:', data && data.userId);
+      return { valid: false, changed: false };
+    }
+    
+    const { changed } = await saveReaction(data);
+    this.clock = Math.max(this.clock, data.clock || 0) + 1;
+    
+    if (changed) {
+      this.reactionCallbacks.forEach(callback => {
+        callback(data);
+      });
+    }
+    
+    return { valid: true, changed: Boolean(changed) };
+  }
+  
+  // Edit one of our own messages
+  // Resolves { success, message } with the updated message
+  async editOwnMessage(messageId, text) {
+    return this.sendRevision(ROOM_MESSAGE_TYPES.EDIT, messageId, { text });
+  }
+  
+  // Delete one of our own messages, peers keep only a tombstone
+  // Resolves { success, message } with the tombstone
+  async deleteOwnMessage(messageId) {
+    return this.sendRevision(ROOM_MESSAGE_TYPES.DELETE, messageId);
+  }
+  
+  // Sign, store, apply and broadcast an edit or deletion of one of our messages
+  async sendRevision(type, messageId, fields = {}) {
+    try {
+      if (!this.identity) {
+        throw new Error('No signing identity configured');
+      }
+      
+      const message = await getMessage(messageId);
+      if (!message || message.roomId !== this.roomId || message.userId !== this.identity.userId) {
+        throw new Error('Only your own messages in this room can be changed');
+      }
+      
+      if (message.deleted) {
+        throw new Error('Message was deleted');
+      }
+      
+      this.checkTextLength(fields.text);
+      
+      this.clock += 1;
+      const revision = await signMessage({
+        type,
+        revisionId: uuidv4(),
+        roomId: this.roomId,
+        messageId,
+        ...fields,
+        clock: this.clock,
+        timestamp: Date.now()
+      }, this.identity);
+      
+      await saveRevision(revision);
+      const revisedMessage = await this.applyRevisions(messageId);
+      
+      // Like reactions, revisions aren't queued, peers that miss one get it through history sync
+      await this.broadcastSecure(revision);
+      return { success: true, message: revisedMessage };
+    } catch (error) {
+      console.error('Failed to change message:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  // Verify, store and apply an edit or deletion received live or through history sync
+  // Only the sender of a message, with the same signing key, can change it
+  async acceptRevision(data) {
+    const { valid } = await verifyMessage(data);
+    const isEdit = data && data.type === ROOM_MESSAGE_TYPES.EDIT;
+    if (!valid || data.roomId !== this.roomId || !data.messageId || !data.revisionId
+      || (isEdit && (typeof data.text !== 'string' || !data.text.trim()))) {
+      console.warn('Rejected invalid revision from user:', data && data.userId);
+      return { valid: false, changed: false };
+    }
+    
+    const message = await getMessage(data.messageId);
+    if (message && !isSameSigner(data, message)) {
+      console.warn('Rejected revision of another user\'s message from user:', data.userId);
+      return { valid: false, changed: false };
+    }
+    
+    const { duplicate } = await saveRevision(data);
+    if (duplicate) {
+      return { valid: true, changed: false };
+    }
+    
+    this.clock = Math.max(this.clock, data.clock || 0) + 1;
+    
+    // Revisions of messages we don't have yet are applied once the message arrives
+    const revisedMessage = await this.applyRevisions(data.messageId);
+    if (revisedMessage) {
+      this.messageCallbacks.forEach(callback => {
+        callback(revisedMessage);
+      });
+    }
+    
+    return { valid: true, changed: Boolean(revisedMessage) };
+  }
+  
+  // Bring a stored message up to date with its revisions by the same sender
+  // A deletion beats every edit, otherwise the latest edit wins
+  // Resolves the updated message, or null if there's nothing to apply
+  async applyRevisions(messageId) {
+    const message = await getMessage(messageId);
+    if (!message || message.deleted) {
+      return null;
+    }
+    
+    const revisions = (await getRevisionsForMessage(messageId))
+      .filter(revision => isSameSigner(revision, message));
+    if (revisions.length === 0) {
+      return null;
+    }
+    
+    if (revisions.some(revision => revision.type === ROOM_MESSAGE_TYPES.DELETE)) {
+      return reviseMessage(messageId, { deleted: true });
+    }
+    
+    const latestEdit = revisions.sort(compareMessages)[revisions.length - 1];
+    return reviseMessage(messageId, { text: latestEdit.text, editedAt: latestEdit.timestamp });
   }
   
   // Register callback for incoming messages
@@ -257,8 +1226,51 @@ class P2PService {
     this.messageCallbacks.push(callback);
   }
   
+  // Register callback for incoming reactions
+  onReaction(callback) {
+    this.reactionCallbacks.push(callback);
+  }
+  
+  // Register callback for delivery state changes of our own messages
+  onMessageStatus(callback) {
+    this.statusCallbacks.push(callback);
+  }
+  
+  // Register callback for member list changes, called with { roomId, members }
+  onPresence(callback) {
+    this.presenceCallbacks.push(callback);
+  }
+  
+  // Register callback for the outcome of redeeming an invite, called with { roomId, roomSecret } or { roomId, error }
+  onRoomSecret(callback) {
+    this.roomSecretCallbacks.push(callback);
+  }
+  
+  // Members of the current room, ourselves first
+  getPresence() {
+    return this.presence ? this.presence.getMembers() : [];
+  }
+  
+  // Register callback for connection state changes ('connecting', 'p2p', 'relayed' or 'offline')
+  onConnectionState(callback) {
+    this.supervisor.onStateChange(callback);
+  }
+  
+  // Current connection state
+  getConnectionState() {
+    return this.supervisor.state;
+  }
+  
+  // Whether PeerJS or the WebSocket fallback has been set up
+  isInitialized() {
+    return Boolean(this.peer || this.socket);
+  }
+  
   // Clean up connections
   cleanup() {
+    this.supervisor.stop();
+    this.leaveCurrentRoom();
+    
     if (this.peer) {
       this.peer.destroy();
     }
@@ -267,10 +1279,11 @@ class P2PService {
       this.socket.disconnect();
     }
     
+    this.peer = null;
+    this.socket = null;
+    this.peerUserIds = {};
+    this.rateLimiter.reset();
+    this.useWebSocketFallback = false;
     this.connections = {};
   }
 }
-
-// Export singleton instance
-const p2pService = new P2PService();
-export default p2pService;
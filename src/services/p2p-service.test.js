@@ -0,0 +1,302 @@
+import { jest } from '@jest/globals';
+import { MockNetwork, waitFor } from '../test-utils/mock-peer';
+import { createStorageMock } from '../test-utils/mock-storage';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const ROOM_ID = `yt-${VIDEO_ID}`;
+
+let network = new MockNetwork();
+
+jest.unstable_mockModule('peerjs', () => ({
+  Peer: function Peer(id) {
+    return network.createPeer(id);
+  }
+}));
+jest.unstable_mockModule('./storage-service', createStorageMock);
+
+const { P2PService } = await import('./p2p-service');
+const storage = await import('./storage-service');
+const { signMessage } = await import('./identity-service');
+const { generateSigningKeyPair } = await import('./crypto-service');
+
+// A user's signing identity, like getIdentity creates
+async function createIdentity(userId) {
+  return { userId, signingKeys: await generateSigningKeyPair() };
+}
+
+describe('P2PService connections', () => {
+  let services;
+  
+  // Join a room as a new peer
+  async function joinRoom(peerId, roomId = ROOM_ID) {
+    const service = new P2PService();
+    service.configure({ peerId });
+    services.push(service);
+    
+    const result = await service.initialize(VIDEO_ID, { roomId });
+    expect(result.success).toBe(true);
+    return service;
+  }
+  
+  // Whether a service has an open connection to a peer
+  function isConnected(service, remotePeerId) {
+    const conn = service.connections[remotePeerId];
+    return Boolean(conn && conn.open);
+  }
+  
+  beforeEach(() => {
+    network = new MockNetwork();
+    services = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    services.forEach(service => service.cleanup());
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+  
+  test('members of a room connect to each other when they join', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    const third = await joinRoom('peer-c');
+    
+    await waitFor(() => isConnected(first, 'peer-b') && isConnected(first, 'peer-c'));
+    await waitFor(() => isConnected(second, 'peer-a') && isConnected(second, 'peer-c'));
+    await waitFor(() => isConnected(third, 'peer-a') && isConnected(third, 'peer-b'));
+    
+    expect(Object.keys(first.connections).sort()).toEqual(['peer-b', 'peer-c']);
+    expect(first.hasOpenTransport()).toBe(true);
+  });
+  
+  test('peers in other rooms are not connected', async () => {
+    const first = await joinRoom('peer-a');
+    const other = await joinRoom('peer-b', `yt-${VIDEO_ID}-0a1b2c3d`);
+    
+    // Dial across rooms directly, the lobbies never introduce these two
+    other.connectToPeer('peer-a');
+    await waitFor(() => !other.connections['peer-a']);
+    
+    expect(first.connections).toEqual({});
+  });
+  
+  test('a peer that leaves is removed from the connections', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    const third = await joinRoom('peer-c');
+    await waitFor(() => isConnected(first, 'peer-c') && isConnected(second, 'peer-c'));
+    
+    third.cleanup();
+    await waitFor(() => !first.connections['peer-c'] && !second.connections['peer-c']);
+    
+    expect(Object.keys(first.connections)).toEqual(['peer-b']);
+    expect(Object.keys(second.connections)).toEqual(['peer-a']);
+    expect(third.connections).toEqual({});
+  });
+  
+  test('a dropped connection is re-dialed by the peer with the lower ID', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    await waitFor(() => isConnected(first, 'peer-b') && isConnected(second, 'peer-a'));
+    const droppedConnection = first.connections['peer-b'];
+    
+    jest.useFakeTimers({ doNotFake: ['Date', 'setImmediate', 'nextTick', 'queueMicrotask'] });
+    first.peer.dropConnection('peer-b');
+    
+    expect(first.connections['peer-b']).toBeUndefined();
+    expect(second.connections['peer-a']).toBeUndefined();
+    
+    // Both are still in the room lobby, so only the redial brings them back together
+    jest.advanceTimersByTime(1000);
+    await waitFor(() => isConnected(first, 'peer-b') && isConnected(second, 'peer-a'));
+    
+    expect(first.connections['peer-b']).not.toBe(droppedConnection);
+    expect(first.lobby.members.has('peer-b')).toBe(true);
+  });
+  
+  test('a redial gives up once the peer has left the room', async () => {
+    const first = await joinRoom('peer-a');
+    const second = await joinRoom('peer-b');
+    await waitFor(() => isConnected(first, 'peer-b'));
+    
+    jest.useFakeTimers({ doNotFake: ['Date', 'setImmediate', 'nextTick', 'queueMicrotask'] });
+    second.cleanup();
+    await waitFor(() => !first.lobby.members.has('peer-b'));
+    
+    jest.advanceTimersByTime(1000);
+    await new Promise(resolve => setImmediate(resolve));
+    
+    expect(first.connections).toEqual({});
+  });
+});
+
+describe('P2PService reactions', () => {
+  let service;
+  let identity;
+  let received;
+  
+  // A reaction signed by the test user
+  function signReaction(fields = {}) {
+    return signMessage({
+      type: 'reaction',
+      roomId: ROOM_ID,
+      messageId: 'message-1',
+      emoji: '👍',
+      active: true,
+      clock: 4,
+      timestamp: 1767225600000,
+      ...fields
+    }, identity);
+  }
+  
+  beforeEach(async () => {
+    identity = await createIdentity('user-a');
+    service = new P2PService();
+    service.roomId = ROOM_ID;
+    received = [];
+    service.onReaction(reaction => received.push(reaction));
+    storage.saveReaction.mockClear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+  
+  test('stores signed reactions and announces only the ones that changed something', async () => {
+    const reaction = await signReaction();
+    storage.saveReaction
+      .mockResolvedValueOnce({ success: true, changed: true })
+      .mockResolvedValueOnce({ success: true, changed: false });
+    
+    expect(await service.acceptReaction(reaction)).toEqual({ valid: true, changed: true });
+    expect(await service.acceptReaction({ ...reaction })).toEqual({ valid: true, changed: false });
+    
+    expect(storage.saveReaction).toHaveBeenCalledTimes(2);
+    expect(received).toEqual([reaction]);
+    expect(service.clock).toBe(6);
+  });
+  
+  test('rejects forged, malformed and other rooms\' reactions', async () => {
+    const reaction = await signReaction();
+    
+    const rejected = [
+      { ...reaction, emoji: '🔥' },
+      { ...reaction, signature: undefined },
+      await signReaction({ roomId: `yt-${VIDEO_ID}-0a1b2c3d` }),
+      await signReaction({ active: 'yes' }),
+      await signReaction({ emoji: 'x'.repeat(100) })
+    ];
+    for (const data of rejected) {
+      expect(await service.acceptReaction(data)).toEqual({ valid: false, changed: false });
+    }
+    
+    expect(storage.saveReaction).not.toHaveBeenCalled();
+    expect(received).toEqual([]);
+  });
+});
+
+describe('P2PService revisions', () => {
+  let service;
+  let sender;
+  let other;
+  let message;
+  let revisions;
+  let changed;
+  
+  // An edit or deletion of the message, signed by a user
+  function signRevision(identity, fields = {}) {
+    return signMessage({
+      type: 'edit',
+      revisionId: `revision-${revisions.length + 1}`,
+      roomId: ROOM_ID,
+      messageId: 'message-1',
+      text: 'edited',
+      clock: 5,
+      timestamp: 1767225600000,
+      ...fields
+    }, identity);
+  }
+  
+  beforeEach(async () => {
+    sender = await createIdentity('user-a');
+    other = await createIdentity('user-b');
+    message = await signMessage({ type: 'chat', messageId: 'message-1', roomId: ROOM_ID, text: 'hi', clock: 3 }, sender);
+    
+    // Storage with the sender's message and whatever revisions get saved
+    revisions = [];
+    storage.getMessage.mockImplementation(async () => message);
+    storage.saveRevision.mockImplementation(async revision => {
+      revisions.push(revision);
+      return { success: true, duplicate: false };
+    });
+    storage.getRevisionsForMessage.mockImplementation(async () => revisions);
+    storage.reviseMessage.mockReset();
+    storage.reviseMessage.mockImplementation(async (messageId, changes) => ({ ...message, ...changes }));
+    
+    service = new P2PService();
+    service.roomId = ROOM_ID;
+    changed = [];
+    service.onMessage(changedMessage => changed.push(changedMessage));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    storage.getMessage.mockImplementation(async () => null);
+    storage.saveRevision.mockImplementation(async () => true);
+    storage.getRevisionsForMessage.mockImplementation(async () => []);
+    storage.reviseMessage.mockImplementation(async () => null);
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+  
+  test('the sender can edit and delete their message', async () => {
+    expect(await service.acceptRevision(await signRevision(sender))).toEqual({ valid: true, changed: true });
+    expect(storage.reviseMessage).toHaveBeenLastCalledWith('message-1', { text: 'edited', editedAt: 1767225600000 });
+    
+    expect(await service.acceptRevision(await signRevision(sender, { type: 'delete', text: undefined })))
+      .toEqual({ valid: true, changed: true });
+    expect(storage.reviseMessage).toHaveBeenLastCalledWith('message-1', { deleted: true });
+    expect(changed).toHaveLength(2);
+  });
+  
+  test('nobody else can edit or delete a message', async () => {
+    const forged = [
+      await signRevision(other),
+      await signRevision(other, { type: 'delete', text: undefined }),
+      // The sender's user ID with another key
+      await signRevision({ ...other, userId: 'user-a' })
+    ];
+    
+    for (const revision of forged) {
+      expect(await service.acceptRevision(revision)).toEqual({ valid: false, changed: false });
+    }
+    expect(revisions).toEqual([]);
+    expect(storage.reviseMessage).not.toHaveBeenCalled();
+    expect(changed).toEqual([]);
+  });
+  
+  test('revisions that arrive before their message only apply if they are the sender\'s', async () => {
+    storage.getMessage.mockImplementation(async () => null);
+    await service.acceptRevision(await signRevision(other, { text: 'forged', clock: 6 }));
+    await service.acceptRevision(await signRevision(sender));
+    expect(revisions).toHaveLength(2);
+    
+    // The message arrives
+    storage.getMessage.mockImplementation(async () => message);
+    await service.applyRevisions('message-1');
+    
+    expect(storage.reviseMessage).toHaveBeenCalledTimes(1);
+    expect(storage.reviseMessage).toHaveBeenCalledWith('message-1', { text: 'edited', editedAt: 1767225600000 });
+  });
+  
+  test('editing someone else\'s message is refused before anything is sent', async () => {
+    service.configure({ identity: other });
+    
+    const result = await service.editOwnMessage('message-1', 'edited');
+    
+    expect(result).toEqual({ success: false, error: 'Only your own messages in this room can be changed' });
+    expect(revisions).toEqual([]);
+  });
+});
@@ -0,0 +1,169 @@
+// P2P Sessions for YouTube P2P Chat Extension
+// Keeps one P2PService per open room, so several rooms, e.g. a video's public
+// room and a private room with friends, can be open at the same time.
+//
+// Every session has its own PeerJS peer, connections, lobby and protocol
+// state. PeerJS IDs must be unique on the signaling server, so a session's
+// peer ID is derived from this installation's peer ID and the room ID.
+// Everything a session reports carries its room ID, which the background
+// worker uses to route it to the tabs showing that room.
+
+import { P2PService } from './p2p-service';
+import { DEFAULT_SETTINGS } from './settings-service';
+import { DEFAULT_MODERATION } from './moderation-service';
+
+// Derive the PeerJS ID of our session in a room
+// PeerJS IDs only allow alphanumerics separated by single dashes, so hash the room ID
+export async function getSessionPeerId(peerId, roomId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(roomId));
+  const hex = Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return `${peerId}-${hex.substring(0, 12)}`;
+}
+
+class P2PSessions {
+  constructor() {
+    this.sessions = new Map();  // roomId -> P2PService
+    this.peerId = null;
+    this.identity = null;
+    this.nickname = null;
+    this.settings = DEFAULT_SETTINGS;
+    this.moderation = DEFAULT_MODERATION;
+    this.messageCallbacks = [];
+    this.statusCallbacks = [];
+    this.reactionCallbacks = [];
+    this.connectionCallbacks = [];
+    this.presenceCallbacks = [];
+    this.roomSecretCallbacks = [];
+  }
+  
+  // Configure new sessions, see P2PService.configure
+  configure({ peerId, identity, settings } = {}) {
+    if (peerId) {
+      this.peerId = peerId;
+    }
+    
+    if (identity) {
+      this.identity = identity;
+    }
+    
+    if (settings) {
+      this.settings = settings;
+    }
+  }
+  
+  // Use a new nickname in every room
+  setNickname(nickname) {
+    if (!nickname) return;
+    
+    this.nickname = nickname;
+    this.sessions.forEach(session => session.setNickname(nickname));
+  }
+  
+  // Apply new moderation settings to every room
+  updateModeration(moderation) {
+    if (!moderation) return;
+    
+    this.moderation = moderation;
+    this.sessions.forEach(session => session.updateModeration(moderation));
+  }
+  
+  // Apply new server settings to every room, reconnecting them if the servers changed
+  async updateSettings(settings) {
+    this.settings = settings;
+    await Promise.all([...this.sessions.values()].map(session => session.updateSettings(settings)));
+    return { success: true };
+  }
+  
+  // The session of a room, undefined if the room isn't open
+  get(roomId) {
+    return this.sessions.get(roomId);
+  }
+  
+  // Open a session for a room, or return the one already open
+  // options: { secret, invite } as for P2PService.initialize
+  async open(videoId, roomId, { secret, invite } = {}) {
+    const existing = this.sessions.get(roomId);
+    if (existing) {
+      return {
+        success: true,
+        peerId: existing.peerId,
+        roomId,
+        encrypted: existing.isEncrypted()
+      };
+    }
+    
+    const session = new P2PService();
+    session.configure({
+      peerId: await getSessionPeerId(this.peerId, roomId),
+      identity: this.identity,
+      settings: this.settings
+    });
+    session.setNickname(this.nickname);
+    session.updateModeration(this.moderation);
+    this.listenTo(session, roomId);
+    
+    // Registered before connecting, so commands for the room find it while it connects
+    this.sessions.set(roomId, session);
+    
+    const result = await session.initialize(videoId, { roomId, secret, invite });
+    if (!result.success && this.sessions.get(roomId) === session) {
+      this.close(roomId);
+    }
+    return result;
+  }
+  
+  // Forward what a session reports to our callbacks
+  listenTo(session, roomId) {
+    session.onMessage(data => this.messageCallbacks.forEach(callback => callback(data)));
+    session.onReaction(data => this.reactionCallbacks.forEach(callback => callback(data)));
+    session.onMessageStatus(data => this.statusCallbacks.forEach(callback => callback(data)));
+    session.onPresence(data => this.presenceCallbacks.forEach(callback => callback(data)));
+    session.onRoomSecret(data => this.roomSecretCallbacks.forEach(callback => callback(data)));
+    session.onConnectionState(state => this.connectionCallbacks.forEach(callback => callback({ roomId, state })));
+  }
+  
+  // Leave a room and close its connections
+  close(roomId) {
+    const session = this.sessions.get(roomId);
+    if (!session) return;
+    
+    this.sessions.delete(roomId);
+    session.cleanup();
+  }
+  
+  // Register callback for incoming messages of every room
+  onMessage(callback) {
+    this.messageCallbacks.push(callback);
+  }
+  
+  // Register callback for reactions from peers in every room
+  onReaction(callback) {
+    this.reactionCallbacks.push(callback);
+  }
+  
+  // Register callback for delivery state changes, called with { roomId, messageId, status }
+  onMessageStatus(callback) {
+    this.statusCallbacks.push(callback);
+  }
+  
+  // Register callback for connection state changes, called with { roomId, state }
+  onConnectionState(callback) {
+    this.connectionCallbacks.push(callback);
+  }
+  
+  // Register callback for member list changes, called with { roomId, members }
+  onPresence(callback) {
+    this.presenceCallbacks.push(callback);
+  }
+  
+  // Register callback for the outcome of redeeming invites, called with { roomId, roomSecret } or { roomId, error }
+  onRoomSecret(callback) {
+    this.roomSecretCallbacks.push(callback);
+  }
+}
+
+// Export singleton instance
+const p2pSessions = new P2PSessions();
+export default p2pSessions;
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import { MockNetwork, waitFor } from '../test-utils/mock-peer';
+import { createStorageMock } from '../test-utils/mock-storage';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const PUBLIC_ROOM_ID = `yt-${VIDEO_ID}`;
+const CHANNEL_ROOM_ID = `yt-${VIDEO_ID}#music`;
+
+let network = new MockNetwork();
+
+jest.unstable_mockModule('peerjs', () => ({
+  Peer: function Peer(id) {
+    return network.createPeer(id);
+  }
+}));
+jest.unstable_mockModule('./storage-service', createStorageMock);
+
+const { default: p2pSessions, getSessionPeerId } = await import('./p2p-sessions');
+const { P2PService } = await import('./p2p-service');
+
+describe('P2PSessions', () => {
+  let others;
+  
+  // Another installation joining a room
+  async function joinAsOther(peerId, roomId) {
+    const service = new P2PService();
+    service.configure({ peerId: await getSessionPeerId(peerId, roomId) });
+    others.push(service);
+    
+    expect((await service.initialize(VIDEO_ID, { roomId })).success).toBe(true);
+    return service;
+  }
+  
+  beforeEach(() => {
+    network = new MockNetwork();
+    others = [];
+    p2pSessions.configure({ peerId: 'install-a' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    [...p2pSessions.sessions.keys()].forEach(roomId => p2pSessions.close(roomId));
+    others.forEach(service => service.cleanup());
+    jest.restoreAllMocks();
+  });
+  
+  test('session peer IDs are valid PeerJS IDs, stable and different for every room', async () => {
+    const publicPeerId = await getSessionPeerId('install-a', PUBLIC_ROOM_ID);
+    
+    expect(publicPeerId).toMatch(/^install-a-[0-9a-f]{12}$/);
+    expect(await getSessionPeerId('install-a', PUBLIC_ROOM_ID)).toBe(publicPeerId);
+    expect(await getSessionPeerId('install-a', CHANNEL_ROOM_ID)).not.toBe(publicPeerId);
+    expect(await getSessionPeerId('install-b', PUBLIC_ROOM_ID)).not.toBe(publicPeerId);
+  });
+  
+  test('opens a session with its own peer for every room', async () => {
+    const publicRoom = await p2pSessions.open(VIDEO_ID, PUBLIC_ROOM_ID);
+    const channelRoom = await p2pSessions.open(VIDEO_ID, CHANNEL_ROOM_ID);
+    
+    expect(publicRoom).toMatchObject({ success: true, roomId: PUBLIC_ROOM_ID });
+    expect(channelRoom).toMatchObject({ success: true, roomId: CHANNEL_ROOM_ID });
+    expect(publicRoom.peerId).toBe(await getSessionPeerId('install-a', PUBLIC_ROOM_ID));
+    expect(channelRoom.peerId).toBe(await getSessionPeerId('install-a', CHANNEL_ROOM_ID));
+    expect(network.peers.has(publicRoom.peerId) && network.peers.has(channelRoom.peerId)).toBe(true);
+  });
+  
+  test('opening a room again returns its session', async () => {
+    const first = await p2pSessions.open(VIDEO_ID, PUBLIC_ROOM_ID);
+    const session = p2pSessions.get(PUBLIC_ROOM_ID);
+    const second = await p2pSessions.open(VIDEO_ID, PUBLIC_ROOM_ID);
+    
+    expect(second).toEqual({ success: true, peerId: first.peerId, roomId: PUBLIC_ROOM_ID, encrypted: false });
+    expect(p2pSessions.get(PUBLIC_ROOM_ID)).toBe(session);
+    expect(p2pSessions.sessions.size).toBe(1);
+  });
+  
+  test('closing a room leaves only that room', async () => {
+    await p2pSessions.open(VIDEO_ID, PUBLIC_ROOM_ID);
+    await p2pSessions.open(VIDEO_ID, CHANNEL_ROOM_ID);
+    const publicMember = await joinAsOther('install-b', PUBLIC_ROOM_ID);
+    const channelMember = await joinAsOther('install-b', CHANNEL_ROOM_ID);
+    
+    const publicPeerId = p2pSessions.get(PUBLIC_ROOM_ID).peerId;
+    const channelPeerId = p2pSessions.get(CHANNEL_ROOM_ID).peerId;
+    const isConnected = (service, remotePeerId) => Boolean(service.connections[remotePeerId] && service.connections[remotePeerId].open);
+    await waitFor(() => isConnected(publicMember, publicPeerId) && isConnected(channelMember, channelPeerId));
+    
+    p2pSessions.close(PUBLIC_ROOM_ID);
+    await waitFor(() => !publicMember.connections[publicPeerId]);
+    
+    expect(p2pSessions.get(PUBLIC_ROOM_ID)).toBeUndefined();
+    expect(network.peers.has(publicPeerId)).toBe(false);
+    expect(p2pSessions.get(CHANNEL_ROOM_ID)).toBeDefined();
+    expect(isConnected(channelMember, channelPeerId)).toBe(true);
+  });
+  
+  test('a session that fails to connect is closed', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    // Another client already uses our session's peer ID
+    network.createPeer(await getSessionPeerId('install-a', PUBLIC_ROOM_ID));
+    
+    const result = await p2pSessions.open(VIDEO_ID, PUBLIC_ROOM_ID);
+    
+    expect(result.success).toBe(false);
+    expect(p2pSessions.get(PUBLIC_ROOM_ID)).toBeUndefined();
+  });
+  
+  test('reports connection states with their room', async () => {
+    const callback = jest.fn();
+    p2pSessions.onConnectionState(callback);
+    
+    await p2pSessions.open(VIDEO_ID, CHANNEL_ROOM_ID);
+    
+    expect(callback).toHaveBeenCalledWith({ roomId: CHANNEL_ROOM_ID, state: 'p2p' });
+    p2pSessions.connectionCallbacks = p2pSessions.connectionCallbacks.filter(listener => listener !== callback);
+  });
+});
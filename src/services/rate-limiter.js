@@ -0,0 +1,119 @@
+// Rate Limiter for YouTube P2P Chat Extension
+// Protects the room from peers that flood it with data.
+//
+// Every peer gets a token bucket holding up to `burst` tokens, refilled at
+// `messagesPerSecond`. Each payload costs one token, and payloads over
+// `maxMessageSize` KB are refused without looking at them. Refused and
+// malformed payloads count as violations:
+//
+//   muteAfterViolations violations  -> peer muted for muteMinutes, its data dropped
+//   more than disconnectAfterMutes mutes -> connection closed as well
+//
+// Violations are forgiven once a peer's bucket has filled up again. Muted
+// peers can't reconnect until the mute runs out, over the relay their data is
+// dropped. Thresholds come from the `limits` server setting.
+
+export class PeerRateLimiter {
+  // service: the P2PService whose peers are limited
+  constructor(service) {
+    this.service = service;
+    this.peers = {};            // peerId -> { tokens, lastRefill, violations, mutes, mutedUntil }
+  }
+  
+  // Current thresholds from the service's settings
+  get limits() {
+    return this.service.settings.limits;
+  }
+  
+  // State of a peer, with its bucket refilled for the time passed
+  getPeer(remotePeerId) {
+    const { messagesPerSecond, burst } = this.limits;
+    const now = Date.now();
+    const peer = this.peers[remotePeerId] = this.peers[remotePeerId]
+      || { tokens: burst, lastRefill: now, violations: 0, mutes: 0, mutedUntil: 0 };
+    
+    peer.tokens = Math.min(burst, peer.tokens + (now - peer.lastRefill) / 1000 * messagesPerSecond);
+    peer.lastRefill = now;
+    if (peer.tokens >= burst) {
+      peer.violations = 0;
+    }
+    return peer;
+  }
+  
+  // Whether a peer is muted for flooding
+  isMuted(remotePeerId) {
+    const peer = this.peers[remotePeerId];
+    return Boolean(peer) && peer.mutedUntil > Date.now();
+  }
+  
+  // Take a token for a payload, false when it must be dropped
+  allow(remotePeerId, data) {
+    if (this.isMuted(remotePeerId)) return false;
+    
+    const size = getPayloadSize(data);
+    if (size > this.limits.maxMessageSize * 1024) {
+      this.recordViolation(remotePeerId, `payload of ${size} bytes`);
+      return false;
+    }
+    
+    const peer = this.getPeer(remotePeerId);
+    if (peer.tokens < 1) {
+      this.recordViolation(remotePeerId, 'rate limit exceeded');
+      return false;
+    }
+    
+    peer.tokens -= 1;
+    return true;
+  }
+  
+  // Count a violation, muting and eventually disconnecting the peer
+  recordViolation(remotePeerId, reason) {
+    const peer = this.getPeer(remotePeerId);
+    peer.violations += 1;
+    console.warn(`Dropping data from peer ${remotePeerId} (${reason})`);
+    
+    if (peer.violations >= this.limits.muteAfterViolations) {
+      this.mute(remotePeerId);
+    }
+  }
+  
+  // Mute a peer for muteMinutes, and close its connection if it keeps flooding
+  mute(remotePeerId) {
+    const peer = this.getPeer(remotePeerId);
+    peer.mutes += 1;
+    peer.violations = 0;
+    peer.tokens = 0;
+    peer.mutedUntil = Date.now() + this.limits.muteMinutes * 60000;
+    console.warn(`Muting peer ${remotePeerId} for ${this.limits.muteMinutes} minutes`);
+    
+    if (peer.mutes > this.limits.disconnectAfterMutes) {
+      console.warn('Closing connection to flooding peer:', remotePeerId);
+      this.service.disconnectFromPeer(remotePeerId);
+    }
+  }
+  
+  // Forget a peer that left, unless it was caught flooding
+  forget(remotePeerId) {
+    const peer = this.peers[remotePeerId];
+    if (peer && !peer.violations && !peer.mutes) {
+      delete this.peers[remotePeerId];
+    }
+  }
+  
+  // Forget every peer
+  reset() {
+    this.peers = {};
+  }
+}
+
+// Approximate size of a payload in bytes, payloads that can't be measured count as too large
+export function getPayloadSize(data) {
+  if (typeof data === 'string') return data.length;
+  if (data && typeof data.byteLength === 'number') return data.byteLength;
+  
+  try {
+    return JSON.stringify(data).length;
+  } catch (error) {
+    return Infinity;
+  }
+}
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import { PeerRateLimiter, getPayloadSize } from './rate-limiter';
+
+const LIMITS = {
+  messagesPerSecond: 2,
+  burst: 4,
+  maxMessageSize: 1,
+  maxTextLength: 2000,
+  muteAfterViolations: 3,
+  muteMinutes: 5,
+  disconnectAfterMutes: 1
+};
+
+describe('PeerRateLimiter', () => {
+  let now;
+  let service;
+  let limiter;
+  
+  // Let time pass
+  function advance(ms) {
+    now += ms;
+  }
+  
+  // Send payloads from a peer, returns how many were allowed
+  function send(count, data = { type: 'message' }) {
+    let allowed = 0;
+    for (let i = 0; i < count; i++) {
+      if (limiter.allow('peer-b', data)) allowed++;
+    }
+    return allowed;
+  }
+  
+  beforeEach(() => {
+    now = Date.parse('2026-01-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service = { settings: { limits: LIMITS }, disconnectFromPeer: jest.fn() };
+    limiter = new PeerRateLimiter(service);
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('a peer can send a burst, then has to wait', () => {
+    expect(send(6)).toBe(4);
+    expect(limiter.peers['peer-b'].violations).toBe(2);
+  });
+  
+  test('the bucket refills at the configured rate, up to the burst', () => {
+    send(4);
+    
+    advance(500);
+    expect(send(2)).toBe(1);
+    
+    advance(10000);
+    expect(send(6)).toBe(4);
+  });
+  
+  test('oversized payloads are refused without taking a token', () => {
+    expect(limiter.allow('peer-b', { text: 'x'.repeat(2000) })).toBe(false);
+    expect(limiter.peers['peer-b'].violations).toBe(1);
+    expect(limiter.peers['peer-b'].tokens).toBe(4);
+  });
+  
+  test('flooding peers are muted until the mute runs out', () => {
+    send(4 + LIMITS.muteAfterViolations);
+    
+    expect(limiter.isMuted('peer-b')).toBe(true);
+    
+    // Muted peers are dropped even with a full bucket
+    advance(60000);
+    expect(send(1)).toBe(0);
+    
+    advance(LIMITS.muteMinutes * 60000);
+    expect(limiter.isMuted('peer-b')).toBe(false);
+    expect(send(1)).toBe(1);
+  });
+  
+  test('peers that keep flooding after a mute are disconnected', () => {
+    send(4 + LIMITS.muteAfterViolations);
+    expect(service.disconnectFromPeer).not.toHaveBeenCalled();
+    
+    advance(LIMITS.muteMinutes * 60000 + 1);
+    send(4 + LIMITS.muteAfterViolations);
+    
+    expect(service.disconnectFromPeer).toHaveBeenCalledWith('peer-b');
+  });
+  
+  test('violations are forgiven once the bucket is full again', () => {
+    send(4 + LIMITS.muteAfterViolations - 1);
+    
+    advance(2000);
+    send(4 + LIMITS.muteAfterViolations - 1);
+    
+    expect(limiter.isMuted('peer-b')).toBe(false);
+  });
+  
+  test('peers that left are forgotten unless they flooded', () => {
+    limiter.allow('peer-a', {});
+    send(5);
+    
+    limiter.forget('peer-a');
+    limiter.forget('peer-b');
+    
+    expect(Object.keys(limiter.peers)).toEqual(['peer-b']);
+  });
+});
+
+describe('getPayloadSize', () => {
+  test('measures strings, binary data and JSON', () => {
+    expect(getPayloadSize('hello')).toBe(5);
+    expect(getPayloadSize(new Uint8Array(8))).toBe(8);
+    expect(getPayloadSize({ a: 1 })).toBe(7);
+  });
+  
+  test('payloads that can\'t be measured count as too large', () => {
+    const data = {};
+    data.self = data;
+    
+    expect(getPayloadSize(data)).toBe(Infinity);
+  });
+});
@@ -0,0 +1,178 @@
+// Room Encryption for YouTube P2P Chat Extension
+// End-to-end encryption of room traffic, so neither the Socket.IO relay nor
+// anyone without the room secret can read messages.
+//
+// Every member of an encrypted room knows the room secret (shared by room ID
+// and key, or an invite link). From it each member derives the initial AES-GCM
+// room key and an HMAC key used to prove membership:
+//
+//   member -> member  { type: 'key-hello', peerId, publicKey, proof }
+//   leader -> member  { type: 'key-update', to, keyId, wrappedKey }
+//   member -> room    { type: 'encrypted', keyId, iv, ciphertext }
+//
+// Members exchange ECDH public keys in 'key-hello', proving they know the
+// secret. Whenever membership changes, the member with the lowest peer ID
+// generates a new room key and sends it to every verified member, wrapped
+// with the key it shares with that member. Members ignore key updates from
+// anyone but the leader among the members they have verified.
+
+import {
+  deriveRoomKeys,
+  generateRoomKey,
+  generateKeyId,
+  encryptPayload,
+  decryptPayload,
+  wrapRoomKey,
+  unwrapRoomKey,
+  generateEcdhKeyPair,
+  exportPublicKey,
+  deriveSharedKey,
+  signProof,
+  verifyProof
+} from './crypto-service';
+
+export const ENCRYPTION_MESSAGE_TYPES = {
+  HELLO: 'key-hello',
+  KEY_UPDATE: 'key-update',
+  ENCRYPTED: 'encrypted'
+};
+
+const BASE_KEY_ID = 'base';
+// Older keys are kept for messages that were in flight during a rotation
+const MAX_KEPT_KEYS = 5;
+
+export class RoomEncryption {
+  constructor(roomId, peerId, secret) {
+    this.roomId = roomId;
+    this.peerId = peerId;
+    this.secret = secret;
+    this.authKey = null;
+    this.keyPair = null;
+    this.publicKey = null;
+    this.keys = new Map();      // keyId -> AES-GCM room key
+    this.currentKeyId = null;
+    this.peers = {};            // Verified members: peerId -> shared AES-GCM key
+  }
+  
+  // Derive the initial keys from the room secret
+  async init() {
+    const { encryptionKey, authKey } = await deriveRoomKeys(this.secret, this.roomId);
+    this.authKey = authKey;
+    this.addKey(BASE_KEY_ID, encryptionKey);
+    
+    this.keyPair = await generateEcdhKeyPair();
+    this.publicKey = await exportPublicKey(this.keyPair.publicKey);
+  }
+  
+  // Data a member signs to prove it knows the room secret
+  getProofData(peerId, publicKey) {
+    return `${this.roomId}|${peerId}|${publicKey.x}|${publicKey.y}`;
+  }
+  
+  // Create our hello with the ECDH public key and membership proof
+  async createHello() {
+    return {
+      type: ENCRYPTION_MESSAGE_TYPES.HELLO,
+      peerId: this.peerId,
+      publicKey: this.publicKey,
+      proof: await signProof(this.authKey, this.getProofData(this.peerId, this.publicKey))
+    };
+  }
+  
+  // Whether a peer has proven membership
+  hasPeer(peerId) {
+    return Boolean(this.peers[peerId]);
+  }
+  
+  // Verify a peer's hello and agree on a shared key, resolves false if the proof is bad
+  async handleHello(hello) {
+    if (!hello.publicKey || !hello.proof) {
+      return false;
+    }
+    
+    const isValid = await verifyProof(
+      this.authKey,
+      this.getProofData(hello.peerId, hello.publicKey),
+      hello.proof
+    );
+    if (!isValid) {
+      return false;
+    }
+    
+    this.peers[hello.peerId] = await deriveSharedKey(this.keyPair.privateKey, hello.publicKey);
+    return true;
+  }
+  
+  // Forget a member that left
+  removePeer(peerId) {
+    delete this.peers[peerId];
+  }
+  
+  // The member with the lowest peer ID among us and the verified members
+  getLeader() {
+    return Object.keys(this.peers).reduce((leader, peerId) => (peerId < leader ? peerId : leader), this.peerId);
+  }
+  
+  // The verified member with the lowest peer ID rotates the key
+  isLeader() {
+    return this.getLeader() === this.peerId;
+  }
+  
+  // Generate a new room key, returns one key update per verified member
+  async rotate() {
+    const roomKey = await generateRoomKey();
+    const keyId = generateKeyId();
+    
+    const updates = await Promise.all(Object.entries(this.peers).map(async ([peerId, sharedKey]) => ({
+      type: ENCRYPTION_MESSAGE_TYPES.KEY_UPDATE,
+      to: peerId,
+      keyId,
+      wrappedKey: await wrapRoomKey(sharedKey, roomKey)
+    })));
+    
+    this.addKey(keyId, roomKey);
+    return updates;
+  }
+  
+  // Accept a new room key from the leader, resolves false otherwise
+  // Any other member could otherwise push the room onto a key of its choosing
+  async handleKeyUpdate(fromPeerId, update) {
+    const sharedKey = this.peers[fromPeerId];
+    if (!sharedKey || fromPeerId !== this.getLeader() || !update.keyId || !update.wrappedKey) {
+      return false;
+    }
+    
+    this.addKey(update.keyId, await unwrapRoomKey(sharedKey, update.wrappedKey));
+    return true;
+  }
+  
+  // Make a key the current one, dropping the oldest kept keys
+  addKey(keyId, key) {
+    this.keys.delete(keyId);
+    this.keys.set(keyId, key);
+    this.currentKeyId = keyId;
+    
+    while (this.keys.size > MAX_KEPT_KEYS) {
+      this.keys.delete(this.keys.keys().next().value);
+    }
+  }
+  
+  // Encrypt data with the current room key
+  async encrypt(data) {
+    return {
+      type: ENCRYPTION_MESSAGE_TYPES.ENCRYPTED,
+      keyId: this.currentKeyId,
+      ...await encryptPayload(this.keys.get(this.currentKeyId), data)
+    };
+  }
+  
+  // Decrypt an encrypted envelope, throws for unknown keys or tampered data
+  async decrypt(envelope) {
+    const key = this.keys.get(envelope.keyId);
+    if (!key) {
+      throw new Error(`Unknown room key: ${envelope.keyId}`);
+    }
+    
+    return decryptPayload(key, envelope);
+  }
+}
@@ -0,0 +1,82 @@
+import { RoomEncryption } from './room-encryption';
+import { generateRoomSecret } from './crypto-service';
+
+const ROOM_ID = 'yt-dQw4w9WgXcQ-0a1b2c3d';
+
+// Set up members of an encrypted room that have all verified each other
+async function createMembers(peerIds) {
+  const secret = generateRoomSecret();
+  const members = {};
+  
+  for (const peerId of peerIds) {
+    members[peerId] = new RoomEncryption(ROOM_ID, peerId, secret);
+    await members[peerId].init();
+  }
+  
+  for (const member of Object.values(members)) {
+    for (const other of Object.values(members)) {
+      if (other !== member) {
+        expect(await member.handleHello(await other.createHello())).toBe(true);
+      }
+    }
+  }
+  
+  return members;
+}
+
+// The key update a member sends to one recipient
+async function rotateFor(member, toPeerId) {
+  const updates = await member.rotate();
+  return updates.find(update => update.to === toPeerId);
+}
+
+describe('RoomEncryption key updates', () => {
+  test('the member with the lowest peer ID leads', async () => {
+    const members = await createMembers(['peer-b', 'peer-a', 'peer-c']);
+    
+    expect(members['peer-a'].isLeader()).toBe(true);
+    expect(members['peer-b'].isLeader()).toBe(false);
+    expect(members['peer-c'].getLeader()).toBe('peer-a');
+  });
+  
+  test('members accept a new room key from the leader', async () => {
+    const members = await createMembers(['peer-a', 'peer-b']);
+    const update = await rotateFor(members['peer-a'], 'peer-b');
+    
+    expect(await members['peer-b'].handleKeyUpdate('peer-a', update)).toBe(true);
+    expect(members['peer-b'].currentKeyId).toBe(update.keyId);
+    
+    const envelope = await members['peer-a'].encrypt({ text: 'hi' });
+    expect(await members['peer-b'].decrypt(envelope)).toEqual({ text: 'hi' });
+  });
+  
+  test('key updates from other members are ignored', async () => {
+    const members = await createMembers(['peer-a', 'peer-b', 'peer-c']);
+    const previousKeyId = members['peer-b'].currentKeyId;
+    
+    const update = await rotateFor(members['peer-c'], 'peer-b');
+    
+    expect(await members['peer-b'].handleKeyUpdate('peer-c', update)).toBe(false);
+    expect(members['peer-b'].currentKeyId).toBe(previousKeyId);
+  });
+  
+  test('the leader ignores key updates from anyone else', async () => {
+    const members = await createMembers(['peer-a', 'peer-b']);
+    const previousKeyId = members['peer-a'].currentKeyId;
+    
+    const update = await rotateFor(members['peer-b'], 'peer-a');
+    
+    expect(await members['peer-a'].handleKeyUpdate('peer-b', update)).toBe(false);
+    expect(members['peer-a'].currentKeyId).toBe(previousKeyId);
+  });
+  
+  test('the next lowest member leads once the leader left', async () => {
+    const members = await createMembers(['peer-a', 'peer-b', 'peer-c']);
+    members['peer-c'].removePeer('peer-a');
+    
+    const update = await rotateFor(members['peer-b'], 'peer-c');
+    
+    expect(await members['peer-c'].handleKeyUpdate('peer-b', update)).toBe(true);
+    expect(members['peer-c'].currentKeyId).toBe(update.keyId);
+  });
+});
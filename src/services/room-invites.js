@@ -0,0 +1,194 @@
+// Room Invites for YouTube P2P Chat Extension
+// Expiring and single-use invite links to encrypted rooms.
+//
+//   newcomer -> member    { type: 'invite-request', inviteId, peerId, proof }
+//   creator  -> newcomer  { type: 'invite-grant', to, inviteId, iv, ciphertext }
+//   creator  -> newcomer  { type: 'invite-denied', to, inviteId, reason, proof }
+//
+// These links carry an invite token (invite ID and invite key) instead of the
+// room secret. The newcomer joins the room without the secret and asks every
+// member it reaches for it, proving it has the link with an HMAC of its peer
+// ID. Only the member who created the invite has it stored: it checks expiry
+// and earlier use, then answers with the room secret encrypted with a key
+// derived from the invite key. Such invites only work while their creator is
+// in the room, and the newcomer sends nothing else until the secret arrives,
+// even once its invite was refused.
+
+import { getInvite, useInvite } from './storage-service';
+import { deriveRoomKeys, encryptPayload, decryptPayload, signProof, verifyProof } from './crypto-service';
+
+export const INVITE_MESSAGE_TYPES = {
+  REQUEST: 'invite-request',
+  GRANT: 'invite-grant',
+  DENIED: 'invite-denied'
+};
+
+// Newcomers are told when nobody granted their invite within this time, they keep asking new members
+const REDEEM_TIMEOUT = 30000;
+
+// Why the creator of an invite refused it, as shown to the newcomer
+const DENIAL_REASONS = {
+  expired: 'This invite link has expired',
+  used: 'This invite link was already used'
+};
+
+// Split an invite token from a link into { inviteId, inviteKey }, null if malformed
+export function parseInviteToken(token) {
+  const [inviteId, inviteKey] = String(token || '').split('.');
+  return inviteId && inviteKey ? { inviteId, inviteKey } : null;
+}
+
+// Build the token of an invite link
+export function buildInviteToken({ inviteId, inviteKey }) {
+  return `${inviteId}.${inviteKey}`;
+}
+
+// Keys derived from an invite key: encryptionKey wraps the room secret, authKey proves the link
+function deriveInviteKeys(invite, roomId) {
+  return deriveRoomKeys(invite.inviteKey, `${roomId}|${invite.inviteId}`);
+}
+
+export class RoomInvites {
+  // service: the P2PService whose room the invites are for
+  constructor(service, roomId) {
+    this.service = service;
+    this.roomId = roomId;
+    this.pending = null;        // { inviteId, inviteKey } we're redeeming, null once done
+    this.keys = null;           // Keys derived from the pending invite
+    this.denied = false;        // The creator refused the pending invite, we stop asking
+    this.timeoutTimer = null;
+    this.closed = false;
+  }
+  
+  // Start redeeming an invite token, the room secret arrives through service.acceptRoomSecret
+  async redeem(token) {
+    const invite = parseInviteToken(token);
+    if (!invite) {
+      throw new Error('Invalid invite link');
+    }
+    
+    this.keys = await deriveInviteKeys(invite, this.roomId);
+    this.pending = invite;
+    this.timeoutTimer = setTimeout(() => {
+      if (this.pending && !this.denied && !this.closed) {
+        this.service.notifyRoomSecret({ error: 'Waiting for the member who created this invite to come online' });
+      }
+    }, REDEEM_TIMEOUT);
+  }
+  
+  // Whether we joined with an invite and don't have the room secret yet
+  isRedeeming() {
+    return Boolean(this.pending);
+  }
+  
+  // Data a newcomer signs to prove it has the invite link
+  getProofData(peerId) {
+    return `${this.roomId}|${peerId}`;
+  }
+  
+  // Ask one peer, or the whole room over the relay, for the room secret
+  async request(remotePeerId) {
+    if (this.closed || !this.pending || this.denied) return;
+    
+    const { peerId } = this.service;
+    const request = {
+      type: INVITE_MESSAGE_TYPES.REQUEST,
+      inviteId: this.pending.inviteId,
+      peerId,
+      proof: await signProof(this.keys.authKey, this.getProofData(peerId))
+    };
+    
+    if (remotePeerId) {
+      this.service.sendToPeer(remotePeerId, request);
+    } else {
+      this.service.broadcast(request);
+    }
+  }
+  
+  // Answer a request for one of our invites, requests for other members' invites are ignored
+  async handleRequest(remotePeerId, request) {
+    const { encryption } = this.service;
+    if (this.closed || !encryption || request.peerId !== remotePeerId) return;
+    
+    const invite = await getInvite(request.inviteId);
+    if (!invite || invite.roomId !== this.roomId) return;
+    
+    const keys = await deriveInviteKeys(invite, this.roomId);
+    if (!await verifyProof(keys.authKey, this.getProofData(remotePeerId), request.proof)) {
+      console.warn('Peer failed to prove it has the invite link:', remotePeerId);
+      return;
+    }
+    
+    let reason = null;
+    if (invite.expiresAt && invite.expiresAt < Date.now()) {
+      reason = 'expired';
+    } else if (!await useInvite(invite.inviteId, remotePeerId)) {
+      reason = 'used';
+    }
+    
+    if (reason) {
+      console.log(`Refusing invite ${invite.inviteId} (${reason}) for peer:`, remotePeerId);
+      this.service.sendToPeer(remotePeerId, {
+        type: INVITE_MESSAGE_TYPES.DENIED,
+        to: remotePeerId,
+        inviteId: invite.inviteId,
+        reason,
+        proof: await signProof(keys.authKey, `${this.getProofData(remotePeerId)}|${reason}`)
+      });
+      return;
+    }
+    
+    console.log('Granting invite to peer:', remotePeerId);
+    this.service.sendToPeer(remotePeerId, {
+      type: INVITE_MESSAGE_TYPES.GRANT,
+      to: remotePeerId,
+      inviteId: invite.inviteId,
+      ...await encryptPayload(keys.encryptionKey, { secret: encryption.secret })
+    });
+  }
+  
+  // Take the room secret from the creator's answer to our request
+  async handleGrant(remotePeerId, grant) {
+    if (this.closed || !this.pending || this.denied || grant.inviteId !== this.pending.inviteId) return;
+    
+    let secret;
+    try {
+      ({ secret } = await decryptPayload(this.keys.encryptionKey, grant));
+    } catch (error) {
+      console.warn('Dropping invite grant that failed to decrypt from peer:', remotePeerId);
+      return;
+    }
+    if (typeof secret !== 'string' || !secret) return;
+    
+    this.finish();
+    await this.service.acceptRoomSecret(secret);
+  }
+  
+  // Give up on an invite its creator refused, only the creator can prove the refusal
+  async handleDenied(remotePeerId, denial) {
+    if (this.closed || !this.pending || this.denied || denial.inviteId !== this.pending.inviteId) return;
+    
+    const proofData = `${this.getProofData(this.service.peerId)}|${denial.reason}`;
+    if (!DENIAL_REASONS[denial.reason] || !await verifyProof(this.keys.authKey, proofData, denial.proof)) {
+      console.warn('Ignoring unproven invite refusal from peer:', remotePeerId);
+      return;
+    }
+    
+    this.denied = true;
+    clearTimeout(this.timeoutTimer);
+    this.service.notifyRoomSecret({ error: DENIAL_REASONS[denial.reason] });
+  }
+  
+  // Stop waiting for the room secret once we have it
+  finish() {
+    clearTimeout(this.timeoutTimer);
+    this.pending = null;
+    this.keys = null;
+  }
+  
+  // Stop answering and redeeming invites, e.g. when leaving the room
+  stop() {
+    this.closed = true;
+    this.finish();
+  }
+}
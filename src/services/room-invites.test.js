@@ -0,0 +1,89 @@
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+
+const { RoomInvites, buildInviteToken } = await import('./room-invites');
+const { db, saveInvite } = await import('./storage-service');
+const { generateRoomSecret, generateKeyId } = await import('./crypto-service');
+
+const ROOM_ID = 'yt-dQw4w9WgXcQ-0a1b2c3d';
+const ROOM_SECRET = 'room-secret';
+
+describe('RoomInvites', () => {
+  let creatorService;
+  let creator;
+  let invitesInUse;
+  
+  // Create an invite to the room like the background does
+  async function createInvite(fields = {}) {
+    const invite = { inviteId: generateKeyId(), inviteKey: generateRoomSecret(), roomId: ROOM_ID, ...fields };
+    await saveInvite(invite);
+    return buildInviteToken(invite);
+  }
+  
+  // Redeem an invite as a newcomer, resolves the newcomer's service once the creator answered
+  async function redeem(peerId, token) {
+    const service = {
+      peerId,
+      sendToPeer: jest.fn(),
+      broadcast: jest.fn(),
+      notifyRoomSecret: jest.fn(),
+      acceptRoomSecret: jest.fn(async () => {})
+    };
+    const newcomer = new RoomInvites(service, ROOM_ID);
+    invitesInUse.push(newcomer);
+    
+    await newcomer.redeem(token);
+    await newcomer.request('peer-creator');
+    const [, request] = service.sendToPeer.mock.calls[0];
+    
+    creatorService.sendToPeer.mockClear();
+    await creator.handleRequest(peerId, request);
+    const [, answer] = creatorService.sendToPeer.mock.calls[0];
+    
+    if (answer.type === 'invite-grant') {
+      await newcomer.handleGrant('peer-creator', answer);
+    } else {
+      await newcomer.handleDenied('peer-creator', answer);
+    }
+    return service;
+  }
+  
+  beforeEach(async () => {
+    await db.invites.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    creatorService = { peerId: 'peer-creator', encryption: { secret: ROOM_SECRET }, sendToPeer: jest.fn() };
+    creator = new RoomInvites(creatorService, ROOM_ID);
+    invitesInUse = [creator];
+  });
+  
+  afterEach(() => {
+    invitesInUse.forEach(invites => invites.stop());
+    console.log.mockRestore();
+  });
+  
+  test('grants the room secret to a newcomer with the link', async () => {
+    const newcomer = await redeem('peer-b', await createInvite());
+    
+    expect(newcomer.acceptRoomSecret).toHaveBeenCalledWith(ROOM_SECRET);
+    expect(newcomer.notifyRoomSecret).not.toHaveBeenCalled();
+  });
+  
+  test('a single-use invite can\'t be redeemed a second time, not even by the same peer', async () => {
+    const token = await createInvite({ singleUse: true });
+    expect((await redeem('peer-b', token)).acceptRoomSecret).toHaveBeenCalledWith(ROOM_SECRET);
+    
+    for (const peerId of ['peer-b', 'peer-c']) {
+      const newcomer = await redeem(peerId, token);
+      
+      expect(newcomer.acceptRoomSecret).not.toHaveBeenCalled();
+      expect(newcomer.notifyRoomSecret).toHaveBeenCalledWith({ error: 'This invite link was already used' });
+    }
+  });
+  
+  test('an expired invite is refused', async () => {
+    const newcomer = await redeem('peer-b', await createInvite({ expiresAt: Date.now() - 1000 }));
+    
+    expect(newcomer.acceptRoomSecret).not.toHaveBeenCalled();
+    expect(newcomer.notifyRoomSecret).toHaveBeenCalledWith({ error: 'This invite link has expired' });
+  });
+});
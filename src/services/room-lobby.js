@@ -0,0 +1,259 @@
+// Room Lobby for YouTube P2P Chat Extension
+// Peer discovery for WebRTC rooms without a dedicated signaling server.
+//
+// Every room has a well-known "lobby" peer ID derived from the room ID.
+// The first member to register that ID on the PeerJS server hosts the
+// lobby; everyone (including the host's own main peer) connects to it:
+//
+//   member -> lobby   { type: 'room-join', roomId, peerId }
+//   lobby  -> member  { type: 'room-members', roomId, members: [peerId] }
+//   lobby  -> others  { type: 'room-peer-joined', roomId, peerId }
+//   lobby  -> others  { type: 'room-peer-left', roomId, peerId }
+//   member -> lobby   { type: 'room-leave', roomId, peerId }
+//
+// The host knows members by the peer ID of their lobby connection, which
+// the PeerJS server vouches for, the peerId a member sends is not trusted.
+//
+// A new member dials every peer in the member list and existing members
+// accept the incoming connection. When the host leaves, the remaining
+// members race to claim the lobby ID again and re-announce themselves.
+
+export const LOBBY_MESSAGE_TYPES = {
+  JOIN: 'room-join',
+  MEMBERS: 'room-members',
+  PEER_JOINED: 'room-peer-joined',
+  PEER_LEFT: 'room-peer-left',
+  LEAVE: 'room-leave'
+};
+
+const LOBBY_CONNECT_TIMEOUT = 10000;
+const LOBBY_RECLAIM_JITTER = 2000;
+
+// Derive the PeerJS ID of a room's lobby
+// PeerJS IDs only allow alphanumerics separated by single dashes, so hash the room ID
+export async function getLobbyPeerId(roomId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(roomId));
+  const hex = Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return `ytp2p-lobby-${hex.substring(0, 24)}`;
+}
+
+export class RoomLobby {
+  // service: the P2PService that owns the main peer and the chat connections
+  constructor(service, roomId) {
+    this.service = service;
+    this.roomId = roomId;
+    this.lobbyPeerId = null;
+    this.lobbyPeer = null;      // Set while this client hosts the lobby
+    this.lobbyMembers = {};     // Host only: peerId -> DataConnection
+    this.lobbyConnection = null;
+    this.members = new Set();
+    this.retryTimer = null;
+    this.closed = false;
+  }
+
+  // Claim or connect to the room lobby and announce ourselves
+  async join() {
+    if (this.closed) return;
+
+    this.lobbyPeerId = this.lobbyPeerId || await getLobbyPeerId(this.roomId);
+
+    const isHost = await this.claimLobby();
+    console.log(isHost ? 'Hosting lobby for room:' : 'Joining lobby for room:', this.roomId);
+
+    this.connectToLobby();
+  }
+
+  // Try to register the lobby peer ID, resolves true if this client became host
+  claimLobby() {
+    if (this.lobbyPeer && !this.lobbyPeer.destroyed) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const lobbyPeer = this.service.createPeer(this.lobbyPeerId);
+
+      lobbyPeer.on('open', () => {
+        if (this.closed) {
+          lobbyPeer.destroy();
+          resolve(false);
+          return;
+        }
+        this.lobbyPeer = lobbyPeer;
+        lobbyPeer.on('connection', (conn) => this.handleLobbyConnection(conn));
+        resolve(true);
+      });
+
+      lobbyPeer.on('error', (error) => {
+        if (this.lobbyPeer !== lobbyPeer) {
+          // 'unavailable-id' means another member already hosts the lobby
+          if (error.type !== 'unavailable-id') {
+            console.error('Failed to claim lobby:', error);
+          }
+          lobbyPeer.destroy();
+          resolve(false);
+        } else {
+          console.error('Lobby error:', error);
+        }
+      });
+    });
+  }
+
+  // Host side: track a member connection to the lobby
+  // Members are known by the peer ID the signaling server vouches for, not the one they claim
+  handleLobbyConnection(conn) {
+    const peerId = conn.peer;
+
+    conn.on('data', (data) => {
+      if (!data || data.roomId !== this.roomId) return;
+
+      if (data.type === LOBBY_MESSAGE_TYPES.JOIN) {
+        const existingMembers = Object.keys(this.lobbyMembers).filter(id => id !== peerId);
+        this.lobbyMembers[peerId] = conn;
+
+        conn.send({
+          type: LOBBY_MESSAGE_TYPES.MEMBERS,
+          roomId: this.roomId,
+          members: existingMembers
+        });
+
+        this.broadcastToMembers({
+          type: LOBBY_MESSAGE_TYPES.PEER_JOINED,
+          roomId: this.roomId,
+          peerId
+        }, peerId);
+      }
+
+      if (data.type === LOBBY_MESSAGE_TYPES.LEAVE) {
+        this.removeLobbyMember(peerId, conn);
+      }
+    });
+
+    const onGone = () => this.removeLobbyMember(peerId, conn);
+
+    conn.on('close', onGone);
+    conn.on('error', onGone);
+  }
+
+  // Host side: forget a member and tell everyone else
+  // Only the member's current connection removes it, not an older one closing late
+  removeLobbyMember(peerId, conn) {
+    if (this.lobbyMembers[peerId] !== conn) return;
+
+    delete this.lobbyMembers[peerId];
+    this.broadcastToMembers({
+      type: LOBBY_MESSAGE_TYPES.PEER_LEFT,
+      roomId: this.roomId,
+      peerId
+    });
+  }
+
+  // Host side: send a lobby message to every member except one
+  broadcastToMembers(message, exceptPeerId) {
+    Object.entries(this.lobbyMembers).forEach(([peerId, conn]) => {
+      if (peerId !== exceptPeerId && conn.open) {
+        conn.send(message);
+      }
+    });
+  }
+
+  // Member side: connect the main peer to the lobby and announce ourselves
+  connectToLobby() {
+    if (this.closed) return;
+
+    const conn = this.service.peer.connect(this.lobbyPeerId, {
+      reliable: true,
+      metadata: { roomId: this.roomId, lobby: true }
+    });
+    this.lobbyConnection = conn;
+
+    // If the lobby never answers, the host may have just left: try again
+    this.scheduleRetry(LOBBY_CONNECT_TIMEOUT);
+
+    conn.on('open', () => {
+      clearTimeout(this.retryTimer);
+      conn.send({
+        type: LOBBY_MESSAGE_TYPES.JOIN,
+        roomId: this.roomId,
+        peerId: this.service.peerId
+      });
+    });
+
+    conn.on('data', (data) => this.handleLobbyMessage(data));
+
+    conn.on('close', () => {
+      if (this.lobbyConnection === conn) {
+        console.log('Lost connection to lobby for room:', this.roomId);
+        this.scheduleRetry(Math.random() * LOBBY_RECLAIM_JITTER);
+      }
+    });
+
+    conn.on('error', (error) => {
+      console.error('Lobby connection error:', error);
+    });
+  }
+
+  // Member side: react to lobby messages
+  handleLobbyMessage(data) {
+    if (!data || data.roomId !== this.roomId) return;
+
+    switch (data.type) {
+      case LOBBY_MESSAGE_TYPES.MEMBERS:
+        this.members = new Set(data.members);
+        data.members.forEach(peerId => this.service.connectToPeer(peerId));
+        break;
+
+      case LOBBY_MESSAGE_TYPES.PEER_JOINED:
+        // The new member dials us, we only need to remember it
+        this.members.add(data.peerId);
+        break;
+
+      case LOBBY_MESSAGE_TYPES.PEER_LEFT:
+        this.members.delete(data.peerId);
+        this.service.disconnectFromPeer(data.peerId);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // Re-run the join handshake after a delay
+  scheduleRetry(delay) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      const conn = this.lobbyConnection;
+      this.lobbyConnection = null;
+      if (conn) conn.close();
+      this.join().catch(error => console.error('Failed to rejoin lobby:', error));
+    }, delay);
+  }
+
+  // Leave the room: tell the lobby and give up hosting
+  leave() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+
+    const conn = this.lobbyConnection;
+    this.lobbyConnection = null;
+    if (conn) {
+      if (conn.open) {
+        conn.send({
+          type: LOBBY_MESSAGE_TYPES.LEAVE,
+          roomId: this.roomId,
+          peerId: this.service.peerId
+        });
+      }
+      conn.close();
+    }
+
+    if (this.lobbyPeer) {
+      this.lobbyPeer.destroy();
+      this.lobbyPeer = null;
+    }
+
+    this.lobbyMembers = {};
+    this.members.clear();
+  }
+}
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import { RoomLobby, getLobbyPeerId } from './room-lobby';
+import { MockNetwork, waitFor } from '../test-utils/mock-peer';
+
+const ROOM_ID = 'yt-dQw4w9WgXcQ';
+
+// A stand-in for the P2PService owning the main peer
+function createService(network, peerId) {
+  return {
+    peerId,
+    peer: network.createPeer(peerId),
+    createPeer: id => network.createPeer(id),
+    connectToPeer: jest.fn(),
+    disconnectFromPeer: jest.fn()
+  };
+}
+
+describe('RoomLobby', () => {
+  let network;
+  let lobbies;
+  
+  // Join the room as a new member
+  async function joinLobby(peerId) {
+    const service = createService(network, peerId);
+    const lobby = new RoomLobby(service, ROOM_ID);
+    lobbies.push(lobby);
+    await lobby.join();
+    return { service, lobby };
+  }
+  
+  beforeEach(() => {
+    network = new MockNetwork();
+    lobbies = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    lobbies.forEach(lobby => lobby.leave());
+    jest.restoreAllMocks();
+  });
+  
+  test('derives a valid PeerJS ID from the room ID', async () => {
+    const lobbyPeerId = await getLobbyPeerId(ROOM_ID);
+    
+    expect(lobbyPeerId).toMatch(/^ytp2p-lobby-[0-9a-f]{24}$/);
+    expect(await getLobbyPeerId(ROOM_ID)).toBe(lobbyPeerId);
+    expect(await getLobbyPeerId('yt-dQw4w9WgXcQ-0a1b2c3d')).not.toBe(lobbyPeerId);
+  });
+  
+  test('the first member hosts the lobby and the next one dials it', async () => {
+    const host = await joinLobby('peer-a');
+    await waitFor(() => Boolean(host.lobby.lobbyMembers['peer-a']));
+    
+    expect(host.lobby.lobbyPeer).not.toBeNull();
+    expect(host.lobby.members.size).toBe(0);
+    
+    const member = await joinLobby('peer-b');
+    await waitFor(() => member.service.connectToPeer.mock.calls.length > 0);
+    
+    // The lobby ID is taken, so the second member only connects to it
+    expect(member.lobby.lobbyPeer).toBeNull();
+    expect(member.service.connectToPeer).toHaveBeenCalledWith('peer-a');
+    expect([...member.lobby.members]).toEqual(['peer-a']);
+    
+    // Existing members wait for the newcomer to dial them
+    await waitFor(() => host.lobby.members.has('peer-b'));
+    expect(host.service.connectToPeer).not.toHaveBeenCalled();
+    expect(Object.keys(host.lobby.lobbyMembers).sort()).toEqual(['peer-a', 'peer-b']);
+  });
+  
+  test('members that leave are dropped by everyone else', async () => {
+    const host = await joinLobby('peer-a');
+    const member = await joinLobby('peer-b');
+    const other = await joinLobby('peer-c');
+    await waitFor(() => host.lobby.members.size === 2 && member.lobby.members.size === 2);
+    
+    other.lobby.leave();
+    await waitFor(() => !host.lobby.members.has('peer-c') && !member.lobby.members.has('peer-c'));
+    
+    expect(host.service.disconnectFromPeer).toHaveBeenCalledWith('peer-c');
+    expect(member.service.disconnectFromPeer).toHaveBeenCalledWith('peer-c');
+    expect(host.lobby.lobbyMembers['peer-c']).toBeUndefined();
+  });
+  
+  test('a member that disappears without leaving is dropped too', async () => {
+    const host = await joinLobby('peer-a');
+    const member = await joinLobby('peer-b');
+    await waitFor(() => host.lobby.members.has('peer-b'));
+    
+    member.service.peer.destroy();
+    await waitFor(() => !host.lobby.members.has('peer-b'));
+    
+    expect(host.service.disconnectFromPeer).toHaveBeenCalledWith('peer-b');
+  });
+  
+  test('members are listed by their connection, not the peer ID they claim', async () => {
+    const host = await joinLobby('peer-a');
+    const member = await joinLobby('peer-b');
+    await waitFor(() => host.lobby.members.has('peer-b'));
+    
+    // A member announcing someone else's peer ID, then trying to evict the host's own peer
+    const impostorPeer = network.createPeer('peer-c');
+    const conn = impostorPeer.connect(host.lobby.lobbyPeerId);
+    await waitFor(() => conn.open);
+    conn.send({ type: 'room-join', roomId: ROOM_ID, peerId: 'peer-b' });
+    await waitFor(() => member.lobby.members.has('peer-c'));
+    conn.send({ type: 'room-leave', roomId: ROOM_ID, peerId: 'peer-a' });
+    await waitFor(() => !member.lobby.members.has('peer-c'));
+    
+    expect(Object.keys(host.lobby.lobbyMembers).sort()).toEqual(['peer-a', 'peer-b']);
+    expect([...member.lobby.members]).toEqual(['peer-a']);
+    expect(member.service.disconnectFromPeer).not.toHaveBeenCalledWith('peer-b');
+    expect(member.service.disconnectFromPeer).not.toHaveBeenCalledWith('peer-a');
+    impostorPeer.destroy();
+  });
+  
+  test('the remaining members reclaim the lobby when the host leaves', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    
+    const host = await joinLobby('peer-a');
+    const member = await joinLobby('peer-b');
+    await waitFor(() => member.lobby.members.has('peer-a'));
+    
+    host.lobby.leave();
+    host.service.peer.destroy();
+    await waitFor(() => Boolean(member.lobby.lobbyPeer));
+    
+    // The new host announces itself to its own lobby, so newcomers still find the room
+    const newcomer = await joinLobby('peer-c');
+    await waitFor(() => newcomer.service.connectToPeer.mock.calls.length > 0);
+    
+    expect(newcomer.service.connectToPeer).toHaveBeenCalledWith('peer-b');
+    expect(newcomer.service.connectToPeer).not.toHaveBeenCalledWith('peer-a');
+  });
+});
@@ -0,0 +1,227 @@
+// Room Presence for YouTube P2P Chat Extension
+// Tracks who is in the room and who is typing.
+//
+//   member -> room    { type: 'presence', userId, nickname, idle, timestamp }
+//   member -> room    { type: 'typing', userId, nickname, typing, timestamp }
+//
+// Every member broadcasts a presence heartbeat every PRESENCE_INTERVAL and
+// answers the first heartbeat of a new member directly, so both sides see
+// each other right away. Members that stop sending heartbeats or whose
+// connection closes are dropped. Both events are signed like chat messages,
+// so nobody can appear under someone else's user ID.
+
+import { signMessage, verifyMessage, checkSenderKey } from './identity-service';
+
+export const PRESENCE_MESSAGE_TYPES = {
+  PRESENCE: 'presence',
+  TYPING: 'typing'
+};
+
+const PRESENCE_INTERVAL = 15000;
+// Members without a heartbeat for this long have left
+const PRESENCE_TIMEOUT = 45000;
+// We count as idle after this long without sending or typing
+const IDLE_AFTER = 120000;
+// A typing indicator disappears unless it's renewed
+const TYPING_TIMEOUT = 5000;
+// Events older than this are replays and ignored
+const MAX_EVENT_AGE = 60000;
+
+export class RoomPresence {
+  // service: the P2PService whose room is tracked
+  constructor(service, roomId) {
+    this.service = service;
+    this.roomId = roomId;
+    this.members = new Map();   // peerId -> { peerId, userId, nickname, fingerprint, verified, idle, typing, lastSeen }
+    this.typingTimers = {};     // peerId -> timer clearing the typing flag
+    this.lastActivity = Date.now();
+    this.heartbeatTimer = null;
+    this.closed = false;
+  }
+  
+  // Start sending heartbeats
+  start() {
+    this.heartbeatTimer = setInterval(() => {
+      this.pruneMembers();
+      this.announce();
+    }, PRESENCE_INTERVAL);
+  }
+  
+  // Members of the room, ourselves first
+  getMembers() {
+    const { identity, nickname, peerId } = this.service;
+    
+    return [
+      {
+        peerId,
+        userId: identity ? identity.userId : null,
+        nickname: nickname || 'Anonymous',
+        idle: this.isIdle(),
+        typing: false,
+        self: true
+      },
+      ...Array.from(this.members.values())
+    ];
+  }
+  
+  // Tell the service about the new member list
+  notify() {
+    if (!this.closed) {
+      this.service.notifyPresence(this.getMembers());
+    }
+  }
+  
+  // Whether we haven't sent or typed anything for a while
+  isIdle() {
+    return Date.now() - this.lastActivity > IDLE_AFTER;
+  }
+  
+  // We sent or typed something
+  markActive() {
+    const wasIdle = this.isIdle();
+    this.lastActivity = Date.now();
+    
+    if (wasIdle) {
+      this.announce();
+    }
+  }
+  
+  // Sign a presence or typing event with our identity
+  async createEvent(type, fields) {
+    const { identity, nickname } = this.service;
+    
+    return signMessage({
+      type,
+      roomId: this.roomId,
+      nickname: nickname || 'Anonymous',
+      timestamp: Date.now(),
+      ...fields
+    }, identity);
+  }
+  
+  // Send our presence to one peer, or the whole room
+  async announce(remotePeerId) {
+    if (this.closed || !this.service.identity) return;
+    
+    try {
+      const event = await this.createEvent(PRESENCE_MESSAGE_TYPES.PRESENCE, { idle: this.isIdle() });
+      
+      if (remotePeerId) {
+        await this.service.sendSecureToPeer(remotePeerId, event);
+      } else {
+        await this.service.broadcastSecure(event);
+      }
+    } catch (error) {
+      console.error('Failed to send presence:', error);
+    }
+  }
+  
+  // Tell the room we started or stopped typing
+  async sendTyping(typing) {
+    if (this.closed || !this.service.identity) return;
+    
+    if (typing) {
+      this.markActive();
+    }
+    
+    try {
+      await this.service.broadcastSecure(await this.createEvent(PRESENCE_MESSAGE_TYPES.TYPING, { typing: Boolean(typing) }));
+    } catch (error) {
+      console.error('Failed to send typing event:', error);
+    }
+  }
+  
+  // Verify an event and update the member it came from, resolves the member or null
+  async updateMember(remotePeerId, event) {
+    const { valid, fingerprint } = await verifyMessage(event);
+    if (!valid || event.roomId !== this.roomId || Math.abs(Date.now() - event.timestamp) > MAX_EVENT_AGE) {
+      return null;
+    }
+    
+    // Keeps the users table up to date, and flags a changed signing key
+    const verified = await checkSenderKey(event, fingerprint);
+    this.service.handlePeerIdentified(remotePeerId, event.userId);
+    const member = this.members.get(remotePeerId) || { peerId: remotePeerId, typing: false, idle: false };
+    
+    Object.assign(member, {
+      userId: event.userId,
+      nickname: event.nickname || 'Anonymous',
+      fingerprint,
+      verified,
+      lastSeen: Date.now()
+    });
+    this.members.set(remotePeerId, member);
+    return member;
+  }
+  
+  // Handle a presence heartbeat, answering members we didn't know yet
+  async handlePresence(remotePeerId, event) {
+    const isNewMember = !this.members.has(remotePeerId);
+    const member = await this.updateMember(remotePeerId, event);
+    if (!member) return;
+    
+    member.idle = Boolean(event.idle);
+    
+    if (isNewMember) {
+      await this.announce(remotePeerId);
+    }
+    this.notify();
+  }
+  
+  // Handle a typing event
+  async handleTyping(remotePeerId, event) {
+    const member = await this.updateMember(remotePeerId, event);
+    if (!member) return;
+    
+    member.typing = Boolean(event.typing);
+    member.idle = false;
+    
+    clearTimeout(this.typingTimers[remotePeerId]);
+    if (member.typing) {
+      this.typingTimers[remotePeerId] = setTimeout(() => {
+        member.typing = false;
+        this.notify();
+      }, TYPING_TIMEOUT);
+    }
+    this.notify();
+  }
+  
+  // A member's message arrived, so they stopped typing
+  handleMessageFrom(userId) {
+    const member = Array.from(this.members.values()).find(existing => existing.userId === userId);
+    if (member && member.typing) {
+      member.typing = false;
+      this.notify();
+    }
+  }
+  
+  // Forget a member whose connection closed
+  removePeer(remotePeerId) {
+    clearTimeout(this.typingTimers[remotePeerId]);
+    delete this.typingTimers[remotePeerId];
+    
+    if (this.members.delete(remotePeerId)) {
+      this.notify();
+    }
+  }
+  
+  // Forget members that stopped sending heartbeats
+  pruneMembers() {
+    const cutoff = Date.now() - PRESENCE_TIMEOUT;
+    
+    this.members.forEach((member, peerId) => {
+      if (member.lastSeen < cutoff) {
+        this.removePeer(peerId);
+      }
+    });
+  }
+  
+  // Stop sending heartbeats, e.g. when leaving the room
+  stop() {
+    this.closed = true;
+    clearInterval(this.heartbeatTimer);
+    Object.values(this.typingTimers).forEach(timer => clearTimeout(timer));
+    this.typingTimers = {};
+    this.members.clear();
+  }
+}
@@ -0,0 +1,161 @@
+// Settings Service for YouTube P2P Chat Extension
+// Signaling, relay and ICE server settings, stored in chrome.storage.local
+// so teams can point the extension at their own infrastructure, and the
+// flood protection limits applied to every peer.
+
+const SETTINGS_KEY = 'serverSettings';
+
+export const DEFAULT_SETTINGS = {
+  // PeerJS signaling server, the public PeerJS cloud server by default
+  peerServer: {
+    host: '0.peerjs.com',
+    port: 443,
+    path: '/',
+    secure: true
+  },
+  // Socket.IO relay used when WebRTC isn't possible, disabled when empty
+  relayUrl: '',
+  // STUN/TURN servers in RTCIceServer format: { urls, username, credential }
+  iceServers: [
+    { urls: 'stun:stun.l.google.com:19302' }
+  ],
+  // Flood protection, see the rate limiter
+  limits: {
+    messagesPerSecond: 5,     // Payloads accepted per second from one peer
+    burst: 30,                // Payloads a peer may send at once, e.g. history sync batches
+    maxMessageSize: 256,      // Largest payload in KB
+    maxTextLength: 2000,      // Longest chat message in characters
+    muteAfterViolations: 10,  // Dropped payloads before a peer is muted
+    muteMinutes: 5,
+    disconnectAfterMutes: 2   // Mutes after which the peer is disconnected as well
+  }
+};
+
+// Server settings that need a reconnect when they change
+const CONNECTION_FIELDS = ['peerServer', 'relayUrl', 'iceServers'];
+
+// Strip a protocol, path or port someone pasted into the host field
+export function normalizeHost(host) {
+  return (host || '')
+    .trim()
+    .replace(/^[a-z]+:\/\//i, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .toLowerCase();
+}
+
+// Bring settings into the stored shape, filling in defaults for missing fields
+export function normalizeSettings(settings = {}) {
+  const peerServer = { ...DEFAULT_SETTINGS.peerServer, ...settings.peerServer };
+  const secure = peerServer.secure !== false;
+  const port = parseInt(peerServer.port, 10);
+  const path = (peerServer.path || '/').trim();
+  
+  return {
+    peerServer: {
+      host: normalizeHost(peerServer.host),
+      port: port > 0 && port < 65536 ? port : (secure ? 443 : 80),
+      path: path.startsWith('/') ? path : `/${path}`,
+      secure
+    },
+    relayUrl: (settings.relayUrl || '').trim(),
+    iceServers: (settings.iceServers || DEFAULT_SETTINGS.iceServers)
+      .map(server => ({
+        urls: (Array.isArray(server.urls) ? server.urls : String(server.urls || '').split(','))
+          .map(url => url.trim())
+          .filter(Boolean),
+        username: (server.username || '').trim() || undefined,
+        credential: server.credential || undefined
+      }))
+      .filter(server => server.urls.length > 0),
+    limits: normalizeLimits(settings.limits)
+  };
+}
+
+// Fill in missing or unreadable limits with their defaults, fractions are rounded down
+export function normalizeLimits(limits) {
+  return Object.keys(DEFAULT_SETTINGS.limits).reduce((result, field) => {
+    const value = Math.floor(Number((limits || {})[field]));
+    result[field] = Number.isFinite(value) ? value : DEFAULT_SETTINGS.limits[field];
+    return result;
+  }, {});
+}
+
+// Whether two normalized settings need different connections, rather than just different limits
+export function isConnectionChanged(settings, previousSettings) {
+  return CONNECTION_FIELDS.some(field => JSON.stringify(settings[field]) !== JSON.stringify(previousSettings[field]));
+}
+
+// Check normalized settings, returns a list of problems (empty when valid)
+export function validateSettings(settings) {
+  const errors = [];
+  
+  if (!settings.peerServer.host) {
+    errors.push('PeerJS host is required');
+  }
+  
+  if (settings.relayUrl && !/^(https?|wss?):\/\/[^/]+/i.test(settings.relayUrl)) {
+    errors.push('Relay URL must start with http://, https://, ws:// or wss://');
+  }
+  
+  settings.iceServers.forEach((server) => {
+    server.urls.forEach((url) => {
+      if (!/^(stun|stuns|turn|turns):/i.test(url)) {
+        errors.push(`ICE server URL must start with stun:, stuns:, turn: or turns: (${url})`);
+      }
+      
+      if (/^turns?:/i.test(url) && (!server.username || !server.credential)) {
+        errors.push(`TURN server needs a username and credential (${url})`);
+      }
+    });
+  });
+  
+  Object.entries(settings.limits).forEach(([field, value]) => {
+    if (value < 1) {
+      errors.push(`Flood protection limits must be at least 1 (${field})`);
+    }
+  });
+  
+  if (settings.limits.burst < settings.limits.messagesPerSecond) {
+    errors.push('Burst must be at least the messages per second');
+  }
+  
+  return errors;
+}
+
+// Get the current settings
+export async function getSettings() {
+  try {
+    const storedData = await chrome.storage.local.get([SETTINGS_KEY]);
+    return normalizeSettings(storedData[SETTINGS_KEY] || DEFAULT_SETTINGS);
+  } catch (error) {
+    console.error('Failed to get settings:', error);
+    return normalizeSettings(DEFAULT_SETTINGS);
+  }
+}
+
+// Validate and save settings
+export async function saveSettings(settings) {
+  try {
+    const normalizedSettings = normalizeSettings(settings);
+    const errors = validateSettings(normalizedSettings);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+    
+    await chrome.storage.local.set({ [SETTINGS_KEY]: normalizedSettings });
+    return { success: true, settings: normalizedSettings };
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    return { success: false, errors: [error.message] };
+  }
+}
+
+// Call back with the new settings whenever they are saved
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SETTINGS_KEY]) {
+      callback(normalizeSettings(changes[SETTINGS_KEY].newValue || DEFAULT_SETTINGS));
+    }
+  });
+}
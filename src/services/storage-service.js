@@ -4,6 +4,9 @@
 import Dexie from 'dexie';
 import Fuse from 'fuse.js';
 import DOMPurify from 'dompurify';
+import { parseRoomId, getRoomDisplayName, DEFAULT_ROOM_MODE } from '../utils/room-utils';
+import { parseTimestamps } from '../utils/video-timestamps';
+import { compareMessages, isNewerReaction } from '../utils/message-utils';
 
 // Initialize Dexie database
 const db = new Dexie('YouTubeP2PChat');
@@ -12,10 +15,59 @@ db.version(1).stores({
   rooms: 'id, name, createdAt',
   users: 'id, nickname, lastSeen'
 });
+db.version(2).stores({
+  rooms: 'id, name, videoId, mode, createdAt, lastActive'
+});
+db.version(3).stores({
+  messages: '++id, roomId, userId, timestamp, videoTime, [roomId+videoTime]'
+});
+db.version(4).stores({
+  users: 'id, nickname, lastSeen, fingerprint'
+});
+db.version(5).stores({
+  messages: '++id, &messageId, roomId, userId, timestamp, videoTime, [roomId+videoTime], [roomId+clock]'
+}).upgrade(tx => {
+  // Messages from before Lamport clocks sort before everything else
+  return tx.table('messages').toCollection().modify(message => {
+    message.clock = message.clock || 0;
+  });
+});
+db.version(6).stores({
+  outbox: '++id, &messageId, roomId, nextAttempt'
+});
+db.version(7).stores({
+  messages: '++id, &messageId, roomId, userId, timestamp, videoTime, replyTo, [roomId+videoTime], [roomId+clock]'
+});
+db.version(8).stores({
+  // Latest state of each user's reaction with each emoji on each message
+  reactions: '[messageId+userId+emoji], messageId, [roomId+clock]'
+});
+db.version(9).stores({
+  // Signed edits and deletions of messages, applied to the message they change
+  revisions: '&revisionId, messageId, [roomId+clock]'
+});
+db.version(10).stores({
+  // Expiring and single-use invite links we created, with the key their links carry
+  invites: '&inviteId, roomId'
+});
+
+// Drop the fields that are added to a received message locally
+function getSignedFields(message) {
+  const { id, verified, fingerprint, status, from, to, timestamps, ...signedMessage } = message;
+  return signedMessage;
+}
 
 // Save message to local storage
+// Resolves { success, id, duplicate }, a message ID that is already stored is not saved twice
 export async function saveMessage(messageData) {
   try {
+    if (messageData.messageId) {
+      const existingMessage = await db.messages.get({ messageId: messageData.messageId });
+      if (existingMessage) {
+        return { success: true, id: existingMessage.id, duplicate: true };
+      }
+    }
+    
     // Sanitize message text
     const sanitizedMessage = {
       ...messageData,
@@ -24,50 +76,418 @@ export async function saveMessage(messageData) {
     
     // Add to database
     const id = await db.messages.add({
+      messageId: messageData.messageId,
+      // Room message type, missing on messages from before types were introduced
+      type: messageData.type || null,
+      // Lamport clock of the sender, used to order messages
+      clock: messageData.clock || 0,
       roomId: messageData.roomId,
       userId: messageData.userId,
       nickname: messageData.nickname || 'Anonymous',
       text: sanitizedMessage.text,
-      timestamp: messageData.timestamp || Date.now()
+      // Text as signed by the sender, kept only when sanitizing changed it
+      originalText: sanitizedMessage.text !== messageData.text ? messageData.text : null,
+      timestamp: messageData.timestamp || Date.now(),
+      // Playback position of the video when the message was sent, in seconds
+      videoTime: typeof messageData.videoTime === 'number' ? messageData.videoTime : null,
+      // Video timestamps mentioned in the text, always derived locally
+      timestamps: parseTimestamps(sanitizedMessage.text),
+      // Message ID of the message this one replies to
+      replyTo: typeof messageData.replyTo === 'string' ? messageData.replyTo : null,
+      // Sender's signing key and signature, and whether the key matched the one seen before
+      publicKey: messageData.publicKey || null,
+      signature: messageData.signature || null,
+      // The message exactly as its sender signed it, passed on during history sync
+      signedMessage: messageData.signature ? getSignedFields(messageData) : null,
+      fingerprint: messageData.fingerprint || null,
+      verified: messageData.verified !== false,
+      // Delivery state, only set for our own messages
+      status: messageData.status || null
     });
     
-    return { success: true, id };
+    return { success: true, id, duplicate: false };
   } catch (error) {
+    // Another copy of the same message was saved in the meantime
+    if (error.name === 'ConstraintError') {
+      return { success: true, duplicate: true };
+    }
+    
     console.error('Failed to save message:', error);
     return { success: false, error: error.message };
   }
 }
 
+// Get a single message by its message ID, e.g. the original of a reply
+export async function getMessage(messageId) {
+  try {
+    return await db.messages.get({ messageId });
+  } catch (error) {
+    console.error('Failed to get message:', error);
+    return null;
+  }
+}
+
+// Apply the latest edit or a deletion to a stored message
+// changes: { text, editedAt } or { deleted: true }, resolves the updated message or null
+export async function reviseMessage(messageId, changes) {
+  try {
+    const message = await db.messages.get({ messageId });
+    if (!message) {
+      return null;
+    }
+    
+    if (changes.deleted) {
+      // Tombstone: the text is gone for good, only the fact that there was a message stays
+      await db.messages.update(message.id, {
+        deleted: true,
+        text: '',
+        originalText: null,
+        signedMessage: null,
+        timestamps: []
+      });
+    } else {
+      const sanitizedText = DOMPurify.sanitize(changes.text);
+      
+      await db.messages.update(message.id, {
+        text: sanitizedText,
+        // The text as first sent
+        originalText: message.originalText || message.text,
+        timestamps: parseTimestamps(sanitizedText),
+        editedAt: changes.editedAt || Date.now()
+      });
+    }
+    
+    return await db.messages.get(message.id);
+  } catch (error) {
+    console.error('Failed to revise message:', error);
+    return null;
+  }
+}
+
+// Save a signed edit or deletion
+// Resolves { success, duplicate }
+export async function saveRevision(revision) {
+  try {
+    await db.revisions.add({
+      revisionId: revision.revisionId,
+      type: revision.type,
+      roomId: revision.roomId,
+      messageId: revision.messageId,
+      userId: revision.userId,
+      text: typeof revision.text === 'string' ? revision.text : null,
+      clock: revision.clock || 0,
+      timestamp: revision.timestamp || Date.now(),
+      publicKey: revision.publicKey || null,
+      signature: revision.signature || null
+    });
+    
+    return { success: true, duplicate: false };
+  } catch (error) {
+    // Relays and history sync can deliver the same revision twice
+    if (error.name === 'ConstraintError') {
+      return { success: true, duplicate: true };
+    }
+    
+    console.error('Failed to save revision:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get the edits and deletions of a message
+export async function getRevisionsForMessage(messageId) {
+  try {
+    return await db.revisions.where('messageId').equals(messageId).toArray();
+  } catch (error) {
+    console.error('Failed to get revisions:', error);
+    return [];
+  }
+}
+
+// Get the oldest edits and deletions of a room newer than the latest clock in clocks of their sender
+export async function getRevisionsSince(roomId, clocks, limit = 500) {
+  try {
+    return await db.revisions
+      .where('[roomId+clock]')
+      .between([roomId, Dexie.minKey], [roomId, Dexie.maxKey])
+      .filter(revision => isNewerThanClocks(revision, clocks))
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    console.error('Failed to get revisions since clock:', error);
+    return [];
+  }
+}
+
+// Update the delivery state of one of our own messages
+export async function updateMessageStatus(messageId, status) {
+  try {
+    await db.messages
+      .where('messageId')
+      .equals(messageId)
+      .modify({ status });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to update message status:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Delete a message, e.g. one cancelled before it was sent
+export async function deleteMessage(messageId) {
+  try {
+    await db.messages
+      .where('messageId')
+      .equals(messageId)
+      .delete();
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete message:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Save a reaction unless a later state of it is already stored
+// Resolves { success, changed }
+export async function saveReaction(reaction) {
+  try {
+    const changed = await db.transaction('rw', db.reactions, async () => {
+      const existingReaction = await db.reactions.get([reaction.messageId, reaction.userId, reaction.emoji]);
+      if (existingReaction && !isNewerReaction(reaction, existingReaction)) {
+        return false;
+      }
+      
+      await db.reactions.put({
+        type: reaction.type,
+        messageId: reaction.messageId,
+        roomId: reaction.roomId,
+        userId: reaction.userId,
+        emoji: reaction.emoji,
+        active: Boolean(reaction.active),
+        clock: reaction.clock || 0,
+        timestamp: reaction.timestamp || Date.now(),
+        // Kept so reactions can be passed on to members syncing history
+        publicKey: reaction.publicKey || null,
+        signature: reaction.signature || null
+      });
+      return true;
+    });
+    
+    return { success: true, changed };
+  } catch (error) {
+    console.error('Failed to save reaction:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get every reaction in a room, including ones toggled off
+export async function getReactionsForRoom(roomId) {
+  try {
+    return await db.reactions
+      .where('[roomId+clock]')
+      .between([roomId, Dexie.minKey], [roomId, Dexie.maxKey])
+      .toArray();
+  } catch (error) {
+    console.error('Failed to get reactions:', error);
+    return [];
+  }
+}
+
+// Get the oldest reactions of a room newer than the latest clock in clocks of their sender
+export async function getReactionsSince(roomId, clocks, limit = 500) {
+  try {
+    return await db.reactions
+      .where('[roomId+clock]')
+      .between([roomId, Dexie.minKey], [roomId, Dexie.maxKey])
+      .filter(reaction => isNewerThanClocks(reaction, clocks))
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    console.error('Failed to get reactions since clock:', error);
+    return [];
+  }
+}
+
+// Add a signed message to the outbox until a peer acknowledges it
+export async function addToOutbox(entry) {
+  try {
+    const id = await db.outbox.add({
+      messageId: entry.message.messageId,
+      roomId: entry.message.roomId,
+      message: entry.message,
+      attempts: entry.attempts || 0,
+      nextAttempt: entry.nextAttempt || Date.now(),
+      createdAt: Date.now()
+    });
+    
+    return { success: true, id };
+  } catch (error) {
+    console.error('Failed to add message to outbox:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get the outbox entries of a room, oldest first
+export async function getOutbox(roomId) {
+  try {
+    const entries = await db.outbox
+      .where('roomId')
+      .equals(roomId)
+      .toArray();
+    
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    console.error('Failed to get outbox:', error);
+    return [];
+  }
+}
+
+// Get a single outbox entry
+export async function getOutboxEntry(messageId) {
+  try {
+    return await db.outbox.get({ messageId });
+  } catch (error) {
+    console.error('Failed to get outbox entry:', error);
+    return null;
+  }
+}
+
+// Update the retry state of an outbox entry
+export async function updateOutboxEntry(messageId, changes) {
+  try {
+    await db.outbox
+      .where('messageId')
+      .equals(messageId)
+      .modify(changes);
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to update outbox entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Remove a message from the outbox once delivered, failed or cancelled
+export async function removeFromOutbox(messageId) {
+  try {
+    await db.outbox
+      .where('messageId')
+      .equals(messageId)
+      .delete();
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to remove message from outbox:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get the highest Lamport clock stored for a room
+export async function getLatestClock(roomId) {
+  try {
+    const message = await db.messages
+      .where('[roomId+clock]')
+      .between([roomId, Dexie.minKey], [roomId, Dexie.maxKey])
+      .last();
+    
+    return message ? message.clock : 0;
+  } catch (error) {
+    console.error('Failed to get latest clock:', error);
+    return 0;
+  }
+}
+
+// Get the highest Lamport clock stored for each sender in a room, over messages, reactions and revisions
+// Resolves { [userId]: clock }
+export async function getLatestClocks(roomId) {
+  const clocks = {};
+  try {
+    for (const table of [db.messages, db.reactions, db.revisions]) {
+      await table
+        .where('[roomId+clock]')
+        .between([roomId, Dexie.minKey], [roomId, Dexie.maxKey])
+        .each(record => {
+          if (record.userId && record.clock > (clocks[record.userId] || 0)) {
+            clocks[record.userId] = record.clock;
+          }
+        });
+    }
+  } catch (error) {
+    console.error('Failed to get latest clocks:', error);
+  }
+  return clocks;
+}
+
+// Whether a record is newer than the latest clock of its sender in clocks, senders missing from it count as 0
+function isNewerThanClocks(record, clocks) {
+  const knownClock = Object.prototype.hasOwnProperty.call(clocks, record.userId) ? clocks[record.userId] : 0;
+  return record.clock > knownClock;
+}
+
 // Get messages for a specific room
 export async function getMessagesForRoom(roomId, limit = 50) {
   try {
     const messages = await db.messages
-      .where('roomId')
-      .equals(roomId)
+      .where('[roomId+clock]')
+      .between([roomId, Dexie.minKey], [roomId, Dexie.maxKey])
       .reverse() // Newest first
       .limit(limit)
       .toArray();
     
-    // Return in chronological order
-    return messages.reverse();
+    // Return in causal order
+    return messages.sort(compareMessages);
   } catch (error) {
     console.error('Failed to get messages:', error);
     return [];
   }
 }
 
+// Get the oldest messages of a room newer than the latest clock in clocks of their sender
+export async function getMessagesSince(roomId, clocks, limit = 500) {
+  try {
+    return await db.messages
+      .where('[roomId+clock]')
+      .between([roomId, Dexie.minKey], [roomId, Dexie.maxKey])
+      .filter(message => isNewerThanClocks(message, clocks))
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    console.error('Failed to get messages since clock:', error);
+    return [];
+  }
+}
+
+// Get messages sent between two playback positions of the room's video
+export async function getMessagesForRange(roomId, fromSec, toSec, limit = 200) {
+  try {
+    const messages = await db.messages
+      .where('[roomId+videoTime]')
+      .between([roomId, fromSec], [roomId, toSec], true, true)
+      .limit(limit)
+      .toArray();
+    
+    // Sort by playback position, then in causal order
+    return messages.sort((a, b) => (a.videoTime - b.videoTime) || compareMessages(a, b));
+  } catch (error) {
+    console.error('Failed to get messages for range:', error);
+    return [];
+  }
+}
+
 // Search messages using Fuse.js
 export async function searchMessages(roomId, query) {
   try {
-    // Get messages for the room
+    // Get messages for the room, edited ones are found by their latest text
     const messages = await db.messages
       .where('roomId')
       .equals(roomId)
+      .filter(message => !message.deleted)
       .toArray();
     
     // Configure Fuse for fuzzy search
     const fuse = new Fuse(messages, {
-      keys: ['text', 'nickname'],
+      keys: ['text', 'nickname', 'timestamps.text'],
       includeScore: true,
       threshold: 0.4
     });
@@ -75,10 +495,10 @@ export async function searchMessages(roomId, query) {
     // Perform search
     const results = fuse.search(query);
     
-    // Return items sorted by timestamp
+    // Return items in causal order
     return results
       .map(result => result.item)
-      .sort((a, b) => a.timestamp - b.timestamp);
+      .sort(compareMessages);
   } catch (error) {
     console.error('Failed to search messages:', error);
     return [];
@@ -88,10 +508,15 @@ export async function searchMessages(roomId, query) {
 // Save room information
 export async function saveRoom(roomData) {
   try {
+    // Derive mode and channel from the room ID unless given explicitly
+    const parsed = parseRoomId(roomData.id) || {};
+    
     await db.rooms.put({
       id: roomData.id,
-      name: roomData.name || `Room for ${roomData.videoId}`,
-      videoId: roomData.videoId,
+      name: roomData.name || getRoomDisplayName(roomData.id),
+      videoId: roomData.videoId || parsed.videoId,
+      mode: roomData.mode || parsed.mode || DEFAULT_ROOM_MODE,
+      channel: roomData.channel || parsed.channel || null,
       createdAt: roomData.createdAt || Date.now(),
       lastActive: Date.now()
     });
@@ -116,12 +541,34 @@ export async function getRooms() {
   }
 }
 
-// Update user information
+// Get rooms for a specific video, optionally filtered by mode
+export async function getRoomsForVideo(videoId, mode) {
+  try {
+    const rooms = await db.rooms
+      .where('videoId')
+      .equals(videoId)
+      .toArray();
+    
+    return rooms
+      .filter(room => !mode || room.mode === mode)
+      .sort((a, b) => b.lastActive - a.lastActive);
+  } catch (error) {
+    console.error('Failed to get rooms for video:', error);
+    return [];
+  }
+}
+
+// Update user information, keeping a previously seen signing key
 export async function updateUser(userData) {
   try {
+    const existingUser = await db.users.get(userData.id);
+    
     await db.users.put({
+      ...existingUser,
       id: userData.id,
       nickname: userData.nickname,
+      publicKey: userData.publicKey || existingUser?.publicKey || null,
+      fingerprint: userData.fingerprint || existingUser?.fingerprint || null,
       lastSeen: Date.now()
     });
     
@@ -142,6 +589,57 @@ export async function getUser(userId) {
   }
 }
 
+// Save an invite we created: { inviteId, inviteKey, roomId, expiresAt, singleUse }
+export async function saveInvite(invite) {
+  try {
+    await db.invites.add({
+      inviteId: invite.inviteId,
+      inviteKey: invite.inviteKey,
+      roomId: invite.roomId,
+      expiresAt: invite.expiresAt || null,
+      singleUse: Boolean(invite.singleUse),
+      createdAt: Date.now(),
+      // Peer that last redeemed the invite, a single-use invite is consumed by the first one
+      usedBy: null,
+      usedAt: null
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to save invite:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get an invite we created
+export async function getInvite(inviteId) {
+  try {
+    return await db.invites.get({ inviteId });
+  } catch (error) {
+    console.error('Failed to get invite:', error);
+    return null;
+  }
+}
+
+// Record that a peer redeemed an invite
+// Resolves false for single-use invites that were already redeemed, even by the same peer, so a
+// leaked token can't be replayed for the room secret after it changed
+export async function useInvite(inviteId, peerId) {
+  try {
+    return await db.transaction('rw', db.invites, async () => {
+      const invite = await db.invites.get({ inviteId });
+      if (!invite || (invite.singleUse && invite.usedBy)) {
+        return false;
+      }
+      
+      await db.invites.update(invite.inviteId, { usedBy: peerId, usedAt: Date.now() });
+      return true;
+    });
+  } catch (error) {
+    console.error('Failed to use invite:', error);
+    return false;
+  }
+}
+
 // Clear old messages (optional cleanup)
 export async function clearOldMessages(daysToKeep = 30) {
   try {
@@ -0,0 +1,86 @@
+// Stand-in for the extension APIs the background worker and content scripts use
+// Storage areas keep their data in memory, events remember their listeners so
+// tests can fire them, and the offscreen document is a flag.
+
+import { jest } from '@jest/globals';
+
+// A chrome.* event tests can dispatch
+function createEvent() {
+  const listeners = [];
+  
+  return {
+    listeners,
+    addListener: jest.fn(listener => listeners.push(listener)),
+    removeListener: jest.fn((listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    }),
+    // Call every listener, resolves when async listeners are done
+    dispatch: (...args) => Promise.all(listeners.map(listener => listener(...args)))
+  };
+}
+
+// A chrome.storage area backed by a plain object
+function createStorageArea() {
+  const area = {
+    data: {},
+    get: jest.fn(async (keys) => {
+      const names = keys === undefined || keys === null ? Object.keys(area.data) : [].concat(keys);
+      return Object.fromEntries(names
+        .filter(name => area.data[name] !== undefined)
+        .map(name => [name, structuredClone(area.data[name])]));
+    }),
+    set: jest.fn(async (items) => {
+      Object.assign(area.data, structuredClone(items));
+    }),
+    remove: jest.fn(async (keys) => {
+      [].concat(keys).forEach(name => delete area.data[name]);
+    })
+  };
+  return area;
+}
+
+// Build the chrome global
+export function createChromeMock() {
+  const chrome = {
+    runtime: {
+      onInstalled: createEvent(),
+      onMessage: createEvent(),
+      sendMessage: jest.fn(async () => undefined),
+      getURL: jest.fn(path => `chrome-extension://test/${path}`),
+      getContexts: jest.fn(async () => (chrome.offscreen.isOpen ? [{ contextType: 'OFFSCREEN_DOCUMENT' }] : []))
+    },
+    tabs: {
+      onRemoved: createEvent(),
+      sendMessage: jest.fn(async () => undefined)
+    },
+    storage: {
+      local: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: createEvent()
+    },
+    offscreen: {
+      isOpen: false,
+      Reason: { WEB_RTC: 'WEB_RTC' },
+      createDocument: jest.fn(async () => {
+        chrome.offscreen.isOpen = true;
+      }),
+      closeDocument: jest.fn(async () => {
+        chrome.offscreen.isOpen = false;
+      })
+    }
+  };
+  return chrome;
+}
+
+// Send a runtime message to the listeners, like another part of the extension would
+// Resolves the response of the listener that answers
+export function sendRuntimeMessage(chrome, message, sender = {}) {
+  return new Promise((resolve) => {
+    const isAsync = chrome.runtime.onMessage.listeners
+      .map(listener => listener(message, sender, resolve))
+      .some(result => result === true);
+    
+    if (!isAsync) resolve(undefined);
+  });
+}
@@ -0,0 +1,174 @@
+// In-memory PeerJS network for tests
+// Peers register their ID on a shared network, connect to each other by ID
+// and exchange data asynchronously, like data channels do.
+
+// Minimal event emitter with the subset of the PeerJS API we use
+class MockEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+  
+  // Register a listener for an event
+  on(event, callback) {
+    (this.listeners[event] = this.listeners[event] || []).push(callback);
+    return this;
+  }
+  
+  // Register a listener that runs only for the next event
+  once(event, callback) {
+    const onceCallback = (...args) => {
+      this.off(event, onceCallback);
+      callback(...args);
+    };
+    return this.on(event, onceCallback);
+  }
+  
+  // Remove a listener
+  off(event, callback) {
+    this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== callback);
+    return this;
+  }
+  
+  // Call every listener of an event
+  emit(event, ...args) {
+    (this.listeners[event] || []).slice().forEach(listener => listener(...args));
+  }
+}
+
+// One end of a data channel
+export class MockConnection extends MockEmitter {
+  // peer: the ID of the peer at the other end
+  constructor(network, peer, metadata) {
+    super();
+    this.network = network;
+    this.peer = peer;
+    this.metadata = metadata;
+    this.open = false;
+    this.remote = null;
+  }
+  
+  // Deliver data to the other end on a later turn
+  send(data) {
+    if (!this.open) return;
+    const remote = this.remote;
+    this.network.defer(() => {
+      if (remote.open) remote.emit('data', structuredClone(data));
+    });
+  }
+  
+  // Close both ends of the channel
+  close() {
+    if (!this.open && !this.remote) return;
+    
+    const remote = this.remote;
+    this.open = false;
+    this.remote = null;
+    this.emit('close');
+    
+    if (remote) remote.close();
+  }
+}
+
+// A peer registered on the mock signaling server
+export class MockPeer extends MockEmitter {
+  constructor(network, id) {
+    super();
+    this.network = network;
+    this.id = id;
+    this.open = false;
+    this.destroyed = false;
+    this.disconnected = false;
+    this.connections = [];
+    
+    network.defer(() => {
+      if (this.destroyed) return;
+      
+      if (network.peers.has(id)) {
+        this.emit('error', Object.assign(new Error(`ID "${id}" is taken`), { type: 'unavailable-id' }));
+        return;
+      }
+      
+      network.peers.set(id, this);
+      this.open = true;
+      this.emit('open', id);
+    });
+  }
+  
+  // Open a data channel to a registered peer, nothing happens if it isn't there
+  // Like PeerJS, a peer that left the server reports an error and returns no connection
+  connect(remoteId, { metadata } = {}) {
+    if (this.destroyed || this.disconnected) {
+      this.emit('error', Object.assign(new Error('Cannot connect after leaving the server'), { type: 'disconnected' }));
+      return undefined;
+    }
+    
+    const conn = new MockConnection(this.network, remoteId, metadata);
+    this.connections.push(conn);
+    
+    this.network.defer(() => {
+      const remotePeer = this.network.peers.get(remoteId);
+      if (this.destroyed || !remotePeer || remotePeer.destroyed) return;
+      
+      const remoteConn = new MockConnection(this.network, this.id, metadata);
+      remotePeer.connections.push(remoteConn);
+      conn.remote = remoteConn;
+      remoteConn.remote = conn;
+      remotePeer.emit('connection', remoteConn);
+      
+      conn.open = true;
+      remoteConn.open = true;
+      remoteConn.emit('open');
+      conn.emit('open');
+    });
+    
+    return conn;
+  }
+  
+  // Drop the data channel to a peer without either side closing it, like a network failure
+  dropConnection(remoteId) {
+    this.connections
+      .filter(conn => conn.peer === remoteId && conn.open)
+      .forEach(conn => conn.close());
+  }
+  
+  // Leave the signaling server and close every data channel
+  destroy() {
+    if (this.destroyed) return;
+    
+    this.destroyed = true;
+    this.open = false;
+    if (this.network.peers.get(this.id) === this) {
+      this.network.peers.delete(this.id);
+    }
+    this.connections.forEach(conn => conn.close());
+  }
+}
+
+// The signaling server all mock peers register on
+export class MockNetwork {
+  constructor() {
+    this.peers = new Map();
+  }
+  
+  // Create a peer that registers the ID on this network
+  createPeer(id) {
+    return new MockPeer(this, id);
+  }
+  
+  // Network events happen on a later turn of the event loop
+  defer(callback) {
+    setImmediate(callback);
+  }
+}
+
+// Let pending network events and promises settle until a condition holds
+// Hashing runs off the main thread, so wait by time rather than by turns
+export async function waitFor(condition, { timeout = 2000 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
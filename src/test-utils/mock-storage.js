@@ -0,0 +1,42 @@
+// Stand-in for the storage service in tests, IndexedDB isn't available in Node
+// Every function resolves to an empty result unless a test overrides it.
+
+import { jest } from '@jest/globals';
+
+// Build a module object with the storage service's exports
+export function createStorageMock() {
+  return {
+    saveMessage: jest.fn(async message => message),
+    getMessage: jest.fn(async () => null),
+    reviseMessage: jest.fn(async () => null),
+    saveRevision: jest.fn(async () => true),
+    getRevisionsForMessage: jest.fn(async () => []),
+    getRevisionsSince: jest.fn(async () => []),
+    updateMessageStatus: jest.fn(async () => {}),
+    deleteMessage: jest.fn(async () => {}),
+    saveReaction: jest.fn(async () => true),
+    getReactionsForRoom: jest.fn(async () => []),
+    getReactionsSince: jest.fn(async () => []),
+    addToOutbox: jest.fn(async () => {}),
+    getOutbox: jest.fn(async () => []),
+    getOutboxEntry: jest.fn(async () => null),
+    updateOutboxEntry: jest.fn(async () => {}),
+    removeFromOutbox: jest.fn(async () => {}),
+    getLatestClock: jest.fn(async () => 0),
+    getLatestClocks: jest.fn(async () => ({})),
+    getMessagesForRoom: jest.fn(async () => []),
+    getMessagesSince: jest.fn(async () => []),
+    getMessagesForRange: jest.fn(async () => []),
+    searchMessages: jest.fn(async () => []),
+    saveRoom: jest.fn(async room => room),
+    getRooms: jest.fn(async () => []),
+    getRoomsForVideo: jest.fn(async () => []),
+    updateUser: jest.fn(async user => user),
+    getUser: jest.fn(async () => null),
+    saveInvite: jest.fn(async invite => invite),
+    getInvite: jest.fn(async () => null),
+    useInvite: jest.fn(async () => false),
+    clearOldMessages: jest.fn(async () => 0),
+    db: {}
+  };
+}
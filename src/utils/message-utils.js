@@ -0,0 +1,126 @@
+// Message utilities for YouTube P2P Chat Extension
+// Delivery states, ordering and threads of chat messages, shared by the services and the UI
+
+// Types of room data that aren't part of a protocol module (encryption, sync, presence)
+// Chat messages from before types were introduced have no type
+export const ROOM_MESSAGE_TYPES = {
+  CHAT: 'chat',           // Signed chat message, stored and acknowledged
+  ACK: 'ack',             // { messageId } confirming a chat message was received
+  REACTION: 'reaction',   // Signed { messageId, emoji, active } reaction to a chat message
+  EDIT: 'edit',           // Signed { revisionId, messageId, text } new text of the sender's own message
+  DELETE: 'delete'        // Signed { revisionId, messageId } removal of the sender's own message
+};
+
+// Reactions offered in the UI, peers accept any short string
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+
+// Type of a room message, untyped messages are chat messages
+export function getMessageType(data) {
+  return data.type || ROOM_MESSAGE_TYPES.CHAT;
+}
+
+// Delivery states of our own messages
+export const MESSAGE_STATUS = {
+  QUEUED: 'queued',       // Waiting in the outbox for a connection or the next retry
+  PENDING: 'pending',     // Sent, no peer has acknowledged it yet
+  DELIVERED: 'delivered', // At least one peer acknowledged it
+  FAILED: 'failed',       // Nobody acknowledged it after every retry
+  CANCELLED: 'cancelled'  // Removed from the outbox by the user before it was sent
+};
+
+// Order messages by Lamport clock, breaking ties the same way on every peer
+export function compareMessages(a, b) {
+  return ((a.clock || 0) - (b.clock || 0))
+    || (a.timestamp - b.timestamp)
+    || String(a.messageId).localeCompare(String(b.messageId));
+}
+
+// Insert a message into a sorted list, replacing an earlier copy with the same ID
+export function mergeMessage(messages, message) {
+  const others = message.messageId
+    ? messages.filter(existing => existing.messageId !== message.messageId)
+    : messages;
+  return [...others, message].sort(compareMessages);
+}
+
+// Quoted replies show at most this many characters of the original
+const PREVIEW_LENGTH = 100;
+
+// Shortened message text for a quoted reply
+export function getMessagePreview(text) {
+  const preview = (text || '').replace(/\s+/g, ' ').trim();
+  return preview.length > PREVIEW_LENGTH ? `${preview.slice(0, PREVIEW_LENGTH)}…` : preview;
+}
+
+// Group sorted messages into threads: [{ message, replies }] in the order of their first message
+// Replies to replies join the thread of the message that started it, replies whose
+// original isn't in the list start a thread of their own
+export function buildThreads(messages) {
+  const messagesById = new Map(messages.map(message => [message.messageId, message]));
+  const threadsById = new Map();
+  const threads = [];
+  
+  // Follow replyTo up to the first message of the thread, stopping at cycles
+  const getRootId = (message) => {
+    const seen = new Set();
+    let current = message;
+    
+    while (current.replyTo && messagesById.has(current.replyTo) && !seen.has(current.replyTo)) {
+      seen.add(current.messageId);
+      current = messagesById.get(current.replyTo);
+    }
+    return current.messageId;
+  };
+  
+  messages.forEach(message => {
+    const rootId = getRootId(message);
+    const thread = threadsById.get(rootId);
+    
+    if (thread && rootId !== message.messageId) {
+      thread.replies.push(message);
+    } else {
+      const newThread = { message, replies: [] };
+      threadsById.set(rootId, newThread);
+      threads.push(newThread);
+    }
+  });
+  
+  return threads;
+}
+
+// Whether reaction a is a later state than reaction b of the same user, emoji and message
+export function isNewerReaction(a, b) {
+  return compareMessages(a, b) > 0;
+}
+
+// Insert a reaction into a list, keeping only the latest state per user, emoji and message
+// Copies relayed by several peers and reactions toggled off and on again merge the same way everywhere
+export function mergeReaction(reactions, reaction) {
+  const isSame = existing => existing.messageId === reaction.messageId
+    && existing.userId === reaction.userId
+    && existing.emoji === reaction.emoji;
+  const existing = reactions.find(isSame);
+  
+  if (existing && !isNewerReaction(reaction, existing)) {
+    return reactions;
+  }
+  return [...reactions.filter(other => !isSame(other)), reaction];
+}
+
+// Count active reactions per message: { messageId: [{ emoji, count, mine }] }
+export function summarizeReactions(reactions, ownUserId) {
+  return reactions.reduce((result, reaction) => {
+    if (!reaction.active) return result;
+    
+    const summary = result[reaction.messageId] = result[reaction.messageId] || [];
+    let entry = summary.find(candidate => candidate.emoji === reaction.emoji);
+    if (!entry) {
+      entry = { emoji: reaction.emoji, count: 0, mine: false };
+      summary.push(entry);
+    }
+    
+    entry.count += 1;
+    entry.mine = entry.mine || reaction.userId === ownUserId;
+    return result;
+  }, {});
+}
@@ -0,0 +1,51 @@
+import { mergeReaction, summarizeReactions } from './message-utils';
+
+// A user's reaction with an emoji to a message, at a Lamport clock
+function createReaction(userId, emoji, active, clock, fields = {}) {
+  return { type: 'reaction', messageId: 'message-1', userId, emoji, active, clock, timestamp: 1767225600000 + clock, ...fields };
+}
+
+// Merge reactions in the order they arrive
+function mergeAll(reactions) {
+  return reactions.reduce(mergeReaction, []);
+}
+
+describe('reaction merging', () => {
+  test('copies of a reaction from several peers count once', () => {
+    const reaction = createReaction('user-a', '👍', true, 3);
+    const reactions = mergeAll([reaction, { ...reaction }, { ...reaction }]);
+    
+    expect(reactions).toHaveLength(1);
+    expect(summarizeReactions(reactions, 'user-b')).toEqual({ 'message-1': [{ emoji: '👍', count: 1, mine: false }] });
+  });
+  
+  test('the latest state of a toggled reaction wins in any arrival order', () => {
+    const states = [
+      createReaction('user-a', '👍', true, 1),
+      createReaction('user-a', '👍', false, 2),
+      createReaction('user-a', '👍', true, 3),
+      createReaction('user-a', '👍', false, 4)
+    ];
+    
+    expect(mergeAll(states)).toEqual([states[3]]);
+    expect(mergeAll([...states].reverse())).toEqual([states[3]]);
+    expect(mergeAll([states[2], states[0], states[3], states[1]])).toEqual([states[3]]);
+    expect(summarizeReactions(mergeAll(states), 'user-a')).toEqual({});
+  });
+  
+  test('counts active reactions per message and emoji, marking our own', () => {
+    const reactions = mergeAll([
+      createReaction('user-a', '👍', true, 1),
+      createReaction('user-b', '👍', true, 2),
+      createReaction('user-c', '👍', true, 3),
+      createReaction('user-c', '👍', false, 5),
+      createReaction('user-b', '🔥', true, 4),
+      createReaction('user-a', '😂', true, 6, { messageId: 'message-2' })
+    ]);
+    
+    expect(summarizeReactions(reactions, 'user-b')).toEqual({
+      'message-1': [{ emoji: '👍', count: 2, mine: true }, { emoji: '🔥', count: 1, mine: true }],
+      'message-2': [{ emoji: '😂', count: 1, mine: false }]
+    });
+  });
+});
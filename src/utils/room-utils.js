@@ -0,0 +1,173 @@
+// Room utilities for YouTube P2P Chat Extension
+// Builds and parses room IDs for public, channel and private rooms, and invite links to them
+
+import { v4 as uuidv4 } from 'uuid';
+
+// Supported room modes
+export const ROOM_MODES = {
+  PUBLIC: 'public',   // One shared room per video
+  CHANNEL: 'channel', // Named sub-room of a video, e.g. yt-<videoId>#<channel>
+  PRIVATE: 'private'  // Unique random room that has to be shared by ID
+};
+
+export const DEFAULT_ROOM_MODE = ROOM_MODES.PUBLIC;
+
+// Fragment parameter of invite links: #p2pchat=<roomId>&key=<secret> or #p2pchat=<roomId>&invite=<token>
+// A fragment never reaches YouTube's servers
+const INVITE_PARAM = 'p2pchat';
+
+// How long invite links to encrypted rooms stay valid (ms), 0 for links that never expire
+export const INVITE_EXPIRY_OPTIONS = [
+  { label: 'Never expires', value: 0 },
+  { label: '1 hour', value: 60 * 60 * 1000 },
+  { label: '1 day', value: 24 * 60 * 60 * 1000 },
+  { label: '7 days', value: 7 * 24 * 60 * 60 * 1000 }
+];
+
+// Normalize a channel name so every viewer derives the same room ID
+export function normalizeChannelName(name) {
+  return (name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 32);
+}
+
+// Build a room ID for a video according to the chosen mode
+export function buildRoomId(videoId, { mode = DEFAULT_ROOM_MODE, channel } = {}) {
+  if (!videoId) {
+    throw new Error('Video ID is required');
+  }
+
+  if (mode === ROOM_MODES.PRIVATE) {
+    return `yt-${videoId}-${uuidv4().substring(0, 8)}`;
+  }
+
+  if (mode === ROOM_MODES.CHANNEL) {
+    const channelName = normalizeChannelName(channel);
+    if (!channelName) {
+      throw new Error('Channel name is required');
+    }
+    return `yt-${videoId}#${channelName}`;
+  }
+
+  return `yt-${videoId}`;
+}
+
+// Parse a room ID into its video ID, mode and channel
+export function parseRoomId(roomId) {
+  // YouTube video IDs are always 11 characters long
+  const match = /^yt-([A-Za-z0-9_-]{11})(?:#(.+)|-([0-9a-f]{8}))?$/.exec(roomId || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, videoId, channel, privateSuffix] = match;
+
+  if (channel) {
+    return { videoId, mode: ROOM_MODES.CHANNEL, channel };
+  }
+
+  if (privateSuffix) {
+    return { videoId, mode: ROOM_MODES.PRIVATE, channel: null };
+  }
+
+  return { videoId, mode: ROOM_MODES.PUBLIC, channel: null };
+}
+
+// Human readable room name
+export function getRoomDisplayName(roomId) {
+  const parsed = parseRoomId(roomId);
+  if (!parsed) {
+    return roomId;
+  }
+
+  if (parsed.mode === ROOM_MODES.CHANNEL) {
+    return `#${parsed.channel} (${parsed.videoId})`;
+  }
+
+  if (parsed.mode === ROOM_MODES.PRIVATE) {
+    return `Private room for ${parsed.videoId}`;
+  }
+
+  return `Public room for ${parsed.videoId}`;
+}
+
+// Short name of a room for the chat widget's tabs
+export function getRoomTabName(roomId) {
+  const parsed = parseRoomId(roomId);
+  if (!parsed) {
+    return roomId;
+  }
+
+  if (parsed.mode === ROOM_MODES.CHANNEL) {
+    return `#${parsed.channel}`;
+  }
+
+  return parsed.mode === ROOM_MODES.PRIVATE ? 'Private' : 'Public';
+}
+
+// Paths of Shorts and live streams, which carry the video ID in the path: /shorts/<videoId>, /live/<videoId>
+const VIDEO_PATH_PATTERN = /^\/(?:shorts|live)\/([A-Za-z0-9_-]{11})\/?$/;
+
+// Extract the video ID from a YouTube watch, Shorts or live URL
+export function getVideoIdFromUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    if (parsedUrl.pathname.startsWith('/watch')) {
+      return parsedUrl.searchParams.get('v');
+    }
+
+    const match = parsedUrl.pathname.match(VIDEO_PATH_PATTERN);
+    if (match) {
+      return match[1];
+    }
+  } catch (error) {
+    // Not a valid URL
+  }
+  return null;
+}
+
+// Build a link that opens the room's video and joins the room
+// roomSecret: key of an encrypted room, token: expiring or single-use invite, used instead of the key
+export function buildInviteUrl(roomId, { roomSecret, token } = {}) {
+  const parsed = parseRoomId(roomId);
+  if (!parsed) {
+    throw new Error('Invalid room ID');
+  }
+
+  const params = new URLSearchParams({ [INVITE_PARAM]: roomId });
+  if (token) {
+    params.set('invite', token);
+  } else if (roomSecret) {
+    params.set('key', roomSecret);
+  }
+  return `https://www.youtube.com/watch?v=${parsed.videoId}#${params}`;
+}
+
+// Read the invite in a page URL: { roomId, roomSecret, token }, null without a valid one
+export function parseInviteUrl(url) {
+  try {
+    const params = new URLSearchParams(new URL(url).hash.slice(1));
+    const roomId = params.get(INVITE_PARAM);
+    if (!parseRoomId(roomId)) {
+      return null;
+    }
+
+    return {
+      roomId,
+      roomSecret: params.get('key') || null,
+      token: params.get('invite') || null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// The page URL without its invite, so the key doesn't stay in the address bar and history
+export function removeInviteFromUrl(url) {
+  const parsedUrl = new URL(url);
+  parsedUrl.hash = '';
+  return parsedUrl.toString();
+}
@@ -0,0 +1,68 @@
+// Video timestamp utilities for YouTube P2P Chat Extension
+// Formats playback positions for display next to chat messages
+
+// Format seconds as m:ss or h:mm:ss
+export function formatVideoTime(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  }
+  
+  return `${minutes}:${secs}`;
+}
+
+// Whether a message carries a usable playback position
+export function hasVideoTime(message) {
+  return typeof message.videoTime === 'number' && Number.isFinite(message.videoTime);
+}
+
+// Matches h:mm:ss and m:ss / mm:ss tokens such as "1:02:03" or "12:34"
+const TIMESTAMP_PATTERN = /\b(?:(\d{1,2}):)?(\d{1,2}):([0-5]\d)\b/g;
+
+// Find video timestamps in message text
+// Returns [{ text, seconds, index }] in order of appearance
+export function parseTimestamps(text) {
+  const timestamps = [];
+  if (!text) {
+    return timestamps;
+  }
+  
+  for (const match of text.matchAll(TIMESTAMP_PATTERN)) {
+    const [token, hours, minutes, seconds] = match;
+    
+    // With an hour part, minutes must be two digits below 60, as in "1:05:00"
+    if (hours && (minutes.length !== 2 || Number(minutes) > 59)) continue;
+    
+    timestamps.push({
+      text: token,
+      seconds: (Number(hours || 0) * 3600) + (Number(minutes) * 60) + Number(seconds),
+      index: match.index
+    });
+  }
+  
+  return timestamps;
+}
+
+// Split message text into plain text and timestamp segments for rendering
+export function splitTextByTimestamps(text) {
+  const segments = [];
+  let position = 0;
+  
+  parseTimestamps(text).forEach((timestamp) => {
+    if (timestamp.index > position) {
+      segments.push({ text: text.substring(position, timestamp.index) });
+    }
+    segments.push({ text: timestamp.text, seconds: timestamp.seconds });
+    position = timestamp.index + timestamp.text.length;
+  });
+  
+  if (position < (text || '').length) {
+    segments.push({ text: text.substring(position) });
+  }
+  
+  return segments;
+}
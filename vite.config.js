@@ -19,6 +19,8 @@ export default defineConfig({
     rollupOptions: {
       input: {
         popup: 'src/popup/index.html',
+        offscreen: 'src/offscreen/index.html',
+        options: 'src/options/index.html',
       },
     },
   },